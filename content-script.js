@@ -1,14 +1,19 @@
 // Panopto Smart Notes - Content Script
-// Captures live captions from DOM and sends chunks for notes updates.
+// Captures live captions from video text tracks (or the DOM) and sends chunks for notes updates.
 
 (function() {
   'use strict';
 
+  const { parseLectureId } = self.PanoptoLectureSession;
+
   let videoElement = null;
   let captionElement = null;
   let captionObserver = null;
   let documentObserver = null;
+  let textTrack = null;
+  let captionSource = null;
   let isCapturing = false;
+  let lectureId = null;
 
   let transcriptBuffer = [];
   let currentChunk = null;
@@ -19,13 +24,25 @@
   let lastVideoTimeSample = null;
 
   let lastSentStatus = null;
+  // Cue key -> end time of every recorded cue near the playhead.
+  let seenCues = new Map();
 
   const CHUNK_SECONDS = 180;
   const CHUNK_MAX_CHARS = 5000;
+  const TAIL_CONTEXT_SECONDS = 30;
   const UPDATE_WINDOW_MS = 15000;
+  const CUE_LOAD_TIMEOUT_MS = 8000;
+  // Seen cues ending this far behind the playhead are forgotten, so the set
+  // stays small over a long lecture; seeking back further records them again.
+  const SEEN_CUE_WINDOW_SECONDS = 300;
+  const CAPTION_TRACK_KINDS = ['captions', 'subtitles'];
+  const CAPTION_SOURCE_TRACK = 'track';
+  const CAPTION_SOURCE_DOM = 'dom';
 
   function init() {
+    lectureId = parseLectureId(window.location.href);
     refreshVideoElement();
+    refreshTextTrack();
     attachDocumentObserver();
     findAndAttachCaptionElement();
     setupMessageListener();
@@ -33,23 +50,210 @@
   }
 
   function tick() {
+    refreshLectureId();
     refreshVideoMovement();
     refreshVideoElement();
+    refreshTextTrack();
     ensureCaptionElementStillAttached();
     sendStatus();
   }
 
+  function refreshLectureId() {
+    const nextLectureId = parseLectureId(window.location.href);
+    if (nextLectureId === lectureId) return;
+
+    // The player navigated to another lecture in place; close out the old one.
+    if (currentChunk) {
+      finalizeChunk();
+    }
+    lectureId = nextLectureId;
+    resetCaptureState();
+    sendTranscriptUpdate();
+    sendStatus(true);
+  }
+
+  function resetCaptureState() {
+    transcriptBuffer = [];
+    currentChunk = null;
+    chunkStartWallTime = null;
+    lastCaptionUpdateAt = 0;
+    seenCues = new Map();
+  }
+
   function refreshVideoElement() {
     const preferred = document.querySelector('video#primaryVideo');
     const fallback = document.querySelector('video');
     const nextVideo = preferred || fallback || null;
 
     if (nextVideo !== videoElement) {
+      detachTextTrack();
       videoElement = nextVideo;
       lastVideoTimeSample = null;
     }
   }
 
+  // Caption source layer: prefer the video's own caption TextTrack (exact cue
+  // timing, works while the docked caption panel is hidden) and fall back to
+  // scraping the caption element from the DOM.
+  function refreshTextTrack() {
+    const nextTrack = findCaptionTrack();
+    if (nextTrack !== textTrack) {
+      detachTextTrack();
+      if (nextTrack) {
+        textTrack = nextTrack;
+        // Disabled tracks never load cues; hidden ones do without rendering.
+        if (textTrack.mode === 'disabled') {
+          textTrack.mode = 'hidden';
+        }
+        textTrack.addEventListener('cuechange', handleCueChange);
+      }
+    }
+    updateCaptionSource();
+  }
+
+  function detachTextTrack() {
+    if (textTrack) {
+      textTrack.removeEventListener('cuechange', handleCueChange);
+    }
+    textTrack = null;
+    updateCaptionSource();
+  }
+
+  function findCaptionTrack() {
+    if (!videoElement || !videoElement.textTracks) return null;
+
+    const tracks = Array.from(videoElement.textTracks)
+      .filter((track) => CAPTION_TRACK_KINDS.includes(track.kind));
+    Array.from(videoElement.querySelectorAll('track')).forEach((trackEl) => {
+      const kind = (trackEl.kind || 'subtitles').toLowerCase();
+      if (trackEl.track && CAPTION_TRACK_KINDS.includes(kind) && !tracks.includes(trackEl.track)) {
+        tracks.push(trackEl.track);
+      }
+    });
+    if (tracks.length === 0) return null;
+
+    if (textTrack && tracks.includes(textTrack) && textTrack.mode !== 'disabled') {
+      return textTrack;
+    }
+    return (
+      tracks.find((track) => track.mode === 'showing') ||
+      tracks.find((track) => hasTrackCues(track)) ||
+      tracks[0]
+    );
+  }
+
+  function hasTrackCues(track) {
+    return Boolean(track && track.cues && track.cues.length > 0);
+  }
+
+  function updateCaptionSource() {
+    if (hasTrackCues(textTrack)) {
+      captionSource = CAPTION_SOURCE_TRACK;
+    } else if (captionElement) {
+      captionSource = CAPTION_SOURCE_DOM;
+    } else {
+      captionSource = null;
+    }
+  }
+
+  function handleCueChange() {
+    updateCaptionSource();
+    if (!isCapturing || captionSource !== CAPTION_SOURCE_TRACK || !textTrack.activeCues) return;
+
+    refreshVideoMovement();
+    pruneSeenCues(getVideoTime());
+    const now = Date.now();
+    const cues = Array.from(textTrack.activeCues)
+      .sort((a, b) => a.startTime - b.startTime);
+
+    let recorded = false;
+    cues.forEach((cue) => {
+      if (recordCue(cue, now)) recorded = true;
+    });
+    if (!recorded) return;
+
+    lastCaptionUpdateAt = now;
+
+    maybeFinalizeChunk(now);
+    sendTranscriptUpdate();
+    sendStatus();
+  }
+
+  function recordCue(cue, now) {
+    const text = getCueText(cue);
+    if (!text) return false;
+
+    // Cues re-enter activeCues after seeking back; only record each once.
+    const cueKey = getCueKey(cue, text);
+    if (seenCues.has(cueKey)) return false;
+    const tEnd = Math.max(cue.endTime, cue.startTime);
+    seenCues.set(cueKey, tEnd);
+
+    const result = mergeCueIntoEntries(transcriptBuffer, text, cue.startTime, tEnd, now);
+    if (result === 'replaced') {
+      replaceLastChunkPart(text, tEnd);
+      return true;
+    }
+    if (result === 'appended') {
+      appendChunkPart(text, cue.startTime, tEnd);
+      return true;
+    }
+    return false;
+  }
+
+  function pruneSeenCues(currentTime) {
+    const cutoff = currentTime - SEEN_CUE_WINDOW_SECONDS;
+    seenCues.forEach((endTime, key) => {
+      if (endTime < cutoff) seenCues.delete(key);
+    });
+  }
+
+  function mergeCueIntoEntries(entries, text, tStart, tEnd, now) {
+    const lastEntry = entries[entries.length - 1];
+
+    if (lastEntry && lastEntry.text === text) {
+      lastEntry.endTime = Math.max(lastEntry.endTime, tEnd);
+      lastEntry.tEnd = lastEntry.endTime;
+      return null;
+    }
+
+    // Roll-up caption tracks repeat the previous line with new words appended.
+    if (lastEntry && text.startsWith(lastEntry.text)) {
+      lastEntry.text = text;
+      lastEntry.endTime = tEnd;
+      lastEntry.tEnd = tEnd;
+      lastEntry.timestamp = now;
+      return 'replaced';
+    }
+
+    entries.push({
+      text,
+      startTime: tStart,
+      endTime: tEnd,
+      tStart,
+      tEnd,
+      timestamp: now
+    });
+    return 'appended';
+  }
+
+  function getCueText(cue) {
+    return normalizeText(stripCueMarkup(cue.text || ''));
+  }
+
+  function getCueKey(cue, text) {
+    return `${cue.startTime.toFixed(2)}|${text}`;
+  }
+
+  function stripCueMarkup(text) {
+    return String(text || '')
+      .replace(/<[^>]*>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/&amp;/g, '&')
+      .replace(/&lt;/g, '<')
+      .replace(/&gt;/g, '>');
+  }
+
   function attachDocumentObserver() {
     if (documentObserver) return;
     documentObserver = new MutationObserver(() => {
@@ -88,6 +292,7 @@
 
     detachCaptionObserver();
     captionElement = found;
+    updateCaptionSource();
 
     captionObserver = new MutationObserver(() => {
       handleCaptionChange();
@@ -109,6 +314,7 @@
     }
     captionObserver = null;
     captionElement = null;
+    updateCaptionSource();
   }
 
   function findCaptionElement() {
@@ -137,6 +343,7 @@
 
   function handleCaptionChange() {
     if (!isCapturing || !captionElement) return;
+    if (captionSource === CAPTION_SOURCE_TRACK) return;
 
     const rawText = captionElement.textContent || '';
     const text = normalizeText(rawText);
@@ -189,12 +396,13 @@
     });
   }
 
-  function appendChunkPart(text, tNow) {
+  function appendChunkPart(text, tNow, tEnd) {
+    const endTime = typeof tEnd === 'number' ? tEnd : tNow;
     if (!currentChunk) {
       currentChunk = {
         chunkId: generateChunkId(),
         tStart: tNow,
-        tEnd: tNow,
+        tEnd: endTime,
         parts: [text],
         text
       };
@@ -203,7 +411,7 @@
     }
     currentChunk.parts.push(text);
     currentChunk.text = currentChunk.parts.join(' ');
-    currentChunk.tEnd = tNow;
+    currentChunk.tEnd = endTime;
   }
 
   function replaceLastChunkPart(text, tNow) {
@@ -216,8 +424,10 @@
   function maybeFinalizeChunk(nowMs) {
     if (!currentChunk || !chunkStartWallTime) return;
     const elapsedSeconds = (nowMs - chunkStartWallTime) / 1000;
+    const mediaSeconds = currentChunk.tEnd - currentChunk.tStart;
     const shouldFinalize =
       elapsedSeconds >= CHUNK_SECONDS ||
+      mediaSeconds >= CHUNK_SECONDS ||
       currentChunk.text.length > CHUNK_MAX_CHARS ||
       (videoElement && (videoElement.paused || videoElement.ended));
 
@@ -234,26 +444,158 @@
       tEnd: currentChunk.tEnd,
       text: currentChunk.text
     };
-    const tailContext = getTailContext();
+    const tailContext = buildTailContext(transcriptBuffer, getVideoTime());
 
     chrome.runtime.sendMessage({
       type: 'FINALIZE_CHUNK',
+      lectureId,
       chunk: finalizedChunk,
-      tailContext
+      tailContext,
+      transcript: getEntriesInRange(transcriptBuffer, finalizedChunk.tStart, finalizedChunk.tEnd)
     });
 
     currentChunk = null;
     chunkStartWallTime = null;
   }
 
-  function getTailContext() {
-    const cutoff = getVideoTime() - 30;
-    return transcriptBuffer
-      .filter((entry) => entry.startTime >= cutoff)
+  function getEntriesInRange(entries, tStart, tEnd) {
+    return entries
+      .filter((entry) => entry.startTime >= tStart && entry.startTime <= tEnd)
+      .map((entry) => ({
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        text: entry.text
+      }));
+  }
+
+  function buildTailContext(entries, endTime) {
+    const cutoff = endTime - TAIL_CONTEXT_SECONDS;
+    return entries
+      .filter((entry) => entry.startTime >= cutoff && entry.startTime <= endTime)
       .map((entry) => entry.text)
       .join(' ');
   }
 
+  // Catch-up mode: read every cue of the caption track without playback and
+  // split it into the same chunk shape that live capture finalizes.
+  async function prepareCatchUp() {
+    refreshVideoElement();
+    refreshTextTrack();
+    const cues = await waitForTrackCues();
+    if (!cues) {
+      return {
+        success: false,
+        error: 'No caption track found on this video. Turn captions on, or play the lecture to capture live.'
+      };
+    }
+
+    return replaceTranscriptWithCues(cues, 'The caption track has no text.');
+  }
+
+  // Imported caption files (SRT / WebVTT parsed by the side panel) go through
+  // the same chunking as a caption track.
+  function importCaptionCues(cues) {
+    const valid = (Array.isArray(cues) ? cues : []).filter((cue) => cue
+      && typeof cue.text === 'string'
+      && Number.isFinite(cue.startTime)
+      && Number.isFinite(cue.endTime));
+    return replaceTranscriptWithCues(valid, 'The caption file has no captions.');
+  }
+
+  function replaceTranscriptWithCues(cues, emptyError) {
+    const now = Date.now();
+    const entries = [];
+    const cueKeys = new Map();
+    cues
+      .slice()
+      .sort((a, b) => a.startTime - b.startTime)
+      .forEach((cue) => {
+        const text = getCueText(cue);
+        if (!text) return;
+        const tEnd = Math.max(cue.endTime, cue.startTime);
+        cueKeys.set(getCueKey(cue, text), tEnd);
+        mergeCueIntoEntries(entries, text, cue.startTime, tEnd, now);
+      });
+
+    if (entries.length === 0) {
+      return { success: false, error: emptyError };
+    }
+
+    // Catch-up replaces any live capture so the same cues are not processed twice.
+    isCapturing = false;
+    transcriptBuffer = entries;
+    currentChunk = null;
+    chunkStartWallTime = null;
+    seenCues = cueKeys;
+    sendTranscriptUpdate();
+    sendStatus(true);
+
+    return {
+      success: true,
+      chunks: splitEntriesIntoChunks(entries)
+    };
+  }
+
+  function waitForTrackCues() {
+    return new Promise((resolve) => {
+      const startedAt = Date.now();
+      const check = () => {
+        refreshTextTrack();
+        if (hasTrackCues(textTrack)) {
+          resolve(Array.from(textTrack.cues));
+          return;
+        }
+        if (!textTrack || Date.now() - startedAt >= CUE_LOAD_TIMEOUT_MS) {
+          resolve(null);
+          return;
+        }
+        setTimeout(check, 250);
+      };
+      check();
+    });
+  }
+
+  function splitEntriesIntoChunks(entries) {
+    const chunks = [];
+    let chunk = null;
+
+    entries.forEach((entry) => {
+      if (!chunk) {
+        chunk = {
+          chunkId: generateChunkId(),
+          tStart: entry.startTime,
+          tEnd: entry.endTime,
+          parts: []
+        };
+      }
+      chunk.parts.push(entry.text);
+      chunk.tEnd = entry.endTime;
+
+      const text = chunk.parts.join(' ');
+      if (chunk.tEnd - chunk.tStart >= CHUNK_SECONDS || text.length > CHUNK_MAX_CHARS) {
+        chunks.push(toFinalizedChunk(chunk, entries));
+        chunk = null;
+      }
+    });
+    if (chunk) {
+      chunks.push(toFinalizedChunk(chunk, entries));
+    }
+    return chunks;
+  }
+
+  function toFinalizedChunk(chunk, entries) {
+    return {
+      chunk: {
+        chunkId: chunk.chunkId,
+        tStart: chunk.tStart,
+        tEnd: chunk.tEnd,
+        text: chunk.parts.join(' ')
+      },
+      tailContext: buildTailContext(entries, chunk.tEnd),
+      transcript: getEntriesInRange(entries, chunk.tStart, chunk.tEnd)
+    };
+  }
+
   function normalizeText(text) {
     return text
       .trim()
@@ -289,12 +631,14 @@
   }
 
   function buildStatusPayload() {
-    const captionsDetected = !!captionElement;
+    const captionsDetected = !!captionSource;
     const captionsUpdating = captionsDetected && isCaptionsUpdating();
     return {
       type: 'STATUS_UPDATE',
+      lectureId,
       captionsDetected,
-      captionElementDetected: captionsDetected,
+      captionElementDetected: !!captionElement,
+      captionSource,
       captionsUpdating,
       isCapturing,
       videoFound: !!videoElement
@@ -312,8 +656,10 @@
 
   function shallowStatusEqual(a, b) {
     return (
+      a.lectureId === b.lectureId &&
       a.captionsDetected === b.captionsDetected &&
       a.captionElementDetected === b.captionElementDetected &&
+      a.captionSource === b.captionSource &&
       a.captionsUpdating === b.captionsUpdating &&
       a.isCapturing === b.isCapturing &&
       a.videoFound === b.videoFound
@@ -321,8 +667,13 @@
   }
 
   function sendTranscriptUpdate() {
-    chrome.runtime.sendMessage({
+    chrome.runtime.sendMessage(buildTranscriptPayload());
+  }
+
+  function buildTranscriptPayload() {
+    return {
       type: 'TRANSCRIPT_UPDATE',
+      lectureId,
       transcript: transcriptBuffer.slice(-50),
       currentChunk: currentChunk
         ? {
@@ -332,7 +683,7 @@
             text: currentChunk.text
           }
         : null
-    });
+    };
   }
 
   function setupMessageListener() {
@@ -341,6 +692,7 @@
         case 'START_CAPTURE':
           isCapturing = true;
           refreshVideoElement();
+          refreshTextTrack();
           findAndAttachCaptionElement();
           refreshVideoMovement();
           sendStatus(true);
@@ -355,31 +707,53 @@
           break;
 
         case 'CLEAR_SESSION':
-          transcriptBuffer = [];
-          currentChunk = null;
-          chunkStartWallTime = null;
-          lastCaptionUpdateAt = 0;
+          resetCaptureState();
           isCapturing = false;
-          chrome.runtime.sendMessage({
-            type: 'TRANSCRIPT_UPDATE',
-            transcript: [],
-            currentChunk: null
-          });
+          sendTranscriptUpdate();
           sendStatus(true);
           break;
 
+        case 'GET_TRANSCRIPT':
+          sendResponse(buildTranscriptPayload());
+          break;
+
+        // Transcript updates carry only the last 50 entries; exports need all of them.
+        case 'GET_FULL_TRANSCRIPT':
+          sendResponse({
+            lectureId,
+            transcript: transcriptBuffer.map((entry) => ({
+              text: entry.text,
+              startTime: entry.startTime,
+              endTime: entry.endTime
+            }))
+          });
+          break;
+
         case 'GET_STATUS':
           refreshVideoElement();
+          refreshTextTrack();
           refreshVideoMovement();
           sendResponse({
-            captionsDetected: !!captionElement,
+            lectureId,
+            captionsDetected: !!captionSource,
             captionElementDetected: !!captionElement,
-            captionsUpdating: !!captionElement && isCaptionsUpdating(),
+            captionSource,
+            captionsUpdating: !!captionSource && isCaptionsUpdating(),
             isCapturing,
             videoFound: !!videoElement
           });
           break;
 
+        case 'GET_CATCH_UP_CHUNKS':
+          prepareCatchUp()
+            .then(sendResponse)
+            .catch((error) => sendResponse({ success: false, error: error.message }));
+          break;
+
+        case 'IMPORT_CAPTIONS':
+          sendResponse(importCaptionCues(message.cues));
+          break;
+
         case 'SEEK_VIDEO':
           if (videoElement && typeof message.time === 'number') {
             videoElement.currentTime = message.time;
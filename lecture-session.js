@@ -0,0 +1,51 @@
+// Panopto Smart Notes - Lecture Sessions
+// Lecture ids and session keys, shared by the content script, service worker and side panel.
+
+(function() {
+  'use strict';
+
+  // A Panopto lecture is identified by the viewer's id= parameter; other
+  // pages fall back to host + path.
+  function parseLectureId(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      return '';
+    }
+    for (const [name, value] of parsed.searchParams) {
+      if (name.toLowerCase() === 'id' && value.trim()) {
+        return value.trim().toLowerCase();
+      }
+    }
+    return `${parsed.host}${parsed.pathname}`.toLowerCase();
+  }
+
+  // Notes are isolated per tab and per Panopto lecture: "<tabId>:<lectureId>".
+  function buildSessionKey(tabId, lectureId) {
+    if (typeof tabId !== 'number' || !lectureId) return null;
+    return `${tabId}:${lectureId}`;
+  }
+
+  function getSessionLectureId(sessionKey) {
+    const separator = String(sessionKey || '').indexOf(':');
+    return separator >= 0 ? sessionKey.slice(separator + 1) : '';
+  }
+
+  function getSessionTabId(sessionKey) {
+    const tabId = parseInt(String(sessionKey || ''), 10);
+    return Number.isFinite(tabId) ? tabId : null;
+  }
+
+  function getNotesStorageKey(sessionKey) {
+    return `notesState:${sessionKey}`;
+  }
+
+  self.PanoptoLectureSession = Object.freeze({
+    parseLectureId,
+    buildSessionKey,
+    getSessionLectureId,
+    getSessionTabId,
+    getNotesStorageKey
+  });
+})();
@@ -1,30 +1,92 @@
 // Panopto Smart Notes - Service Worker
 // Handles model calls, note updates, and side panel routing.
 
+importScripts('lecture-session.js');
+
 (function() {
   'use strict';
 
+  const {
+    parseLectureId,
+    buildSessionKey,
+    getSessionLectureId,
+    getSessionTabId,
+    getNotesStorageKey
+  } = self.PanoptoLectureSession;
+
   const PROVIDERS = {
     GEMINI: 'gemini',
     OPENAI: 'openai',
-    ANTHROPIC: 'anthropic'
+    ANTHROPIC: 'anthropic',
+    CUSTOM: 'custom'
   };
   const DEFAULT_PROVIDER = PROVIDERS.GEMINI;
   const DEFAULT_MODELS = {
     [PROVIDERS.GEMINI]: 'gemini-2.0-flash',
     [PROVIDERS.OPENAI]: 'gpt-4o-mini',
-    [PROVIDERS.ANTHROPIC]: 'claude-3-5-haiku-latest'
+    [PROVIDERS.ANTHROPIC]: 'claude-3-5-haiku-latest',
+    [PROVIDERS.CUSTOM]: ''
   };
 
   const GEMINI_API_BASE = 'https://generativelanguage.googleapis.com/v1beta/models';
+  const GEMINI_AUTH_ERROR_RE = /API_KEY_INVALID|PERMISSION_DENIED/;
   const OPENAI_MODELS_URL = 'https://api.openai.com/v1/models';
   const OPENAI_CHAT_URL = 'https://api.openai.com/v1/chat/completions';
   const ANTHROPIC_MESSAGES_URL = 'https://api.anthropic.com/v1/messages';
+  const ANTHROPIC_MODELS_URL = 'https://api.anthropic.com/v1/models';
 
   const MIN_LLM_INTERVAL_MS = 5000;
+  const MODEL_REQUEST_TIMEOUT_MS = 90 * 1000;
+  const SERVER_ERROR_RETRY_DELAY_MS = 3000;
+  const RATE_LIMIT_COOLDOWN_MS = 60 * 1000;
+  const OFFLINE_GENERATOR = 'offline';
+  const MAX_USAGE_MONTHS = 12;
+  const MAX_UNPRICED_MODELS = 10;
+  const MAX_JOB_ATTEMPTS = 5;
+  const RETRY_BASE_DELAY_MS = 15000;
+  const RETRY_MAX_DELAY_MS = 5 * 60 * 1000;
+  const MAX_DONE_JOBS = 100;
+  const MAX_NOTE_VERSIONS = 50;
+  const NOTE_VERSION_SOURCES = {
+    CHUNK: 'chunk',
+    MANUAL: 'manual',
+    RESTORE: 'restore',
+    IMPORT: 'import'
+  };
+  const CHUNK_QUEUE_ALARM = 'chunk-queue-wake';
+
+  const LIBRARY_DB_NAME = 'panopto-smart-notes';
+  const LIBRARY_DB_VERSION = 1;
+  const LIBRARY_STORE = 'lectures';
+  const EXTRACTIVE_MAX_SENTENCE_WORDS = 40;
+  const EXTRACTIVE_MIN_SENTENCE_WORDS = 6;
+  const EXTRACTIVE_MAX_BULLETS_PER_CHUNK = 6;
+  const EXTRACTIVE_TOPIC_WINDOW = 3;
+  const EXTRACTIVE_TOPIC_SHIFT_SIMILARITY = 0.1;
+  const EXTRACTIVE_SECTION_MATCH_SIMILARITY = 0.25;
+  const EXTRACTIVE_CUE_RE = /\b(is defined as|is called|refers to|means|is known as|in other words|the key|important|for example|because|therefore)\b/i;
+  const QA_PASSAGE_SECONDS = 45;
+  const QA_MAX_PASSAGES = 6;
+  const QA_MAX_HISTORY_TURNS = 6;
+  const MAX_FLASHCARDS = 40;
+  const MAX_FLASHCARD_SOURCE_ITEMS = 150;
+  const FLASHCARD_TYPES = {
+    BASIC: 'basic',
+    CLOZE: 'cloze'
+  };
   const MODEL_CACHE_TTL_MS = 5 * 60 * 1000;
   const MAX_SECTIONS = 30;
   const MAX_BULLETS_PER_SECTION = 80;
+  const MAX_PATCH_OPS = 24;
+  const MERGER_CONTEXT_SECTIONS = 4;
+  const MERGER_CONTEXT_BULLETS = 8;
+  const MAX_GLOSSARY_TERMS = 150;
+  const NOTES_PATCH_OPS = {
+    ADD_SECTION: 'add_section',
+    APPEND_BULLET: 'append_bullet',
+    REVISE_BULLET: 'revise_bullet',
+    DEFINE_TERM: 'define_term'
+  };
 
   const PREFERRED_MODELS = {
     [PROVIDERS.GEMINI]: [
@@ -43,7 +105,8 @@
       'claude-3-5-haiku-latest',
       'claude-3-5-sonnet-latest',
       'claude-3-7-sonnet-latest'
-    ]
+    ],
+    [PROVIDERS.CUSTOM]: []
   };
 
   const STOPWORDS = new Set([
@@ -52,14 +115,237 @@
     'was', 'were', 'with', 'we', 'you', 'your'
   ]);
 
+  // Spoken-lecture words that carry no topic; used only by offline notes.
+  const SPOKEN_STOPWORDS = new Set([
+    'about', 'actually', 'after', 'again', 'all', 'also', 'any', 'because', 'been', 'before', 'but',
+    'can', 'could', 'did', 'does', 'doing', 'done', 'each', 'even', 'get', 'gets', 'getting', 'going',
+    'gonna', 'got', 'had', 'has', 'have', 'having', 'here', 'how', 'just', 'kind', 'know', 'let',
+    'like', 'look', 'lot', 'make', 'many', 'maybe', 'more', 'most', 'much', 'need', 'not', 'now',
+    'okay', 'one', 'only', 'other', 'our', 'out', 'over', 'really', 'right', 'said', 'same', 'say',
+    'see', 'should', 'some', 'something', 'sort', 'still', 'sure', 'take', 'talk', 'than', 'then',
+    'there', 'these', 'they', 'thing', 'things', 'think', 'those', 'through', 'two', 'very', 'want',
+    'way', 'well', 'what', 'when', 'where', 'which', 'while', 'who', 'why', 'will', 'would', 'yeah',
+    'yes', 'able', 'basically', 'mean', 'put', 'use', 'used', 'using', 'three', 'first', 'next'
+  ]);
+
+  const JOB_STATUS = {
+    PENDING: 'pending',
+    RUNNING: 'running',
+    DONE: 'done',
+    FAILED: 'failed'
+  };
+
+  const NOTES_PATCH_SCHEMA = [
+    '{ "title": string | null, "ops": [',
+    '  { "op": "add_section", "heading": string, "bullets": string[] }',
+    '  | { "op": "append_bullet", "sectionId": string, "text": string }',
+    '  | { "op": "revise_bullet", "bulletId": string, "text": string }',
+    '  | { "op": "define_term", "term": string, "definition": string }',
+    '] }',
+    'Fields an op does not use may be null.'
+  ].join('\n');
+  // Same shape as NOTES_PATCH_SCHEMA for provider-native structured output.
+  // Ops are one flat object so every field is required, as OpenAI strict mode needs.
+  const NOTES_PATCH_JSON_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'ops'],
+    properties: {
+      title: { type: ['string', 'null'] },
+      ops: {
+        type: 'array',
+        items: {
+          type: 'object',
+          additionalProperties: false,
+          required: ['op', 'heading', 'bullets', 'sectionId', 'bulletId', 'text', 'term', 'definition'],
+          properties: {
+            op: { type: 'string', enum: Object.values(NOTES_PATCH_OPS) },
+            heading: { type: ['string', 'null'] },
+            bullets: { type: ['array', 'null'], items: { type: 'string' } },
+            sectionId: { type: ['string', 'null'] },
+            bulletId: { type: ['string', 'null'] },
+            text: { type: ['string', 'null'] },
+            term: { type: ['string', 'null'] },
+            definition: { type: ['string', 'null'] }
+          }
+        }
+      }
+    }
+  };
+  const DEFAULT_PROMPT_PROFILE_ID = 'default';
+  const MAX_PROFILE_PROMPT_CHARS = 4000;
+  const PROMPT_STAGES = ['cleaner', 'merger'];
+  // Built-in stage prompts. A profile can extend or replace `rules`; `intro`
+  // and `required` always stay because the pipeline depends on them.
+  const BUILTIN_STAGE_PROMPTS = {
+    cleaner: {
+      intro: [
+        'You clean noisy live lecture captions into clear academic text.',
+        'Rules:'
+      ],
+      rules: [
+        '- Remove filler words, false starts, and casual backchanneling.',
+        '- Reconstruct broken sentences and punctuation.',
+        '- Keep only lecture substance: definitions, methods, examples, comparisons, conclusions.',
+        '- Preserve technical terms, equations, symbols, and numeric values exactly.',
+        '- Do NOT summarize or shorten substantive content.'
+      ],
+      required: [
+        '- Output plain text paragraphs only (no bullets, no headings).'
+      ]
+    },
+    merger: {
+      intro: [
+        'You are an expert lecture note-taker maintaining one cumulative lecture note document.',
+        'You will turn new cleaned transcript text into edit operations on the existing notes.',
+        '',
+        'Strict rules:'
+      ],
+      rules: [
+        '- Use only transcript-supported content.',
+        '- No exam tips, study tips, helpful hints, or key takeaways.',
+        '- Prefer append_bullet to an existing section; use add_section only when a clearly new topic appears.',
+        '- Avoid duplicates; do not re-add an existing point.',
+        '- Use specific concept headings instead of generic labels like "Lecture 6" alone.',
+        '- When useful, encode hierarchy in heading text as "Main Topic :: Subtopic".',
+        '- Keep bullets concise and factual.'
+      ],
+      required: [
+        '- Existing notes cannot be deleted. Only add what the new transcript contributes.',
+        '- Use revise_bullet only to correct or complete a listed bullet, never to shorten it.',
+        '- Never revise bullets marked (locked); the student wrote or pinned them.',
+        '- Use define_term when the transcript defines a term; repeat a listed glossary term only to correct or complete its definition.',
+        '- Return {"title": null, "ops": []} when the transcript adds nothing new.',
+        '- Return ONLY valid JSON matching the schema exactly.'
+      ]
+    }
+  };
+  const USAGE_STAGES = {
+    CLEANER: 'cleaner',
+    MERGER: 'merger',
+    REPAIR: 'repair',
+    QA: 'qa',
+    FLASHCARDS: 'flashcards',
+    TEST: 'test'
+  };
+  const NOTE_CONFLICT_KINDS = {
+    TITLE: 'title',
+    EDITED: 'edited',
+    DELETED: 'deleted',
+    SECTION_DELETED: 'section_deleted'
+  };
+  // Note stages that can run on their own provider and model.
+  const MODEL_STAGES = [USAGE_STAGES.CLEANER, USAGE_STAGES.MERGER, USAGE_STAGES.REPAIR];
+  // USD per million tokens, matched by longest model-name prefix. Prices saved
+  // in aiSettings.prices take precedence; unlisted models count as free.
+  const DEFAULT_MODEL_PRICES = {
+    'gemini-2.5-pro': { input: 1.25, output: 10 },
+    'gemini-2.5-flash-lite': { input: 0.1, output: 0.4 },
+    'gemini-2.5-flash': { input: 0.3, output: 2.5 },
+    'gemini-2.0-flash-lite': { input: 0.075, output: 0.3 },
+    'gemini-2.0-flash': { input: 0.1, output: 0.4 },
+    'gemini-1.5-flash': { input: 0.075, output: 0.3 },
+    'gemini-1.5-pro': { input: 1.25, output: 5 },
+    'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+    'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+    'gpt-4.1': { input: 2, output: 8 },
+    'gpt-4o-mini': { input: 0.15, output: 0.6 },
+    'gpt-4o': { input: 2.5, output: 10 },
+    'claude-3-5-haiku': { input: 0.8, output: 4 },
+    'claude-haiku-4-5': { input: 1, output: 5 },
+    'claude-3-5-sonnet': { input: 3, output: 15 },
+    'claude-3-7-sonnet': { input: 3, output: 15 },
+    'claude-sonnet-4': { input: 3, output: 15 }
+  };
+  const PROVIDER_ERROR_KINDS = {
+    AUTH: 'auth',
+    RATE_LIMIT: 'rate_limit',
+    SERVER: 'server',
+    TIMEOUT: 'timeout',
+    NETWORK: 'network',
+    OTHER: 'other'
+  };
+  const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    html: { extension: 'html', mimeType: 'text/html' },
+    print: { extension: 'html', mimeType: 'text/html' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    opml: { extension: 'opml', mimeType: 'text/x-opml' },
+    obsidian: { extension: 'md', mimeType: 'text/markdown' },
+    docx: { extension: 'docx', mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', binary: true }
+  };
+  const DEFAULT_EXPORT_TAGS = ['lecture', 'panopto'];
+  const MAX_WIKI_LINK_TERMS = 30;
+  // "Term: ..." or "Term is defined as / refers to / means ..." at the start of a bullet.
+  const KEY_TERM_DEFINITION_RE = /^([^:;,.()\[\]]{3,60}?)(?:\s*:\s+|\s+(?:is defined as|refers to|means)\s)/i;
+  const GENERIC_TERM_LABELS = new Set(['example', 'examples', 'note', 'definition', 'important', 'key idea', 'summary', 'formula', 'intuition', 'why', 'how', 'idea', 'result', 'goal', 'problem', 'solution', 'answer', 'question', 'reminder', 'tip']);
+  const TRANSCRIPT_EXPORT_FORMATS = {
+    srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+    vtt: { extension: 'vtt', mimeType: 'text/vtt' },
+    txt: { extension: 'txt', mimeType: 'text/plain' },
+    json: { extension: 'json', mimeType: 'application/json' }
+  };
+  // Merged transcript cues end at sentence punctuation, a pause, or this length.
+  const TRANSCRIPT_SENTENCE_MAX_SECONDS = 20;
+  const TRANSCRIPT_SENTENCE_MAX_GAP_SECONDS = 3;
+  // Cues captured from the caption element have no end time; they last until the next cue or this long.
+  const TRANSCRIPT_DEFAULT_CUE_SECONDS = 3;
+  const HTML_EXPORT_CSS = `body { max-width: 760px; margin: 32px auto; padding: 0 20px; font: 15px/1.6 system-ui, sans-serif; color: #1b2733; background: #fbfdff; }
+h1 { font-size: 26px; margin-bottom: 4px; }
+h2 { font-size: 19px; margin-top: 28px; padding-bottom: 4px; border-bottom: 1px solid #d2e3f5; }
+h3 { font-size: 16px; margin-top: 18px; color: #2f465d; }
+.meta { color: #5f7387; font-size: 13px; }
+ul { padding-left: 22px; }
+li { margin-bottom: 4px; }
+dt { font-weight: 600; margin-top: 8px; }
+dd { margin: 2px 0 0 22px; }
+.ts { margin-left: 4px; font-size: 12px; color: #1f6fe0; text-decoration: none; white-space: nowrap; }
+@media (prefers-color-scheme: dark) {
+  body { color: #ebf4ff; background: #17283c; }
+  h2 { border-color: #2b4864; }
+  h3 { color: #c8d9ee; }
+  .meta { color: #9db2cb; }
+  .ts { color: #5aa4ff; }
+}`;
+
+  const PRINT_EXPORT_CSS = `@page { size: auto; margin: 18mm 16mm; }
+body { margin: 0 auto; max-width: 180mm; font: 11pt/1.45 Georgia, "Times New Roman", serif; color: #000; background: #fff; }
+h1 { font-size: 20pt; margin: 0 0 2pt; }
+h2 { font-size: 14pt; margin: 16pt 0 4pt; break-after: avoid; page-break-after: avoid; }
+h3 { font-size: 12pt; margin: 10pt 0 3pt; break-after: avoid; page-break-after: avoid; }
+.meta { font-size: 9pt; color: #444; margin-bottom: 10pt; }
+ul { margin: 0 0 6pt; padding-left: 16pt; }
+li { margin-bottom: 2pt; break-inside: avoid; page-break-inside: avoid; }
+dt { font-weight: bold; margin-top: 5pt; break-after: avoid; page-break-after: avoid; }
+dd { margin: 1pt 0 0 16pt; break-inside: avoid; page-break-inside: avoid; }
+a { color: inherit; text-decoration: none; }
+.ts { margin-left: 3pt; font-size: 8.5pt; color: #555; white-space: nowrap; }`;
+  const DOCX_STYLES = '<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/></w:rPr></w:rPrDefault>'
+    + '<w:pPrDefault><w:pPr><w:spacing w:after="80"/></w:pPr></w:pPrDefault></w:docDefaults>'
+    + '<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:after="120"/></w:pPr><w:rPr><w:b/><w:sz w:val="40"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Subtitle"><w:name w:val="Subtitle"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:rPr><w:color w:val="5F7387"/><w:sz w:val="20"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="280" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:sz w:val="30"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="Heading2"><w:name w:val="heading 2"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:keepNext/><w:spacing w:before="200" w:after="60"/><w:outlineLvl w:val="1"/></w:pPr><w:rPr><w:b/><w:sz w:val="26"/></w:rPr></w:style>'
+    + '<w:style w:type="paragraph" w:styleId="ListParagraph"><w:name w:val="List Paragraph"/><w:basedOn w:val="Normal"/><w:pPr><w:ind w:left="720"/></w:pPr></w:style>'
+    + '<w:style w:type="character" w:styleId="Hyperlink"><w:name w:val="Hyperlink"/><w:rPr><w:color w:val="1F6FE0"/><w:u w:val="single"/></w:rPr></w:style>';
   const FILLER_ONLY_RE = /^(uh+|um+|hmm+|mm+|yeah+|okay+|ok+|right+|so+|well+|like+|you know|i mean|alright|all right|let's see|huh)[\s,.\-!?]*$/i;
   const BANNED_NOTE_CONTENT_RE = /(exam tips?|study tips?|helpful hints?|key takeaways?|test strategy|quiz strategy)/i;
 
-  let llmQueue = Promise.resolve();
+  let chunkQueueWrites = Promise.resolve();
+  let isChunkQueueRunning = false;
+  let chunkQueueTimer = null;
   let lastLlmCallAt = 0;
+  let libraryDbPromise = null;
+  let usageWrites = Promise.resolve();
+  let crc32Table = null;
+  // provider -> time until which rate-limited providers are skipped in the chain.
+  const providerCooldowns = new Map();
   const modelCache = {
     [PROVIDERS.GEMINI]: { apiKey: '', fetchedAt: 0, models: [] },
-    [PROVIDERS.OPENAI]: { apiKey: '', fetchedAt: 0, models: [] }
+    [PROVIDERS.OPENAI]: { apiKey: '', fetchedAt: 0, models: [] },
+    [PROVIDERS.ANTHROPIC]: { apiKey: '', fetchedAt: 0, models: [] },
+    [PROVIDERS.CUSTOM]: { apiKey: '', baseUrl: '', fetchedAt: 0, models: [] }
   };
 
   chrome.runtime.onInstalled.addListener(() => {
@@ -70,21 +356,36 @@
     chrome.sidePanel.open({ tabId: tab.id });
   });
 
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    forgetTabSessions(tabId).catch((error) => console.error('Failed to clear closed tab sessions:', error));
+  });
+
+  chrome.alarms.onAlarm.addListener((alarm) => {
+    if (alarm.name === CHUNK_QUEUE_ALARM) {
+      runChunkQueue();
+    }
+  });
+
   chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     switch (message.type) {
       case 'FINALIZE_CHUNK':
-        llmQueue = llmQueue
-          .then(() => handleFinalizeChunk(message.chunk, message.tailContext))
-          .catch((error) => console.error('Chunk processing failed:', error));
+        enqueueChunkJobs(
+          [{ chunk: message.chunk, tailContext: message.tailContext, transcript: message.transcript }],
+          getSenderSessionKey(message, sender)
+        ).catch((error) => console.error('Failed to queue chunk:', error));
         break;
 
       case 'STATUS_UPDATE':
       case 'TRANSCRIPT_UPDATE':
-        broadcastToSidePanel(message);
+        broadcastToSidePanel({
+          ...message,
+          tabId: sender.tab ? sender.tab.id : null,
+          sessionKey: getSenderSessionKey(message, sender)
+        });
         break;
 
       case 'GET_NOTES_STATE':
-        getNotesState().then((notes) => sendResponse({ notes }));
+        getNotesState(message.sessionKey).then((notes) => sendResponse({ notes }));
         return true;
 
       case 'GET_AI_SETTINGS':
@@ -111,207 +412,1953 @@
           .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
 
-      case 'EXPORT_MARKDOWN':
-        exportToMarkdown().then((markdown) => sendResponse({ markdown }));
+      case 'GET_USAGE':
+        getUsageView(message.sessionKey)
+          .then((usage) => sendResponse({ success: true, usage }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SAVE_USAGE_SETTINGS':
+        saveUsageSettings(message)
+          .then((settings) => sendResponse({ success: true, settings: buildAiSettingsView(settings) }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GET_PROMPT_PROFILES':
+        getPromptProfilesView(message.sessionKey)
+          .then((view) => sendResponse({ success: true, ...view }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SAVE_PROMPT_PROFILE':
+        savePromptProfile(message.profile)
+          .then((profile) => sendResponse({ success: true, profile }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'DELETE_PROMPT_PROFILE':
+        deletePromptProfile(message.profileId)
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SET_LECTURE_PROMPT_PROFILE':
+        setLecturePromptProfile(message.sessionKey, message.profileId)
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'PREVIEW_PROMPT_PROFILE':
+        sendResponse({ success: true, prompts: previewPromptProfile(message.profile) });
+        return false;
+
+      case 'TEST_PROMPT_PROFILE':
+        testPromptProfile(message)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'EXPORT_PROMPT_PROFILES':
+        exportPromptProfiles()
+          .then((content) => sendResponse({ success: true, content }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'IMPORT_PROMPT_PROFILES':
+        importPromptProfiles(message.content)
+          .then((count) => sendResponse({ success: true, count }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIST_PROVIDER_MODELS':
+        listProviderModels(message)
+          .then((models) => sendResponse({ success: true, models }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'START_CATCH_UP':
+        startCatchUp(message.sessionKey, message.chunks)
+          .then((job) => sendResponse({ success: true, job }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'CANCEL_CATCH_UP':
+        cancelCatchUp(message.sessionKey)
+          .then((job) => sendResponse({ success: true, job }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GET_CATCH_UP_STATUS':
+        loadChunkQueue().then((queue) => sendResponse({ job: buildCatchUpView(queue, message.sessionKey) }));
+        return true;
+
+      case 'GET_CHUNK_QUEUE':
+        loadChunkQueue().then((queue) => sendResponse({ queue: buildQueueView(queue, message.sessionKey) }));
+        return true;
+
+      case 'RETRY_CHUNK_JOBS':
+        retryChunkJobs(message.sessionKey, message.jobId)
+          .then((queue) => sendResponse({ success: true, queue }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'EXPORT_NOTES':
+        exportNotes(message.sessionKey, message.lectureId, message.format, message.options)
+          .then((file) => sendResponse({ success: true, file }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'EXPORT_LIBRARY_ZIP':
+        exportLibraryZip(message.options)
+          .then((file) => sendResponse({ success: true, file }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'EXPORT_TRANSCRIPT':
+        exportTranscript(message.sessionKey, message.lectureId, message.format, message.mergeSentences, message.liveTranscript)
+          .then((file) => sendResponse({ success: true, file }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'ASK_LECTURE':
+        askLecture(message.sessionKey, message.question, message.history, message.recentTranscript)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GENERATE_FLASHCARDS':
+        generateFlashcards(message.sessionKey)
+          .then((cards) => sendResponse({ success: true, cards }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GET_FLASHCARDS':
+        getFlashcards(message.sessionKey)
+          .then((cards) => sendResponse({ success: true, cards }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SAVE_FLASHCARDS':
+        saveFlashcards(message.sessionKey, message.cards)
+          .then((cards) => sendResponse({ success: true, cards }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'EXPORT_FLASHCARDS':
+        exportFlashcards(message.sessionKey, message.format)
+          .then((content) => sendResponse({ success: true, content }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIBRARY_LIST':
+        listLibraryLectures()
+          .then((lectures) => sendResponse({ success: true, lectures }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIBRARY_GET':
+        getLibraryLecture(message.lectureId)
+          .then(({ history, ...lecture }) => sendResponse({ success: true, lecture }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIBRARY_RENAME':
+        renameLibraryLecture(message.lectureId, message.title)
+          .then((lecture) => sendResponse({ success: true, lecture: buildLibrarySummary(lecture) }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'LIBRARY_DELETE':
+        deleteLibraryLecture(message.lectureId)
+          .then(() => sendResponse({ success: true }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
 
       case 'SAVE_NOTES_STATE':
-        saveManualNotesState(message.notes)
+        saveManualNotesState(message.sessionKey, message.notes, message.baseNotes, message.resolutions)
+          .then((result) => sendResponse({ success: true, ...result }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'GET_NOTES_HISTORY':
+        getNotesHistory(message.sessionKey)
+          .then((versions) => sendResponse({ success: true, versions }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'DIFF_NOTES_VERSIONS':
+        diffNotesVersions(message.sessionKey, message.fromId, message.toId)
+          .then((diff) => sendResponse({ success: true, diff }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'RESTORE_NOTES_VERSION':
+        restoreNotesVersion(message.sessionKey, message.versionId)
+          .then((notes) => sendResponse({ success: true, notes }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'UNDO_LAST_AI_MERGE':
+        undoLastAiMerge(message.sessionKey)
+          .then((notes) => sendResponse({ success: true, notes }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'IMPORT_NOTES_STATE':
+        importNotesState(message.sessionKey, message.notes)
+          .then((notes) => sendResponse({ success: true, notes }))
+          .catch((error) => sendResponse({ success: false, error: error.message }));
+        return true;
+
+      case 'SET_NOTE_PINNED':
+        setNotePinned(message.sessionKey, message.noteId, message.pinned)
           .then((notes) => sendResponse({ success: true, notes }))
           .catch((error) => sendResponse({ success: false, error: error.message }));
         return true;
 
       case 'CLEAR_SESSION':
-        clearSession().then(() => sendResponse({ success: true }));
+        clearSession(message.sessionKey).then(() => sendResponse({ success: true }));
         return true;
 
-      default:
-        break;
+      default:
+        break;
+    }
+    return false;
+  });
+
+  async function handleFinalizeChunk(sessionKey, chunk, tailContext, isFinalAttempt) {
+    if (!chunk || !chunk.text || !chunk.text.trim()) return;
+
+    const currentNotes = await getNotesState(sessionKey);
+    // Chunks are applied in order, so a job resumed after the worker was
+    // suspended between saving its notes and being marked done shows up as
+    // the last applied chunk. Applying it again would duplicate notes and cost.
+    if (isChunkApplied(currentNotes, chunk)) return;
+    const aiSettings = await getAiSettings();
+    const chain = getProviderChain(aiSettings);
+    const profile = await getPromptProfileForSession(sessionKey);
+
+    // With AI off or no provider configured, notes are still built locally.
+    if (!aiSettings.aiNotesEnabled || chain.length === 0) {
+      await saveSessionNotes(sessionKey, chunk, currentNotes, buildExtractiveNotes(currentNotes, chunk), { provider: OFFLINE_GENERATOR, model: null });
+      return;
+    }
+    // A reached budget pauses AI processing; offline notes keep the lecture covered.
+    const budgetStatus = await getBudgetStatus(sessionKey, aiSettings);
+    if (budgetStatus.exceeded) {
+      await saveSessionNotes(sessionKey, chunk, currentNotes, buildExtractiveNotes(currentNotes, chunk), { provider: OFFLINE_GENERATOR, model: null });
+      broadcastToSidePanel({ type: 'BUDGET_STATUS', sessionKey, ...budgetStatus });
+      return;
+    }
+
+    const failures = [];
+    for (const provider of chain) {
+      const result = await tryProviderNotesUpdate(sessionKey, provider, aiSettings, currentNotes, chunk, tailContext || '', profile);
+      if (result.notes) {
+        await saveSessionNotes(sessionKey, chunk, currentNotes, result.notes, result.generatedBy);
+        if (failures.length > 0) {
+          broadcastToSidePanel({
+            type: 'ERROR',
+            sessionKey,
+            message: `${describeProviderFailures(failures)} Used ${provider} for this chunk.`
+          });
+        }
+        return;
+      }
+      failures.push({ provider, kind: result.kind, message: result.error.message, retryAt: result.retryAt });
+    }
+
+    const message = describeProviderFailures(failures);
+    // Everything but a rejected key may clear up within the retry window
+    // (a dropped connection, a laptop waking from sleep, a busy provider), so
+    // offline notes are used at once only when every provider failed on auth.
+    const retryable = failures.some((failure) => failure.kind !== PROVIDER_ERROR_KINDS.AUTH);
+    if (!isFinalAttempt && retryable) {
+      const error = new Error(message);
+      // A rate-limited chunk is not retried before a provider's cooldown ends.
+      const cooldowns = failures.map((failure) => failure.retryAt).filter(Number.isFinite);
+      if (cooldowns.length > 0) error.retryAt = Math.min(...cooldowns);
+      throw error;
+    }
+    await saveSessionNotes(sessionKey, chunk, currentNotes, buildExtractiveNotes(currentNotes, chunk), { provider: OFFLINE_GENERATOR, model: null });
+    broadcastToSidePanel({ type: 'ERROR', sessionKey, message: `${message} Used offline notes for this chunk.` });
+  }
+
+  function isChunkApplied(notes, chunk) {
+    return Boolean(chunk.chunkId) && notes.lastChunkId === chunk.chunkId;
+  }
+
+  // One provider's turn in the fallback chain. A 5xx gets one more try on the
+  // same provider; a 429 also benches the provider that sent it for later
+  // chunks.
+  async function tryProviderNotesUpdate(sessionKey, provider, aiSettings, currentNotes, chunk, tailContext, profile) {
+    const apiKey = getProviderApiKey(aiSettings, provider);
+    const baseUrl = getProviderBaseUrl(aiSettings, provider);
+    let lastError = null;
+    let kind = PROVIDER_ERROR_KINDS.OTHER;
+
+    for (let attempt = 0; attempt < 2; attempt += 1) {
+      await waitForRateLimit();
+      try {
+        const model = await resolveModelForProvider(provider, apiKey, aiSettings.models[provider], baseUrl);
+        const base = { provider, apiKey, baseUrl, model };
+        const stages = await resolveStageContexts(aiSettings, base);
+        const notes = await updateNotesWithLLM(currentNotes, chunk, tailContext, { ...base, stages, sessionKey, profile });
+        const merger = stages[USAGE_STAGES.MERGER];
+        return { notes, generatedBy: { provider: merger.provider, model: merger.model } };
+      } catch (error) {
+        console.error(`Error updating notes with ${provider}:`, error);
+        lastError = error;
+        kind = classifyProviderError(error);
+        if (kind !== PROVIDER_ERROR_KINDS.SERVER || attempt > 0) break;
+        await sleep(SERVER_ERROR_RETRY_DELAY_MS);
+      }
+    }
+
+    if (kind === PROVIDER_ERROR_KINDS.RATE_LIMIT) {
+      // Bench the provider that returned the 429, not necessarily this one.
+      const retryAt = Date.now() + RATE_LIMIT_COOLDOWN_MS;
+      providerCooldowns.set((lastError && lastError.provider) || provider, retryAt);
+      return { notes: null, kind, error: lastError, retryAt };
+    }
+    return { notes: null, kind, error: lastError };
+  }
+
+  // Per-stage choices apply on the selected provider's turn. On a fallback's
+  // turn they apply only if they name that provider, so a fallback is not
+  // routed back to the provider that just failed. A stage provider cooling
+  // down after a 429 is left out until its cooldown ends.
+  async function resolveStageContexts(settings, base) {
+    const stages = {};
+    for (const stage of MODEL_STAGES) {
+      const choice = settings.stageModels[stage];
+      const provider = choice.provider;
+      const apiKey = provider ? getProviderApiKey(settings, provider) : '';
+      const applies = Boolean(provider) &&
+        (provider === base.provider || base.provider === settings.provider) &&
+        !getProviderSetupError(settings, provider, apiKey) &&
+        !(provider !== base.provider && providerCooldowns.get(provider) > Date.now());
+      if (!applies) {
+        stages[stage] = base;
+        continue;
+      }
+      const baseUrl = getProviderBaseUrl(settings, provider);
+      const model = await resolveModelForProvider(provider, apiKey, choice.model || settings.models[provider], baseUrl);
+      stages[stage] = { provider, apiKey, baseUrl, model };
+    }
+    return stages;
+  }
+
+  function getStageContext(aiContext, stage) {
+    return aiContext.stages && aiContext.stages[stage] ? aiContext.stages[stage] : aiContext;
+  }
+
+  // Selected provider first, then the saved fallback order. Providers without
+  // a key (or base URL) are left out; rate-limited ones wait their cooldown
+  // unless nothing else is left.
+  function getProviderChain(settings) {
+    const configured = [settings.provider, ...settings.fallbackProviders]
+      .filter((provider, index, list) => list.indexOf(provider) === index)
+      .filter((provider) => !getProviderSetupError(settings, provider, getProviderApiKey(settings, provider)));
+    const now = Date.now();
+    const ready = configured.filter((provider) => !(providerCooldowns.get(provider) > now));
+    return ready.length > 0 ? ready : configured;
+  }
+
+  function classifyProviderError(error) {
+    if (error && error.name === 'TimeoutError') return PROVIDER_ERROR_KINDS.TIMEOUT;
+    if (error instanceof TypeError) return PROVIDER_ERROR_KINDS.NETWORK;
+    const status = error && error.status;
+    if (status === 401 || status === 403 || (error && error.authFailure)) return PROVIDER_ERROR_KINDS.AUTH;
+    if (status === 429) return PROVIDER_ERROR_KINDS.RATE_LIMIT;
+    if (status >= 500) return PROVIDER_ERROR_KINDS.SERVER;
+    return PROVIDER_ERROR_KINDS.OTHER;
+  }
+
+  function describeProviderFailures(failures) {
+    return failures
+      .map((failure) => `${failure.provider} notes update failed (${failure.kind}): ${failure.message}`)
+      .join(' ');
+  }
+
+  // The chunk was built from baseNotes. Anything saved while the model was
+  // working (an editor save, import or restore) is merged back in the same
+  // way an editor save merges AI updates, with the user's side kept on
+  // conflicts. Pins toggled meanwhile are read back from storage.
+  async function saveSessionNotes(sessionKey, chunk, baseNotes, notes, generatedBy) {
+    const latest = await getNotesState(sessionKey);
+    if (isChunkApplied(latest, chunk)) return;
+    const next = normalizeNotesState(notes);
+    if (getNotesContentKey(latest) !== getNotesContentKey(baseNotes)) {
+      const merged = mergeEditedNotes(baseNotes, latest, next, resolveChunkConflict).notes;
+      next.title = merged.title;
+      next.sections = merged.sections;
+    }
+    next.glossary = mergeChunkGlossary(normalizeNotesState(baseNotes).glossary, latest.glossary, next.glossary);
+    const pins = new Map();
+    latest.sections.forEach((section) => {
+      pins.set(section.id, section.pinned);
+      section.bullets.forEach((bullet) => pins.set(bullet.id, bullet.pinned));
+    });
+    next.sections.forEach((section) => {
+      if (pins.has(section.id)) section.pinned = pins.get(section.id);
+      section.bullets.forEach((bullet) => {
+        if (pins.has(bullet.id)) bullet.pinned = pins.get(bullet.id);
+      });
+    });
+    const saved = await updateNotesState(sessionKey, { ...next, generatedBy });
+    await recordNotesVersion(sessionKey, saved, NOTE_VERSION_SOURCES.CHUNK);
+    broadcastToSidePanel({ type: 'NOTES_UPDATE', sessionKey, notes: saved });
+  }
+
+  // Per term, the chunk's entry wins unless the stored entry was added,
+  // changed or removed since the chunk started.
+  function mergeChunkGlossary(baseGlossary, latestGlossary, chunkGlossary) {
+    const byKey = (glossary) => new Map(glossary.map((entry) => [getGlossaryTermKey(entry.term), entry]));
+    const base = byKey(baseGlossary);
+    const latest = byKey(latestGlossary);
+    const changed = (key) => {
+      const before = base.get(key);
+      const after = latest.get(key);
+      return !before || !after ? before !== after : before.term !== after.term || before.definition !== after.definition;
+    };
+    const merged = chunkGlossary.filter((entry) => !changed(getGlossaryTermKey(entry.term)));
+    latestGlossary.forEach((entry) => {
+      if (changed(getGlossaryTermKey(entry.term))) merged.push(entry);
+    });
+    return merged;
+  }
+
+  // Title, headings and bullet text with their ids; pins are left out.
+  function getNotesContentKey(notes) {
+    const normalized = normalizeNotesState(notes);
+    return JSON.stringify([
+      normalized.title,
+      normalized.sections.map((section) => [
+        section.id,
+        section.heading,
+        section.bullets.map((bullet) => [bullet.id, bullet.text])
+      ])
+    ]);
+  }
+
+  // Nobody is asked while a chunk is saved: a bullet both sides changed keeps
+  // the user's text plus the AI version, and deletions by the user stand.
+  function resolveChunkConflict(conflict) {
+    return conflict.options.includes('both') ? 'both' : 'mine';
+  }
+
+  function createHttpError(message, status) {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+  }
+
+  // Durable chunk queue. Finalized chunks are written to chrome.storage.local
+  // before processing so they survive service worker suspension and browser
+  // restarts; failed chunks retry with exponential backoff.
+  function defaultChunkQueue() {
+    return {
+      jobs: [],
+      catchUps: {}
+    };
+  }
+
+  async function loadChunkQueue() {
+    const result = await chrome.storage.local.get(['chunkQueue']);
+    const stored = result.chunkQueue;
+    if (!stored || typeof stored !== 'object') return defaultChunkQueue();
+    return {
+      jobs: Array.isArray(stored.jobs) ? stored.jobs.filter((job) => job && job.id && job.chunk && job.sessionKey) : [],
+      catchUps: stored.catchUps && typeof stored.catchUps === 'object' ? stored.catchUps : {}
+    };
+  }
+
+  function mutateChunkQueue(mutator) {
+    const run = chunkQueueWrites.then(async () => {
+      const queue = await loadChunkQueue();
+      const result = mutator(queue);
+      pruneChunkQueue(queue);
+      await chrome.storage.local.set({ chunkQueue: queue });
+      return { queue, result };
+    });
+    chunkQueueWrites = run.catch(() => {});
+    return run;
+  }
+
+  function pruneChunkQueue(queue) {
+    const activeBatchIds = new Set(Object.values(queue.catchUps).map((catchUp) => catchUp.batchId));
+    const doneJobs = queue.jobs.filter((job) => job.status === JOB_STATUS.DONE && !activeBatchIds.has(job.batchId));
+    if (doneJobs.length <= MAX_DONE_JOBS) return;
+    const dropIds = new Set(doneJobs.slice(0, doneJobs.length - MAX_DONE_JOBS).map((job) => job.id));
+    queue.jobs = queue.jobs.filter((job) => !dropIds.has(job.id));
+  }
+
+  function buildChunkJob(sessionKey, chunk, tailContext, batchId) {
+    const now = Date.now();
+    return {
+      id: chunk.chunkId || `job_${now}_${Math.random().toString(36).slice(2, 9)}`,
+      sessionKey,
+      chunk: {
+        chunkId: chunk.chunkId || null,
+        tStart: typeof chunk.tStart === 'number' ? chunk.tStart : 0,
+        tEnd: typeof chunk.tEnd === 'number' ? chunk.tEnd : 0,
+        text: String(chunk.text || '')
+      },
+      tailContext: typeof tailContext === 'string' ? tailContext : '',
+      batchId: batchId || null,
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      nextAttemptAt: now,
+      lastError: null,
+      createdAt: now,
+      updatedAt: now
+    };
+  }
+
+  async function enqueueChunkJobs(items, sessionKey, batchId) {
+    if (!sessionKey) {
+      throw new Error('Chunk is missing its lecture session.');
+    }
+    const { queue } = await mutateChunkQueue((queue) => {
+      const knownIds = new Set(queue.jobs.map((job) => job.id));
+      items.forEach((item) => {
+        if (!item || !item.chunk || !item.chunk.text || !item.chunk.text.trim()) return;
+        const job = buildChunkJob(sessionKey, item.chunk, item.tailContext, batchId);
+        if (knownIds.has(job.id)) return;
+        knownIds.add(job.id);
+        queue.jobs.push(job);
+      });
+    });
+    broadcastQueueState(queue, sessionKey);
+    runChunkQueue();
+    archiveChunks(sessionKey, items).catch((error) => console.error('Failed to archive chunks:', error));
+    return queue;
+  }
+
+  async function runChunkQueue() {
+    if (isChunkQueueRunning) return;
+    isChunkQueueRunning = true;
+    try {
+      for (;;) {
+        const job = await claimNextChunkJob();
+        if (!job) break;
+        await processChunkJob(job);
+      }
+    } catch (error) {
+      console.error('Chunk queue failed:', error);
+    } finally {
+      isChunkQueueRunning = false;
+    }
+  }
+
+  async function claimNextChunkJob() {
+    const now = Date.now();
+    const { queue, result } = await mutateChunkQueue((queue) => {
+      const pending = queue.jobs
+        .filter((job) => job.status === JOB_STATUS.PENDING)
+        .sort((a, b) => a.createdAt - b.createdAt);
+      const ready = pending.find((job) => job.nextAttemptAt <= now);
+      if (!ready) {
+        const nextAt = pending.reduce((min, job) => Math.min(min, job.nextAttemptAt), Infinity);
+        return { job: null, nextAt };
+      }
+      ready.status = JOB_STATUS.RUNNING;
+      ready.attempts += 1;
+      ready.updatedAt = now;
+      return { job: { ...ready }, nextAt: null };
+    });
+
+    if (result.job) {
+      broadcastQueueState(queue, result.job.sessionKey);
+    } else if (Number.isFinite(result.nextAt)) {
+      scheduleChunkQueueWake(result.nextAt - now);
+    }
+    return result.job;
+  }
+
+  async function processChunkJob(job) {
+    let failure = null;
+    try {
+      await handleFinalizeChunk(job.sessionKey, job.chunk, job.tailContext, job.attempts >= MAX_JOB_ATTEMPTS);
+    } catch (error) {
+      failure = error;
+    }
+
+    const { queue, result } = await mutateChunkQueue((queue) => {
+      const stored = queue.jobs.find((candidate) => candidate.id === job.id);
+      // Cleared, cancelled, or its tab closed while running.
+      if (!stored) return null;
+      stored.updatedAt = Date.now();
+
+      if (!failure) {
+        stored.status = JOB_STATUS.DONE;
+        stored.lastError = null;
+        // Done chunks only need their time range; drop the text to save storage.
+        stored.chunk = { ...stored.chunk, text: '' };
+        stored.tailContext = '';
+        return stored;
+      }
+
+      stored.lastError = failure.message;
+      if (stored.attempts >= MAX_JOB_ATTEMPTS) {
+        stored.status = JOB_STATUS.FAILED;
+      } else {
+        stored.status = JOB_STATUS.PENDING;
+        stored.nextAttemptAt = Math.max(Date.now() + getRetryDelayMs(stored.attempts), failure.retryAt || 0);
+      }
+      return { ...stored };
+    });
+
+    if (!result && !(await getSessionTabInfo(job.sessionKey))) {
+      await removeTabSessionStorage(getSessionTabId(job.sessionKey));
+    }
+    if (failure && result) {
+      const retryNote = result.status === JOB_STATUS.PENDING
+        ? ` Retrying in ${Math.round((result.nextAttemptAt - Date.now()) / 1000)}s.`
+        : '';
+      broadcastToSidePanel({
+        type: 'ERROR',
+        sessionKey: job.sessionKey,
+        message: `${failure.message}${retryNote}`
+      });
+    }
+    broadcastQueueState(queue, job.sessionKey);
+  }
+
+  function getRetryDelayMs(attempts) {
+    const delay = RETRY_BASE_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+    return Math.min(delay, RETRY_MAX_DELAY_MS);
+  }
+
+  function scheduleChunkQueueWake(delayMs) {
+    const delay = Math.max(0, delayMs);
+    clearTimeout(chunkQueueTimer);
+    chunkQueueTimer = setTimeout(runChunkQueue, delay);
+    // The timer dies with a suspended worker; the alarm wakes it back up.
+    chrome.alarms.create(CHUNK_QUEUE_ALARM, { when: Date.now() + Math.max(delay, 30000) });
+  }
+
+  async function resumeChunkQueue() {
+    await dropOrphanedChunkJobs();
+    // Jobs left running belonged to a worker that was suspended mid-call.
+    await mutateChunkQueue((queue) => {
+      queue.jobs.forEach((job) => {
+        if (job.status === JOB_STATUS.RUNNING) {
+          job.status = JOB_STATUS.PENDING;
+          job.nextAttemptAt = Date.now();
+        }
+      });
+    });
+    runChunkQueue();
+  }
+
+  // The queue outlives a browser restart but session notes do not, and tab
+  // ids are handed out again. A session whose tab is gone, or now shows a
+  // page without any of its notes, is dropped rather than run against empty
+  // notes; its chunks are already in the library.
+  async function dropOrphanedChunkJobs() {
+    const queue = await loadChunkQueue();
+    const sessionKeys = [...new Set([
+      ...queue.jobs.map((job) => job.sessionKey),
+      ...Object.keys(queue.catchUps)
+    ])];
+    const orphaned = new Set();
+    for (const sessionKey of sessionKeys) {
+      const tabInfo = await getSessionTabInfo(sessionKey);
+      const storageKey = getNotesStorageKey(sessionKey);
+      const hasNotes = Boolean((await chrome.storage.session.get([storageKey]))[storageKey]);
+      const showsLecture = Boolean(tabInfo) && parseLectureId(tabInfo.url || '') === getSessionLectureId(sessionKey);
+      if (!tabInfo || (!hasNotes && !showsLecture)) orphaned.add(sessionKey);
+    }
+    if (orphaned.size === 0) return;
+    await mutateChunkQueue((queue) => {
+      queue.jobs = queue.jobs.filter((job) => !orphaned.has(job.sessionKey));
+      orphaned.forEach((sessionKey) => {
+        delete queue.catchUps[sessionKey];
+      });
+    });
+  }
+
+  async function retryChunkJobs(sessionKey, jobId) {
+    const { queue, result } = await mutateChunkQueue((queue) => {
+      let count = 0;
+      queue.jobs.forEach((job) => {
+        if (job.status !== JOB_STATUS.FAILED || job.sessionKey !== sessionKey) return;
+        if (jobId && job.id !== jobId) return;
+        job.status = JOB_STATUS.PENDING;
+        job.attempts = 0;
+        job.nextAttemptAt = Date.now();
+        job.updatedAt = Date.now();
+        count += 1;
+      });
+      return count;
+    });
+    if (result === 0) {
+      throw new Error('No failed chunks to retry.');
+    }
+    broadcastQueueState(queue, sessionKey);
+    runChunkQueue();
+    return buildQueueView(queue, sessionKey);
+  }
+
+  function buildQueueView(queue, sessionKey) {
+    const jobs = queue.jobs.filter((job) => job.sessionKey === sessionKey);
+    const counts = {
+      [JOB_STATUS.PENDING]: 0,
+      [JOB_STATUS.RUNNING]: 0,
+      [JOB_STATUS.DONE]: 0,
+      [JOB_STATUS.FAILED]: 0
+    };
+    jobs.forEach((job) => {
+      if (Object.prototype.hasOwnProperty.call(counts, job.status)) {
+        counts[job.status] += 1;
+      }
+    });
+
+    return {
+      counts,
+      failed: jobs
+        .filter((job) => job.status === JOB_STATUS.FAILED)
+        .map((job) => ({
+          id: job.id,
+          tStart: job.chunk.tStart,
+          tEnd: job.chunk.tEnd,
+          attempts: job.attempts,
+          lastError: job.lastError,
+          updatedAt: job.updatedAt
+        }))
+    };
+  }
+
+  function broadcastQueueState(queue, sessionKey) {
+    broadcastToSidePanel({ type: 'QUEUE_UPDATE', sessionKey, queue: buildQueueView(queue, sessionKey) });
+    broadcastToSidePanel({ type: 'CATCH_UP_PROGRESS', sessionKey, job: buildCatchUpView(queue, sessionKey) });
+  }
+
+  async function startCatchUp(sessionKey, items) {
+    if (!sessionKey) {
+      throw new Error('No lecture session for catch-up.');
+    }
+    const current = buildCatchUpView(await loadChunkQueue(), sessionKey);
+    if (current && current.state === 'running') {
+      throw new Error('A catch-up run is already in progress.');
+    }
+
+    const chunks = (Array.isArray(items) ? items : []).filter((item) =>
+      item && item.chunk && typeof item.chunk.text === 'string' && item.chunk.text.trim()
+    );
+    if (chunks.length === 0) {
+      throw new Error('No captions available for catch-up.');
+    }
+
+    const batchId = `catchup_${Date.now()}`;
+    await mutateChunkQueue((queue) => {
+      queue.catchUps[sessionKey] = { batchId, total: chunks.length, cancelled: false };
+    });
+    const queue = await enqueueChunkJobs(chunks, sessionKey, batchId);
+    return buildCatchUpView(queue, sessionKey);
+  }
+
+  async function cancelCatchUp(sessionKey) {
+    const { queue } = await mutateChunkQueue((queue) => {
+      const catchUp = queue.catchUps[sessionKey];
+      if (!catchUp) return;
+      catchUp.cancelled = true;
+      // The chunk already in flight finishes; the rest are skipped.
+      queue.jobs = queue.jobs.filter((job) => job.batchId !== catchUp.batchId || job.status !== JOB_STATUS.PENDING);
+    });
+    broadcastQueueState(queue, sessionKey);
+    return buildCatchUpView(queue, sessionKey);
+  }
+
+  function buildCatchUpView(queue, sessionKey) {
+    const catchUp = queue && sessionKey ? queue.catchUps[sessionKey] : null;
+    if (!catchUp) return null;
+    const { batchId, total, cancelled } = catchUp;
+    const jobs = queue.jobs.filter((job) => job.batchId === batchId);
+    const processed = jobs.filter((job) => job.status === JOB_STATUS.DONE || job.status === JOB_STATUS.FAILED).length;
+    const failed = jobs.filter((job) => job.status === JOB_STATUS.FAILED).length;
+    const active = jobs.some((job) => job.status === JOB_STATUS.PENDING || job.status === JOB_STATUS.RUNNING);
+
+    let state = 'done';
+    if (active) {
+      state = 'running';
+    } else if (cancelled) {
+      state = 'cancelled';
+    }
+
+    return {
+      total,
+      processed,
+      failed,
+      state,
+      cancelRequested: Boolean(cancelled)
+    };
+  }
+
+  async function updateNotesWithLLM(notes, chunk, tailContext, aiContext) {
+    const previousNotes = withNoteIds(notes);
+    const cleanedRaw = await runCaptionCleaner(chunk.text, tailContext, aiContext);
+    const cleanText = tightenCleanTranscript(cleanedRaw);
+
+    if (!cleanText.trim()) {
+      return {
+        ...previousNotes,
+        lastChunkId: chunk.chunkId || previousNotes.lastChunkId
+      };
+    }
+
+    const patchRaw = await runNotesMerger(previousNotes, cleanText, aiContext);
+    const patch = await parseNotesPatch(patchRaw, aiContext);
+    const patched = applyNotesPatch(previousNotes, patch, chunk);
+
+    return {
+      ...patched,
+      lastUpdatedAt: new Date().toISOString(),
+      lastChunkId: chunk.chunkId || patched.lastChunkId || null
+    };
+  }
+
+  async function runCaptionCleaner(chunkText, tailContext, aiContext) {
+    const systemPrompt = buildStageSystemPrompt('cleaner', aiContext.profile);
+    const target = getStageContext(aiContext, USAGE_STAGES.CLEANER);
+
+    const userPrompt = [
+      'Tail context (may overlap):',
+      tailContext || '',
+      '',
+      'New caption chunk:',
+      chunkText
+    ].join('\n');
+
+    return callModelText({
+      provider: target.provider,
+      apiKey: target.apiKey,
+      baseUrl: target.baseUrl,
+      model: target.model,
+      sessionKey: aiContext.sessionKey,
+      stage: USAGE_STAGES.CLEANER,
+      systemPrompt,
+      userPrompt,
+      temperature: 0.15
+    });
+  }
+
+  // The merger returns edit operations against section/bullet ids instead of
+  // the whole document; they are validated and applied by applyNotesPatch.
+  async function runNotesMerger(notes, cleanText, aiContext) {
+    const systemPrompt = buildStageSystemPrompt('merger', aiContext.profile);
+    const target = getStageContext(aiContext, USAGE_STAGES.MERGER);
+
+    const userPrompt = [
+      'Schema:',
+      NOTES_PATCH_SCHEMA,
+      '',
+      `Current title: ${notes.title || '(none)'}`,
+      '',
+      'Existing notes outline ([id] heading, with recent bullets of related sections):',
+      buildMergerOutline(notes, cleanText),
+      '',
+      `Glossary terms: ${notes.glossary.map((entry) => entry.term).join('; ') || '(none yet)'}`,
+      '',
+      'New cleaned transcript:',
+      cleanText
+    ].join('\n');
+
+    return callModelText({
+      provider: target.provider,
+      apiKey: target.apiKey,
+      baseUrl: target.baseUrl,
+      model: target.model,
+      sessionKey: aiContext.sessionKey,
+      stage: USAGE_STAGES.MERGER,
+      systemPrompt,
+      userPrompt,
+      temperature: 0.05,
+      responseMimeType: 'application/json',
+      responseSchema: { name: 'notes_patch', schema: NOTES_PATCH_JSON_SCHEMA }
+    });
+  }
+
+  // Profiles extend the built-in rules with course-specific instructions, or
+  // replace them outright.
+  function buildStageSystemPrompt(stage, profile) {
+    const builtIn = BUILTIN_STAGE_PROMPTS[stage];
+    const stagePrompt = profile && profile[stage] ? profile[stage] : null;
+    const custom = stagePrompt && stagePrompt.text ? stagePrompt.text : '';
+    const override = Boolean(custom) && stagePrompt.mode === 'override';
+    const lines = [...builtIn.intro, ...(override ? [custom] : builtIn.rules), ...builtIn.required];
+    if (custom && !override) {
+      lines.push('', 'Course-specific instructions:', custom);
+    }
+    return lines.join('\n');
+  }
+
+  // Every heading is listed so the model can target it, but bullets are only
+  // shown for the latest section and the ones sharing the most vocabulary with
+  // the new text, which keeps the prompt flat over a long lecture.
+  function buildMergerOutline(notes, cleanText) {
+    if (notes.sections.length === 0) return '(no notes yet)';
+    const newTerms = tokenizeForExtractive(cleanText).map(stemToken);
+    const shown = new Set(notes.sections
+      .map((section, index) => {
+        const text = [section.heading, ...section.bullets.map((bullet) => bullet.text)].join(' ');
+        return { index, score: cosineSimilarity(newTerms, tokenizeForExtractive(text).map(stemToken)) };
+      })
+      .filter((item) => item.score > 0)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MERGER_CONTEXT_SECTIONS - 1)
+      .map((item) => item.index));
+    shown.add(notes.sections.length - 1);
+
+    const lines = [];
+    notes.sections.forEach((section, index) => {
+      lines.push(`[${section.id}] ${section.heading} (${section.bullets.length} bullets)`);
+      if (!shown.has(index)) return;
+      section.bullets.slice(-MERGER_CONTEXT_BULLETS).forEach((bullet) => {
+        lines.push(`  [${bullet.id}]${isProtectedNote(bullet) ? ' (locked)' : ''} ${bullet.text}`);
+      });
+    });
+    return lines.join('\n');
+  }
+
+  // Structured output should make the repair call rare; it stays as a last
+  // resort for providers or models that ignore the schema. Malformed ops are
+  // dropped one by one; only a broken envelope or a patch with no usable ops
+  // is sent for repair.
+  async function parseNotesPatch(rawText, aiContext) {
+    const parsed = validateNotesPatch(tryParseJson(rawText));
+    if (parsed.patch) {
+      if (parsed.errors.length > 0) console.warn('Dropping invalid notes patch ops:', parsed.errors.join('; '));
+      return parsed.patch;
+    }
+
+    console.warn('Repairing notes patch:', parsed.errors.join('; '));
+    const repaired = validateNotesPatch(tryParseJson(await repairNotesPatchJson(rawText, parsed.errors, aiContext)));
+    if (!repaired.patch) {
+      throw new Error(`Invalid notes patch: ${repaired.errors.slice(0, 3).join('; ')}`);
+    }
+    return repaired.patch;
+  }
+
+  // Returns the patch with only its valid ops, or a null patch when the
+  // envelope is broken or every op was rejected.
+  function validateNotesPatch(patch) {
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+      return { patch: null, errors: ['output is not a JSON object'] };
+    }
+    if (!Array.isArray(patch.ops)) {
+      return { patch: null, errors: ['ops must be an array'] };
+    }
+    const errors = [];
+    let title = patch.title === undefined ? null : patch.title;
+    if (title !== null && typeof title !== 'string') {
+      errors.push('title must be a string or null');
+      title = null;
+    }
+    const ops = patch.ops.filter((op, index) => {
+      const opErrors = getNotesPatchOpErrors(op, `ops[${index}]`);
+      errors.push(...opErrors);
+      return opErrors.length === 0;
+    });
+    if (patch.ops.length > 0 && ops.length === 0) {
+      return { patch: null, errors };
+    }
+    return { patch: { ...patch, title, ops }, errors };
+  }
+
+  function getNotesPatchOpErrors(op, at) {
+    if (!op || typeof op !== 'object') {
+      return [`${at} must be an object`];
+    }
+    const errors = [];
+    const requireText = (field) => {
+      if (typeof op[field] !== 'string' || !op[field].trim()) {
+        errors.push(`${at}.${field} must be a non-empty string`);
+      }
+    };
+    switch (op.op) {
+      case NOTES_PATCH_OPS.ADD_SECTION:
+        requireText('heading');
+        if (!Array.isArray(op.bullets) || op.bullets.some((bullet) => typeof bullet !== 'string')) {
+          errors.push(`${at}.bullets must be an array of strings`);
+        }
+        break;
+      case NOTES_PATCH_OPS.APPEND_BULLET:
+        requireText('sectionId');
+        requireText('text');
+        break;
+      case NOTES_PATCH_OPS.REVISE_BULLET:
+        requireText('bulletId');
+        requireText('text');
+        break;
+      case NOTES_PATCH_OPS.DEFINE_TERM:
+        requireText('term');
+        requireText('definition');
+        break;
+      default:
+        errors.push(`${at}.op must be one of ${Object.values(NOTES_PATCH_OPS).join(', ')}`);
+    }
+    return errors;
+  }
+
+  // Applies validated operations only: unknown ops or ids are skipped,
+  // duplicates are dropped, and nothing can remove existing sections or bullets.
+  function applyNotesPatch(notes, patch, chunk) {
+    const next = withNoteIds(notes);
+    const source = getChunkSource(chunk);
+
+    const appendBullet = (section, text) => {
+      const bullet = normalizeBullet({ text, ...source });
+      if (!bullet) return;
+      if (section.bullets.some((existing) => isNearDuplicateText(existing.text, bullet.text))) return;
+      section.bullets.push(bullet);
+    };
+
+    patch.ops.slice(0, MAX_PATCH_OPS).forEach((op) => {
+      if (!op || typeof op !== 'object') return;
+      switch (op.op) {
+        case NOTES_PATCH_OPS.ADD_SECTION: {
+          const heading = sanitizeHeading(op.heading);
+          if (!heading) return;
+          const index = findMatchingSectionIndex(next.sections, heading);
+          let section = index >= 0 ? next.sections[index] : null;
+          if (!section) {
+            if (!isUsefulHeading(heading) || next.sections.length >= MAX_SECTIONS) return;
+            section = { id: null, heading, bullets: [] };
+            next.sections.push(section);
+          }
+          (Array.isArray(op.bullets) ? op.bullets : []).forEach((text) => appendBullet(section, text));
+          return;
+        }
+        case NOTES_PATCH_OPS.APPEND_BULLET: {
+          const section = next.sections.find((item) => item.id === op.sectionId);
+          if (section) appendBullet(section, op.text);
+          return;
+        }
+        case NOTES_PATCH_OPS.REVISE_BULLET: {
+          const section = next.sections.find((item) => item.bullets.some((bullet) => bullet.id === op.bulletId));
+          if (!section) return;
+          const bullet = section.bullets.find((item) => item.id === op.bulletId);
+          if (isProtectedNote(bullet)) return;
+          const text = sanitizeBullet(op.text);
+          // A revision may refine a bullet but not gut it.
+          if (!text || text.length < bullet.text.length / 2) return;
+          const clashes = section.bullets.some((other) => other !== bullet && isNearDuplicateText(other.text, text));
+          if (!clashes) bullet.text = text;
+          return;
+        }
+        case NOTES_PATCH_OPS.DEFINE_TERM:
+          upsertGlossaryTerm(next.glossary, op.term, op.definition, source);
+          return;
+        default:
+      }
+    });
+
+    if (!next.title && typeof patch.title === 'string' && patch.title.trim()) {
+      next.title = patch.title.trim();
+    }
+    next.sections = next.sections
+      .filter((section) => section.bullets.length > 0 || isProtectedNote(section))
+      .map((section) => ({
+        ...section,
+        bullets: capSectionBullets(section.bullets)
+      }));
+    return withNoteIds(next);
+  }
+
+  function getChunkSource(chunk) {
+    if (!chunk) return null;
+    return {
+      chunkId: chunk.chunkId || null,
+      tStart: typeof chunk.tStart === 'number' ? chunk.tStart : null,
+      tEnd: typeof chunk.tEnd === 'number' ? chunk.tEnd : null
+    };
+  }
+
+  // Gives each bullet without a source the id and source of a matching
+  // previous bullet, or the current chunk's range when it is new content.
+  // Sections keep the id of the previous section with the same heading.
+  // Pins carry over to near matches; an unchanged bullet or heading also
+  // keeps its previous userAuthored flag.
+  function attachBulletSources(candidateNotes, previousNotes, chunk) {
+    const candidate = normalizeNotesState(candidateNotes);
+    const previous = normalizeNotesState(previousNotes);
+    const previousBullets = previous.sections.flatMap((section) => section.bullets);
+    const chunkSource = getChunkSource(chunk);
+
+    candidate.sections.forEach((section) => {
+      if (!section.id) {
+        const index = findMatchingSectionIndex(previous.sections, section.heading);
+        const match = index >= 0 ? previous.sections[index] : null;
+        section.id = match ? match.id : null;
+        if (match) {
+          section.pinned = match.pinned;
+          if (match.heading === section.heading) section.userAuthored = match.userAuthored;
+        }
+      }
+      section.bullets = section.bullets.map((bullet) => {
+        if (bullet.id || bullet.chunkId || bullet.tStart !== null) return bullet;
+        const exact = previousBullets.find((item) => item.text === bullet.text);
+        const match = exact || previousBullets.find((item) => isNearDuplicateText(item.text, bullet.text));
+        if (match) {
+          return {
+            ...bullet,
+            id: match.id,
+            chunkId: match.chunkId,
+            tStart: match.tStart,
+            tEnd: match.tEnd,
+            pinned: match.pinned,
+            userAuthored: exact ? exact.userAuthored : bullet.userAuthored
+          };
+        }
+        return chunkSource ? { ...bullet, ...chunkSource } : bullet;
+      });
+    });
+    return candidate;
+  }
+
+  // Offline notes: split the cleaned chunk into sentences, cut it into topic
+  // segments where adjacent sentence windows stop sharing vocabulary, and keep
+  // each segment's highest TF-IDF sentences as bullets under a keyword heading.
+  function buildExtractiveNotes(notes, chunk) {
+    const previousNotes = normalizeNotesState(notes);
+    const sentences = splitExtractiveSentences(tightenCleanTranscript(chunk.text));
+    const knownKeys = new Set(previousNotes.sections
+      .flatMap((section) => section.bullets)
+      .map((bullet) => semanticTextKey(bullet.text)));
+    const candidates = sentences
+      .map((text) => ({ text, terms: tokenizeForExtractive(text).map(stemToken) }))
+      .filter((sentence) => sentence.terms.length >= 3 && !knownKeys.has(semanticTextKey(sentence.text)));
+
+    const stamp = {
+      lastUpdatedAt: new Date().toISOString(),
+      lastChunkId: chunk.chunkId || previousNotes.lastChunkId
+    };
+    if (candidates.length === 0) {
+      return { ...previousNotes, ...stamp };
+    }
+
+    const idf = buildInverseDocumentFrequency(candidates.map((sentence) => sentence.terms));
+    candidates.forEach((sentence) => {
+      sentence.score = scoreExtractiveSentence(sentence, idf);
+    });
+
+    const segments = segmentByTopicShift(candidates);
+    const perSegment = Math.max(1, Math.floor(EXTRACTIVE_MAX_BULLETS_PER_CHUNK / segments.length));
+    const targets = previousNotes.sections.map((section) => ({
+      heading: section.heading,
+      terms: [section.heading, ...section.bullets.map((bullet) => bullet.text)]
+        .flatMap((text) => tokenizeForExtractive(text).map(stemToken))
+    }));
+    const sections = segments.map((segment) => {
+      const picked = segment
+        .map((sentence, index) => ({ ...sentence, index }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, Math.min(perSegment, Math.ceil(segment.length / 3)))
+        .sort((a, b) => a.index - b.index);
+      return {
+        heading: pickExtractiveSection(targets, segment, buildExtractiveHeading(segment, idf)),
+        bullets: picked.map((sentence) => sentence.text.charAt(0).toUpperCase() + sentence.text.slice(1))
+      };
+    });
+
+    const candidateNotes = attachBulletSources({ ...stamp, sections }, previousNotes, chunk);
+    const merged = enforceCumulativeQuality(previousNotes, candidateNotes);
+    sections.forEach((section) => {
+      section.bullets.forEach((text) => {
+        const definition = parseKeyTermDefinition(text);
+        // Spoken filler like "what this means" is not a term.
+        const spoken = definition && definition.term.toLowerCase().split(/\s+/)
+          .some((token) => STOPWORDS.has(token) || SPOKEN_STOPWORDS.has(token));
+        if (definition && !spoken) upsertGlossaryTerm(merged.glossary, definition.term, definition.definition, getChunkSource(chunk));
+      });
+    });
+    return {
+      ...merged,
+      ...stamp
+    };
+  }
+
+  // Captions are often unpunctuated, so long runs are cut into word windows.
+  function splitExtractiveSentences(text) {
+    const sentences = [];
+    String(text || '')
+      .split(/(?<=[.!?])\s+/)
+      .map(normalizeSentence)
+      .filter((sentence) => sentence && !isFillerSentence(sentence))
+      .forEach((sentence) => {
+        const words = sentence.split(' ');
+        for (let i = 0; i < words.length; i += EXTRACTIVE_MAX_SENTENCE_WORDS) {
+          const part = words.slice(i, i + EXTRACTIVE_MAX_SENTENCE_WORDS);
+          if (part.length >= EXTRACTIVE_MIN_SENTENCE_WORDS) {
+            sentences.push(part.join(' '));
+          }
+        }
+      });
+    return sentences;
+  }
+
+  function tokenizeForExtractive(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter((word) => word.length > 2 && !STOPWORDS.has(word) && !SPOKEN_STOPWORDS.has(word));
+  }
+
+  function buildInverseDocumentFrequency(documents) {
+    const docFreq = {};
+    documents.forEach((terms) => {
+      new Set(terms).forEach((term) => {
+        docFreq[term] = (docFreq[term] || 0) + 1;
+      });
+    });
+    const idf = {};
+    Object.keys(docFreq).forEach((term) => {
+      idf[term] = Math.log((1 + documents.length) / (1 + docFreq[term])) + 1;
+    });
+    return idf;
+  }
+
+  function scoreExtractiveSentence(sentence, idf) {
+    const counts = {};
+    sentence.terms.forEach((term) => {
+      counts[term] = (counts[term] || 0) + 1;
+    });
+    let score = 0;
+    Object.keys(counts).forEach((term) => {
+      score += (counts[term] / sentence.terms.length) * (idf[term] || 0) * Math.log(1 + counts[term] + 1);
+    });
+    // Favour sentences with enough substance and explicit definition/explanation cues.
+    score *= Math.min(1, sentence.terms.length / 8);
+    return EXTRACTIVE_CUE_RE.test(sentence.text) ? score * 1.5 : score;
+  }
+
+  function segmentByTopicShift(sentences) {
+    const segments = [];
+    let current = [];
+    sentences.forEach((sentence, index) => {
+      if (current.length >= EXTRACTIVE_TOPIC_WINDOW && index + EXTRACTIVE_TOPIC_WINDOW <= sentences.length) {
+        const before = sentences.slice(index - EXTRACTIVE_TOPIC_WINDOW, index).flatMap((item) => item.terms);
+        const after = sentences.slice(index, index + EXTRACTIVE_TOPIC_WINDOW).flatMap((item) => item.terms);
+        if (cosineSimilarity(before, after) < EXTRACTIVE_TOPIC_SHIFT_SIMILARITY) {
+          segments.push(current);
+          current = [];
+        }
+      }
+      current.push(sentence);
+    });
+    if (current.length > 0) segments.push(current);
+    return segments;
+  }
+
+  function cosineSimilarity(aTerms, bTerms) {
+    const a = {};
+    const b = {};
+    aTerms.forEach((term) => { a[term] = (a[term] || 0) + 1; });
+    bTerms.forEach((term) => { b[term] = (b[term] || 0) + 1; });
+    let dot = 0;
+    Object.keys(a).forEach((term) => {
+      if (b[term]) dot += a[term] * b[term];
+    });
+    const norm = (vector) => Math.sqrt(Object.values(vector).reduce((sum, value) => sum + value * value, 0));
+    const denominator = norm(a) * norm(b);
+    return denominator > 0 ? dot / denominator : 0;
+  }
+
+  // Heading from the segment's top weighted terms, shown in their most common surface form.
+  // A segment continues the section whose heading it matches or whose
+  // vocabulary it shares; otherwise it opens a new one. Once MAX_SECTIONS are
+  // in use it joins the closest section rather than being dropped.
+  function pickExtractiveSection(targets, segment, heading) {
+    const terms = segment.flatMap((sentence) => sentence.terms);
+    const index = findMatchingSectionIndex(targets, heading);
+    if (index >= 0) {
+      targets[index].terms.push(...terms);
+      return targets[index].heading;
+    }
+    const closest = targets
+      .map((target) => ({ target, score: cosineSimilarity(target.terms, terms) }))
+      .sort((a, b) => b.score - a.score)[0];
+    if (closest && (closest.score >= EXTRACTIVE_SECTION_MATCH_SIMILARITY || targets.length >= MAX_SECTIONS)) {
+      closest.target.terms.push(...terms);
+      return closest.target.heading;
+    }
+    targets.push({ heading, terms });
+    return heading;
+  }
+
+  function buildExtractiveHeading(segment, idf) {
+    const weights = {};
+    const surfaces = {};
+    segment.forEach((sentence) => {
+      tokenizeForExtractive(sentence.text)
+        .filter((word) => !/^\d+$/.test(word))
+        .forEach((word) => {
+          const term = stemToken(word);
+          weights[term] = (weights[term] || 0) + (idf[term] || 0);
+          surfaces[term] = surfaces[term] || {};
+          surfaces[term][word] = (surfaces[term][word] || 0) + 1;
+        });
+    });
+
+    const words = Object.keys(weights)
+      .sort((a, b) => weights[b] - weights[a])
+      .slice(0, 3)
+      .map((term) => Object.entries(surfaces[term]).sort((a, b) => b[1] - a[1])[0][0])
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1));
+    return words.length > 0 ? words.join(', ') : 'Lecture Points';
+  }
+
+  async function repairNotesPatchJson(invalidText, errors, aiContext) {
+    const target = getStageContext(aiContext, USAGE_STAGES.REPAIR);
+    const systemPrompt = [
+      'Repair invalid JSON output.',
+      'Return only valid JSON. No markdown. No prose.',
+      'Target schema exactly:',
+      NOTES_PATCH_SCHEMA
+    ].join('\n');
+
+    const userPrompt = [
+      'Problems found:',
+      ...errors.map((error) => `- ${error}`),
+      '',
+      'Fix this invalid JSON output:',
+      invalidText
+    ].join('\n');
+
+    return callModelText({
+      provider: target.provider,
+      apiKey: target.apiKey,
+      baseUrl: target.baseUrl,
+      model: target.model,
+      sessionKey: aiContext.sessionKey,
+      stage: USAGE_STAGES.REPAIR,
+      systemPrompt,
+      userPrompt,
+      temperature: 0,
+      responseMimeType: 'application/json',
+      responseSchema: { name: 'notes_patch', schema: NOTES_PATCH_JSON_SCHEMA }
+    });
+  }
+
+  // Prompt profiles live in chrome.storage.local.promptProfiles together with
+  // the profile chosen for each lecture. The built-in profile is never stored.
+  async function loadPromptProfileStore() {
+    const result = await chrome.storage.local.get(['promptProfiles']);
+    const stored = result.promptProfiles || {};
+    return {
+      profiles: Array.isArray(stored.profiles)
+        ? stored.profiles.map(normalizePromptProfile).filter((profile) => profile.id !== DEFAULT_PROMPT_PROFILE_ID)
+        : [],
+      lectureProfiles: stored.lectureProfiles && typeof stored.lectureProfiles === 'object'
+        ? { ...stored.lectureProfiles }
+        : {}
+    };
+  }
+
+  function savePromptProfileStore(store) {
+    return chrome.storage.local.set({ promptProfiles: store });
+  }
+
+  function buildDefaultPromptProfile() {
+    return {
+      id: DEFAULT_PROMPT_PROFILE_ID,
+      name: 'Default (built-in)',
+      builtIn: true,
+      cleaner: normalizeStagePrompt(null),
+      merger: normalizeStagePrompt(null)
+    };
+  }
+
+  function normalizePromptProfile(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    const name = typeof source.name === 'string' ? source.name.replace(/\s+/g, ' ').trim().slice(0, 60) : '';
+    const profile = {
+      id: typeof source.id === 'string' && /^[\w-]{1,64}$/.test(source.id)
+        ? source.id
+        : `profile_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      name: name || 'Untitled profile'
+    };
+    PROMPT_STAGES.forEach((stage) => {
+      profile[stage] = normalizeStagePrompt(source[stage]);
+    });
+    return profile;
+  }
+
+  function normalizeStagePrompt(input) {
+    const source = input && typeof input === 'object' ? input : {};
+    return {
+      mode: source.mode === 'override' ? 'override' : 'extend',
+      text: typeof source.text === 'string' ? source.text.trim().slice(0, MAX_PROFILE_PROMPT_CHARS) : ''
+    };
+  }
+
+  function resolveLectureProfileId(store, lectureId) {
+    const id = lectureId ? store.lectureProfiles[lectureId] : null;
+    return store.profiles.some((profile) => profile.id === id) ? id : DEFAULT_PROMPT_PROFILE_ID;
+  }
+
+  async function getPromptProfilesView(sessionKey) {
+    const store = await loadPromptProfileStore();
+    return {
+      profiles: [buildDefaultPromptProfile(), ...store.profiles],
+      selectedId: resolveLectureProfileId(store, getSessionLectureId(sessionKey))
+    };
+  }
+
+  async function getPromptProfileForSession(sessionKey) {
+    const store = await loadPromptProfileStore();
+    const id = resolveLectureProfileId(store, getSessionLectureId(sessionKey));
+    return store.profiles.find((profile) => profile.id === id) || buildDefaultPromptProfile();
+  }
+
+  async function savePromptProfile(input) {
+    const profile = normalizePromptProfile(input);
+    if (profile.id === DEFAULT_PROMPT_PROFILE_ID) {
+      throw new Error('The built-in profile cannot be edited. Create a new profile instead.');
+    }
+    const store = await loadPromptProfileStore();
+    const index = store.profiles.findIndex((item) => item.id === profile.id);
+    if (index >= 0) {
+      store.profiles[index] = profile;
+    } else {
+      store.profiles.push(profile);
+    }
+    await savePromptProfileStore(store);
+    return profile;
+  }
+
+  async function deletePromptProfile(profileId) {
+    if (profileId === DEFAULT_PROMPT_PROFILE_ID) {
+      throw new Error('The built-in profile cannot be deleted.');
+    }
+    const store = await loadPromptProfileStore();
+    store.profiles = store.profiles.filter((profile) => profile.id !== profileId);
+    Object.keys(store.lectureProfiles).forEach((lectureId) => {
+      if (store.lectureProfiles[lectureId] === profileId) delete store.lectureProfiles[lectureId];
+    });
+    await savePromptProfileStore(store);
+  }
+
+  async function setLecturePromptProfile(sessionKey, profileId) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) throw new Error('No lecture session for this tab.');
+    const store = await loadPromptProfileStore();
+    if (profileId === DEFAULT_PROMPT_PROFILE_ID) {
+      delete store.lectureProfiles[lectureId];
+    } else if (store.profiles.some((profile) => profile.id === profileId)) {
+      store.lectureProfiles[lectureId] = profileId;
+    } else {
+      throw new Error('Prompt profile not found.');
     }
-    return false;
-  });
+    await savePromptProfileStore(store);
+  }
 
-  async function handleFinalizeChunk(chunk, tailContext) {
-    if (!chunk || !chunk.text || !chunk.text.trim()) return;
+  function previewPromptProfile(input) {
+    const profile = normalizePromptProfile(input);
+    return {
+      cleaner: buildStageSystemPrompt('cleaner', profile),
+      merger: buildStageSystemPrompt('merger', profile)
+    };
+  }
 
-    const currentNotes = await getNotesState();
-    const aiSettings = await getAiSettings();
-    if (!aiSettings.aiNotesEnabled) return;
+  // Runs both stages on a pasted sample against empty notes. Nothing is saved,
+  // and usage counts toward the month only.
+  async function testPromptProfile(message) {
+    const sample = typeof message.sampleText === 'string' ? message.sampleText.trim() : '';
+    if (!sample) throw new Error('Paste a sample caption chunk first.');
 
-    const provider = isValidProvider(aiSettings.provider) ? aiSettings.provider : DEFAULT_PROVIDER;
-    const apiKey = getProviderApiKey(aiSettings, provider);
-    if (!apiKey) {
-      broadcastToSidePanel({
-        type: 'ERROR',
-        message: `AI Notes enabled, but no API key saved for ${provider}.`
-      });
-      return;
-    }
+    const settings = await getAiSettings();
+    const provider = isValidProvider(settings.provider) ? settings.provider : DEFAULT_PROVIDER;
+    const apiKey = getProviderApiKey(settings, provider);
+    const setupError = getProviderSetupError(settings, provider, apiKey);
+    if (setupError) throw new Error(setupError);
+    await assertWithinBudget(message.sessionKey, settings);
+
+    const baseUrl = getProviderBaseUrl(settings, provider);
+    const base = { provider, apiKey, baseUrl, model: await resolveModelForProvider(provider, apiKey, settings.models[provider], baseUrl) };
+    const stages = await resolveStageContexts(settings, base);
+    const model = stages[USAGE_STAGES.MERGER].model;
+    const aiContext = { ...base, stages, sessionKey: null, profile: normalizePromptProfile(message.profile) };
 
     await waitForRateLimit();
+    const cleanedText = tightenCleanTranscript(await runCaptionCleaner(sample, '', aiContext));
+    const emptyNotes = withNoteIds(null);
+    if (!cleanedText) {
+      return { cleanedText, notes: emptyNotes, model };
+    }
+    await waitForRateLimit();
+    const patch = await parseNotesPatch(await runNotesMerger(emptyNotes, cleanedText, aiContext), aiContext);
+    return { cleanedText, notes: applyNotesPatch(emptyNotes, patch, null), model };
+  }
 
-    try {
-      const resolvedModel = await resolveModelForProvider(provider, apiKey, aiSettings.models[provider]);
-      const updatedNotes = await updateNotesWithLLM(currentNotes, chunk, tailContext || '', {
-        provider,
-        apiKey,
-        model: resolvedModel
-      });
+  async function exportPromptProfiles() {
+    const store = await loadPromptProfileStore();
+    return JSON.stringify({ type: 'panopto-smart-notes-prompt-profiles', version: 1, profiles: store.profiles }, null, 2);
+  }
 
-      await updateNotesState(updatedNotes);
-      broadcastToSidePanel({ type: 'NOTES_UPDATE', notes: updatedNotes });
-    } catch (error) {
-      console.error(`Error updating notes with ${provider}:`, error);
-      broadcastToSidePanel({
-        type: 'ERROR',
-        message: `${provider} notes update failed: ${error.message}`
-      });
+  // Imported profiles replace stored ones with the same id.
+  async function importPromptProfiles(content) {
+    const parsed = tryParseJson(typeof content === 'string' ? content : '');
+    const list = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.profiles) ? parsed.profiles : null);
+    if (!list || list.length === 0) {
+      throw new Error('No prompt profiles found in this file.');
     }
+    const store = await loadPromptProfileStore();
+    list.forEach((item) => {
+      const source = item && item.id === DEFAULT_PROMPT_PROFILE_ID ? { ...item, id: null } : item;
+      const profile = normalizePromptProfile(source);
+      const index = store.profiles.findIndex((existing) => existing.id === profile.id);
+      if (index >= 0) {
+        store.profiles[index] = profile;
+      } else {
+        store.profiles.push(profile);
+      }
+    });
+    await savePromptProfileStore(store);
+    return list.length;
   }
 
-  async function updateNotesWithLLM(notes, chunk, tailContext, aiContext) {
-    const previousNotes = normalizeNotesState(notes);
-    const cleanedRaw = await runCaptionCleaner(chunk.text, tailContext, aiContext);
-    const cleanText = tightenCleanTranscript(cleanedRaw);
+  // Q&A over the current lecture: rank transcript passages locally (BM25 over
+  // ~45s windows) and answer from the top matches only.
+  async function askLecture(sessionKey, question, history, recentTranscript) {
+    const query = typeof question === 'string' ? question.trim() : '';
+    if (!query) throw new Error('Type a question first.');
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) throw new Error('No lecture session for this tab.');
 
-    if (!cleanText.trim()) {
+    const settings = await getAiSettings();
+    const provider = isValidProvider(settings.provider) ? settings.provider : DEFAULT_PROVIDER;
+    const apiKey = getProviderApiKey(settings, provider);
+    const setupError = getProviderSetupError(settings, provider, apiKey);
+    if (setupError) throw new Error(setupError);
+    await assertWithinBudget(sessionKey, settings);
+
+    const entries = await getLectureTranscriptEntries(lectureId, recentTranscript);
+    if (entries.length === 0) {
+      throw new Error('No transcript captured for this lecture yet.');
+    }
+
+    const passages = rankPassages(buildTranscriptPassages(entries), query).slice(0, QA_MAX_PASSAGES);
+    if (passages.length === 0) {
       return {
-        ...previousNotes,
-        lastChunkId: chunk.chunkId || previousNotes.lastChunkId
+        answer: 'I could not find anything about that in the captured transcript.',
+        sources: []
       };
     }
+    passages.sort((a, b) => a.tStart - b.tStart);
 
-    const mergedRaw = await runNotesMerger(previousNotes, cleanText, aiContext);
-    const mergedParsed = await parseAndValidateNotesJson(mergedRaw, aiContext);
-    const qualityMerged = enforceCumulativeQuality(previousNotes, mergedParsed);
-
-    return {
-      ...qualityMerged,
-      lastUpdatedAt: new Date().toISOString(),
-      lastChunkId: chunk.chunkId || qualityMerged.lastChunkId || null
-    };
-  }
-
-  async function runCaptionCleaner(chunkText, tailContext, aiContext) {
     const systemPrompt = [
-      'You clean noisy live lecture captions into clear academic text.',
+      'You answer questions about one lecture using only the transcript excerpts provided.',
       'Rules:',
-      '- Remove filler words, false starts, and casual backchanneling.',
-      '- Reconstruct broken sentences and punctuation.',
-      '- Keep only lecture substance: definitions, methods, examples, comparisons, conclusions.',
-      '- Preserve technical terms, equations, symbols, and numeric values exactly.',
-      '- Do NOT summarize or shorten substantive content.',
-      '- Output plain text paragraphs only (no bullets, no headings).'
+      '- Use only facts stated in the excerpts; do not add outside knowledge.',
+      '- After each claim, cite the excerpt it came from using its start timestamp in square brackets, e.g. [12:34].',
+      '- If the excerpts do not answer the question, say so briefly.',
+      '- Be concise. Plain text only, no markdown headings.'
     ].join('\n');
 
+    const turns = (Array.isArray(history) ? history : [])
+      .filter((turn) => turn && typeof turn.text === 'string' && turn.text.trim())
+      .slice(-QA_MAX_HISTORY_TURNS)
+      .map((turn) => `${turn.role === 'assistant' ? 'A' : 'Q'}: ${turn.text.trim()}`);
+
     const userPrompt = [
-      'Tail context (may overlap):',
-      tailContext || '',
+      'Transcript excerpts:',
+      passages.map((passage) => `[${formatTimestamp(passage.tStart)}] ${passage.text}`).join('\n\n'),
       '',
-      'New caption chunk:',
-      chunkText
+      'Conversation so far:',
+      turns.join('\n') || '(none)',
+      '',
+      `Question: ${query}`
     ].join('\n');
 
-    return callModelText({
-      provider: aiContext.provider,
-      apiKey: aiContext.apiKey,
-      model: aiContext.model,
+    await waitForRateLimit();
+    const model = await resolveModelForProvider(provider, apiKey, settings.models[provider], getProviderBaseUrl(settings, provider));
+    const answer = await callModelText({
+      provider,
+      apiKey,
+      baseUrl: getProviderBaseUrl(settings, provider),
+      model,
+      sessionKey,
+      stage: USAGE_STAGES.QA,
       systemPrompt,
       userPrompt,
-      temperature: 0.15
+      temperature: 0.1
+    });
+
+    return {
+      answer: answer.trim(),
+      sources: passages.map((passage) => ({ tStart: passage.tStart, tEnd: passage.tEnd }))
+    };
+  }
+
+  // Archived transcript plus the live entries the side panel still holds,
+  // so captions from the open (unfinalized) chunk are searchable too.
+  async function getLectureTranscriptEntries(lectureId, recentTranscript) {
+    let archived = [];
+    try {
+      archived = getRecordTranscriptEntries(await getLibraryLecture(lectureId));
+    } catch (error) {
+      archived = [];
+    }
+
+    const seen = new Set();
+    return [...archived, ...(Array.isArray(recentTranscript) ? recentTranscript : [])]
+      .filter((entry) => entry && typeof entry.text === 'string' && typeof entry.startTime === 'number')
+      .filter((entry) => {
+        const key = getTranscriptEntryKey(entry);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // Records without archived transcript entries fall back to their chunk text.
+  function getRecordTranscriptEntries(record) {
+    return Array.isArray(record.transcript) && record.transcript.length > 0
+      ? record.transcript
+      : (record.chunks || []).map((chunk) => ({ startTime: chunk.tStart, endTime: chunk.tEnd, text: chunk.text }));
+  }
+
+  function buildTranscriptPassages(entries) {
+    const passages = [];
+    let current = null;
+    entries.forEach((entry) => {
+      const endTime = typeof entry.endTime === 'number' ? entry.endTime : entry.startTime;
+      if (!current || entry.startTime - current.tStart >= QA_PASSAGE_SECONDS) {
+        current = { tStart: entry.startTime, tEnd: endTime, parts: [] };
+        passages.push(current);
+      }
+      current.parts.push(entry.text.trim());
+      current.tEnd = Math.max(current.tEnd, endTime);
     });
+    return passages.map((passage) => ({
+      tStart: passage.tStart,
+      tEnd: passage.tEnd,
+      text: passage.parts.join(' ')
+    }));
   }
 
-  async function runNotesMerger(notes, cleanText, aiContext) {
-    const headings = notes.sections.map((s) => s.heading).join(' | ');
+  function rankPassages(passages, query) {
+    const queryTerms = Array.from(new Set(tokenizeForSearch(query)));
+    if (queryTerms.length === 0) return [];
+
+    const docs = passages.map((passage) => tokenizeForSearch(passage.text));
+    const avgLength = docs.reduce((sum, tokens) => sum + tokens.length, 0) / Math.max(1, docs.length);
+    const docFreq = {};
+    docs.forEach((tokens) => {
+      new Set(tokens).forEach((token) => {
+        docFreq[token] = (docFreq[token] || 0) + 1;
+      });
+    });
+
+    const k1 = 1.2;
+    const b = 0.75;
+    return passages
+      .map((passage, index) => {
+        const tokens = docs[index];
+        const counts = {};
+        tokens.forEach((token) => {
+          counts[token] = (counts[token] || 0) + 1;
+        });
+        let score = 0;
+        queryTerms.forEach((term) => {
+          const tf = counts[term] || 0;
+          if (!tf) return;
+          const df = docFreq[term] || 0;
+          const idf = Math.log(1 + (docs.length - df + 0.5) / (df + 0.5));
+          score += idf * (tf * (k1 + 1)) / (tf + k1 * (1 - b + b * (tokens.length / (avgLength || 1))));
+        });
+        return { ...passage, score };
+      })
+      .filter((passage) => passage.score > 0)
+      .sort((x, y) => y.score - x.score);
+  }
+
+  // Lowercased word tokens without stopwords, with a light plural/suffix strip
+  // so "recursion"/"recursive" and "cases"/"case" still meet.
+  function tokenizeForSearch(text) {
+    return String(text || '')
+      .toLowerCase()
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter((token) => token.length > 1 && !STOPWORDS.has(token))
+      .map(stemToken);
+  }
+
+  function stemToken(token) {
+    if (token.length <= 3 || /^\d+$/.test(token)) return token;
+    let stem = token;
+    if (stem.endsWith('ies')) {
+      stem = `${stem.slice(0, -3)}y`;
+    } else if (stem.endsWith('s') && !stem.endsWith('ss')) {
+      stem = stem.slice(0, -1);
+    }
+    const suffix = stem.match(/(ions?|ive|ing|ed)$/);
+    if (suffix && stem.length - suffix[0].length >= 3) {
+      stem = stem.slice(0, -suffix[0].length);
+    }
+    return stem.length > 3 ? stem.replace(/e$/, '') : stem;
+  }
+
+  // Flashcards are generated from the notes bullets (or, before any notes
+  // exist, the archived transcript chunks). The model cites a source ref per
+  // card so each card keeps its section heading and timestamp.
+  async function generateFlashcards(sessionKey) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) throw new Error('No lecture session for this tab.');
+
+    const settings = await getAiSettings();
+    const provider = isValidProvider(settings.provider) ? settings.provider : DEFAULT_PROVIDER;
+    const apiKey = getProviderApiKey(settings, provider);
+    const setupError = getProviderSetupError(settings, provider, apiKey);
+    if (setupError) throw new Error(setupError);
+    await assertWithinBudget(sessionKey, settings);
+
+    const sources = await buildFlashcardSources(sessionKey, lectureId);
+    if (sources.length === 0) {
+      throw new Error('No notes or transcript captured for this lecture yet.');
+    }
+
     const systemPrompt = [
-      'You are an expert lecture note-taker maintaining one cumulative lecture note document.',
-      'You will merge new cleaned transcript text into existing notes JSON.',
-      '',
-      'Strict rules:',
-      '- Use only transcript-supported content.',
-      '- No exam tips, study tips, helpful hints, or key takeaways.',
-      '- Keep headings stable unless a clearly new topic appears.',
-      '- Avoid duplicates; do not re-add an existing point.',
-      '- Prefer appending concise technical bullets to existing sections.',
-      '- Use specific concept headings instead of generic labels like "Lecture 6" alone.',
-      '- When useful, encode hierarchy in heading text as "Main Topic :: Subtopic".',
-      '- Keep sections focused: split broad sections into narrower subtopics when they become too large.',
-      '- Keep bullets concise and factual.',
-      '- Return ONLY valid JSON matching the schema exactly.'
+      'You write study flashcards from lecture material.',
+      'Rules:',
+      '- Use only facts stated in the source items.',
+      '- Make "basic" cards (a specific question on front, a short answer on back) and "cloze" cards (one sentence on front with the key term wrapped as {{c1::term}}, back empty).',
+      '- One fact per card. No trivia about the lecture itself (who said what, when).',
+      `- At most ${MAX_FLASHCARDS} cards, favouring definitions, mechanisms, comparisons, and formulas.`,
+      '- Set "source" to the id of the item the card came from.',
+      '- Return ONLY valid JSON matching the schema.'
     ].join('\n');
 
     const userPrompt = [
       'Schema:',
-      '{ "title": string | null, "sections": [{ "heading": string, "bullets": string[] }], "lastUpdatedAt": string | null, "lastChunkId": string | null }',
-      '',
-      'Existing heading inventory:',
-      headings || '(none)',
-      '',
-      'Existing notes JSON:',
-      JSON.stringify(notes, null, 2),
+      '{ "cards": [{ "type": "basic" | "cloze", "front": string, "back": string, "source": string }] }',
       '',
-      'New cleaned transcript:',
-      cleanText
+      'Source items:',
+      sources.map((item) => `${item.ref} [${item.heading || 'Transcript'}] ${item.text}`).join('\n')
     ].join('\n');
 
-    return callModelText({
-      provider: aiContext.provider,
-      apiKey: aiContext.apiKey,
-      model: aiContext.model,
+    await waitForRateLimit();
+    const baseUrl = getProviderBaseUrl(settings, provider);
+    const model = await resolveModelForProvider(provider, apiKey, settings.models[provider], baseUrl);
+    const raw = await callModelText({
+      provider,
+      apiKey,
+      baseUrl,
+      model,
+      sessionKey,
+      stage: USAGE_STAGES.FLASHCARDS,
       systemPrompt,
       userPrompt,
-      temperature: 0.05,
+      temperature: 0.2,
       responseMimeType: 'application/json'
     });
+
+    const parsed = tryParseJson(raw);
+    if (!parsed || !Array.isArray(parsed.cards)) {
+      throw new Error('Model output could not be parsed as flashcards.');
+    }
+
+    const sourcesByRef = new Map(sources.map((item) => [item.ref, item]));
+    const cards = parsed.cards
+      .map((card) => {
+        const source = sourcesByRef.get(String(card && card.source || '').trim()) || null;
+        return normalizeFlashcard({
+          ...card,
+          heading: source ? source.heading : null,
+          chunkId: source ? source.chunkId : null,
+          tStart: source ? source.tStart : null,
+          tEnd: source ? source.tEnd : null
+        });
+      })
+      .filter((card) => card && isCompleteFlashcard(card))
+      .slice(0, MAX_FLASHCARDS);
+    if (cards.length === 0) {
+      throw new Error('The model did not return any usable flashcards.');
+    }
+
+    return saveFlashcards(sessionKey, cards);
   }
 
-  async function parseAndValidateNotesJson(rawText, aiContext) {
-    const parsed = tryParseJson(rawText);
-    if (parsed) return normalizeNotesState(parsed);
+  async function buildFlashcardSources(sessionKey, lectureId) {
+    const notes = await getNotesState(sessionKey);
+    const items = [];
+    notes.sections.forEach((section, sectionIndex) => {
+      section.bullets.forEach((bullet, bulletIndex) => {
+        items.push({
+          ref: `s${sectionIndex + 1}b${bulletIndex + 1}`,
+          heading: section.heading,
+          text: bullet.text,
+          chunkId: bullet.chunkId,
+          tStart: bullet.tStart,
+          tEnd: bullet.tEnd
+        });
+      });
+    });
+    if (items.length > 0) return items.slice(-MAX_FLASHCARD_SOURCE_ITEMS);
 
-    const repairedText = await repairNotesJson(rawText, aiContext);
-    const repaired = tryParseJson(repairedText);
-    if (!repaired) {
-      throw new Error('Model output could not be parsed as valid JSON.');
+    let chunks = [];
+    try {
+      chunks = (await getLibraryLecture(lectureId)).chunks || [];
+    } catch (error) {
+      chunks = [];
     }
-    return normalizeNotesState(repaired);
+    return chunks.slice(-MAX_FLASHCARD_SOURCE_ITEMS).map((chunk, index) => ({
+      ref: `c${index + 1}`,
+      heading: null,
+      text: chunk.text,
+      chunkId: chunk.chunkId,
+      tStart: chunk.tStart,
+      tEnd: chunk.tEnd
+    }));
   }
 
-  async function repairNotesJson(invalidText, aiContext) {
-    const systemPrompt = [
-      'Repair invalid JSON output.',
-      'Return only valid JSON. No markdown. No prose.',
-      'Target schema exactly:',
-      '{ "title": string | null, "sections": [{ "heading": string, "bullets": string[] }], "lastUpdatedAt": string | null, "lastChunkId": string | null }'
-    ].join('\n');
+  function normalizeFlashcard(input) {
+    if (!input || typeof input !== 'object') return null;
+    const type = input.type === FLASHCARD_TYPES.CLOZE ? FLASHCARD_TYPES.CLOZE : FLASHCARD_TYPES.BASIC;
+    const front = typeof input.front === 'string' ? input.front.trim() : '';
+    const back = typeof input.back === 'string' ? input.back.trim() : '';
 
-    const userPrompt = [
-      'Fix this invalid JSON output:',
-      invalidText
-    ].join('\n');
+    const tStart = Number.isFinite(input.tStart) ? input.tStart : null;
+    return {
+      id: typeof input.id === 'string' && input.id ? input.id : `card_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type,
+      front,
+      back,
+      heading: typeof input.heading === 'string' && input.heading.trim() ? input.heading.trim() : null,
+      chunkId: typeof input.chunkId === 'string' && input.chunkId ? input.chunkId : null,
+      tStart,
+      tEnd: Number.isFinite(input.tEnd) ? input.tEnd : tStart
+    };
+  }
 
-    return callModelText({
-      provider: aiContext.provider,
-      apiKey: aiContext.apiKey,
-      model: aiContext.model,
-      systemPrompt,
-      userPrompt,
-      temperature: 0,
-      responseMimeType: 'application/json'
+  // Cards being edited may be incomplete; only complete cards are generated or exported.
+  function isCompleteFlashcard(card) {
+    if (!card.front) return false;
+    if (card.type === FLASHCARD_TYPES.CLOZE) return /\{\{c\d+::.+?\}\}/.test(card.front);
+    return Boolean(card.back);
+  }
+
+  function getFlashcardsStorageKey(sessionKey) {
+    return `flashcards:${sessionKey}`;
+  }
+
+  async function getFlashcards(sessionKey) {
+    if (!sessionKey) return [];
+    const key = getFlashcardsStorageKey(sessionKey);
+    const result = await chrome.storage.session.get([key]);
+    return Array.isArray(result[key]) ? result[key].map(normalizeFlashcard).filter(Boolean) : [];
+  }
+
+  async function saveFlashcards(sessionKey, cards) {
+    if (!sessionKey) throw new Error('No lecture session for these flashcards.');
+    const normalized = (Array.isArray(cards) ? cards : []).map(normalizeFlashcard).filter(Boolean);
+    await chrome.storage.session.set({ [getFlashcardsStorageKey(sessionKey)]: normalized });
+    archiveFlashcards(sessionKey, normalized).catch((error) => console.error('Failed to archive flashcards:', error));
+    return normalized;
+  }
+
+  async function exportFlashcards(sessionKey, format) {
+    const cards = (await getFlashcards(sessionKey)).filter(isCompleteFlashcard);
+    if (cards.length === 0) throw new Error('No complete flashcards to export.');
+    const tabInfo = await getSessionTabInfo(sessionKey);
+    return format === 'csv'
+      ? buildFlashcardsCsv(cards)
+      : buildFlashcardsAnkiTsv(cards, tabInfo ? tabInfo.url : null, getSessionLectureId(sessionKey));
+  }
+
+  // Anki plain-text import with file headers: the note type comes from the
+  // first column (Basic or Cloze), the source reference is appended to the
+  // back / Back Extra field, and the last column holds tags.
+  function buildFlashcardsAnkiTsv(cards, lectureUrl, lectureId) {
+    const lectureTag = `panopto::${String(lectureId || 'lecture').replace(/[^a-z0-9_-]+/gi, '_')}`;
+    const lines = [
+      '#separator:tab',
+      '#html:true',
+      '#notetype column:1',
+      '#tags column:4'
+    ];
+
+    cards.forEach((card) => {
+      const source = formatFlashcardSource(card);
+      const url = card.tStart !== null ? buildTimestampUrl(lectureUrl, card.tStart) : '';
+      const sourceHtml = source
+        ? `<br><br><small>${url ? `<a href="${escapeAnkiHtml(url)}">${escapeAnkiHtml(source)}</a>` : escapeAnkiHtml(source)}</small>`
+        : '';
+      const back = `${escapeAnkiHtml(card.back)}${sourceHtml}`;
+      lines.push([
+        card.type === FLASHCARD_TYPES.CLOZE ? 'Cloze' : 'Basic',
+        escapeAnkiHtml(card.front),
+        card.type === FLASHCARD_TYPES.CLOZE ? back.replace(/^(<br>)+/, '') : back,
+        lectureTag
+      ].join('\t'));
+    });
+    return `${lines.join('\n')}\n`;
+  }
+
+  function buildFlashcardsCsv(cards) {
+    const rows = [['type', 'front', 'back', 'section', 'timestamp', 'tStart', 'tEnd', 'chunkId']];
+    cards.forEach((card) => {
+      rows.push([
+        card.type,
+        card.front,
+        card.back,
+        card.heading || '',
+        card.tStart !== null ? formatTimestamp(card.tStart) : '',
+        card.tStart !== null ? String(card.tStart) : '',
+        card.tEnd !== null ? String(card.tEnd) : '',
+        card.chunkId || ''
+      ]);
     });
+    return `${rows.map((row) => row.map(escapeCsvField).join(',')).join('\r\n')}\r\n`;
+  }
+
+  function formatFlashcardSource(card) {
+    const parts = [];
+    if (card.heading) parts.push(parseCompositeHeading(card.heading).heading);
+    if (card.tStart !== null) parts.push(formatTimestamp(card.tStart));
+    return parts.join(' @ ');
   }
 
+  function escapeAnkiHtml(text) {
+    return String(text || '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/\t/g, ' ')
+      .replace(/\r?\n/g, '<br>');
+  }
+
+  function escapeCsvField(value) {
+    const text = String(value === null || value === undefined ? '' : value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Errors are tagged with the provider that made the request, which may be
+  // a stage override rather than the provider whose turn it is.
   async function callModelText(params) {
-    switch (params.provider) {
-      case PROVIDERS.GEMINI:
-        return callGeminiText(params);
-      case PROVIDERS.OPENAI:
-        return callOpenAIText(params);
-      case PROVIDERS.ANTHROPIC:
-        return callAnthropicText(params);
-      default:
-        throw new Error(`Unsupported provider: ${params.provider}`);
+    try {
+      switch (params.provider) {
+        case PROVIDERS.GEMINI:
+          return await callGeminiText(params);
+        case PROVIDERS.OPENAI:
+          return await callOpenAIText(params);
+        case PROVIDERS.ANTHROPIC:
+          return await callAnthropicText(params);
+        case PROVIDERS.CUSTOM:
+          return await callOpenAIText(params);
+        default:
+          throw new Error(`Unsupported provider: ${params.provider}`);
+      }
+    } catch (error) {
+      if (error && typeof error === 'object' && !error.provider) error.provider = params.provider;
+      throw error;
     }
   }
 
@@ -335,11 +2382,16 @@
     if (params.responseMimeType) {
       body.generationConfig.responseMimeType = params.responseMimeType;
     }
+    if (params.responseSchema && !params._retryWithoutSchema) {
+      body.generationConfig.responseMimeType = 'application/json';
+      body.generationConfig.responseSchema = toGeminiSchema(params.responseSchema.schema);
+    }
 
     const response = await fetch(url, {
       method: 'POST',
       headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(body)
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(MODEL_REQUEST_TIMEOUT_MS)
     });
 
     if (!response.ok) {
@@ -350,16 +2402,29 @@
         }
       }
       const errorBody = await response.text();
-      throw new Error(`Gemini API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`);
+      // Gemini rejects a bad key with 400 rather than 401, so it is not mistaken
+      // for a schema the model does not support.
+      const authFailure = response.status === 400 && GEMINI_AUTH_ERROR_RE.test(errorBody);
+      if (response.status === 400 && !authFailure && body.generationConfig.responseSchema) {
+        return callGeminiText({ ...params, _retryWithoutSchema: true });
+      }
+      const error = createHttpError(`Gemini API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`, response.status);
+      error.authFailure = authFailure;
+      throw error;
     }
 
     const data = await response.json();
+    await recordModelUsage(params, requestedModel, extractGeminiUsage(data));
     const text = extractGeminiText(data);
     if (!text) throw new Error('Gemini returned no text output.');
     return text;
   }
 
+  // Also serves the custom provider, which speaks the same chat completions API
+  // at a user-supplied base URL and may not need a key.
   async function callOpenAIText(params) {
+    const isCustom = params.provider === PROVIDERS.CUSTOM;
+    const label = isCustom ? 'Custom endpoint' : 'OpenAI';
     const requestedModel = params.model || DEFAULT_MODELS[PROVIDERS.OPENAI];
     const body = {
       model: requestedModel,
@@ -369,43 +2434,79 @@
         { role: 'user', content: params.userPrompt }
       ]
     };
-    if (params.responseMimeType === 'application/json' && !params._retryWithoutJsonMode) {
+    if (params.responseSchema && !params._retryWithoutSchema) {
+      body.response_format = {
+        type: 'json_schema',
+        json_schema: { name: params.responseSchema.name, strict: true, schema: params.responseSchema.schema }
+      };
+    } else if (params.responseMimeType === 'application/json' && !params._retryWithoutJsonMode) {
       body.response_format = { type: 'json_object' };
     }
 
-    const response = await fetch(OPENAI_CHAT_URL, {
+    const headers = { 'Content-Type': 'application/json' };
+    if (params.apiKey) {
+      headers['Authorization'] = `Bearer ${params.apiKey}`;
+    }
+
+    const response = await fetch(isCustom ? `${params.baseUrl}/chat/completions` : OPENAI_CHAT_URL, {
       method: 'POST',
-      headers: {
-        'Content-Type': 'application/json',
-        'Authorization': `Bearer ${params.apiKey}`
-      },
-      body: JSON.stringify(body)
+      headers,
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(MODEL_REQUEST_TIMEOUT_MS)
     });
 
     if (!response.ok) {
       if (response.status === 404 && !params._retriedModel) {
-        const fallbackModel = await resolveOpenAIModel(params.apiKey, requestedModel);
+        const fallbackModel = isCustom
+          ? await resolveCustomModel(params.baseUrl, params.apiKey, '').catch(() => '')
+          : await resolveOpenAIModel(params.apiKey, requestedModel);
         if (fallbackModel && fallbackModel !== requestedModel) {
           return callOpenAIText({ ...params, model: fallbackModel, _retriedModel: true });
         }
       }
+      // Older models and many local servers reject json_schema; step down to
+      // json_object, then to plain text.
+      if (response.status === 400 && body.response_format && body.response_format.type === 'json_schema') {
+        return callOpenAIText({ ...params, _retryWithoutSchema: true });
+      }
       if (response.status === 400 && body.response_format && !params._retryWithoutJsonMode) {
         return callOpenAIText({ ...params, _retryWithoutJsonMode: true });
       }
       const errorBody = await response.text();
-      throw new Error(`OpenAI API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`);
+      throw createHttpError(`${label} API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`, response.status);
     }
 
     const data = await response.json();
+    await recordModelUsage(params, requestedModel, extractOpenAIUsage(data));
     const choice = data && Array.isArray(data.choices) ? data.choices[0] : null;
     const content = choice && choice.message ? choice.message.content : '';
     const text = extractOpenAIText(content);
-    if (!text) throw new Error('OpenAI returned no text output.');
+    if (!text) throw new Error(`${label} returned no text output.`);
     return text;
   }
 
   async function callAnthropicText(params) {
     const requestedModel = params.model || DEFAULT_MODELS[PROVIDERS.ANTHROPIC];
+    const body = {
+      model: requestedModel,
+      max_tokens: 2048,
+      temperature: typeof params.temperature === 'number' ? params.temperature : 0.2,
+      system: params.systemPrompt,
+      messages: [
+        { role: 'user', content: params.userPrompt }
+      ]
+    };
+    // Anthropic has no JSON mode; a forced tool call with the schema as its
+    // input gives the same guarantee.
+    if (params.responseSchema && !params._retryWithoutSchema) {
+      body.tools = [{
+        name: params.responseSchema.name,
+        description: 'Return the result in this structure.',
+        input_schema: params.responseSchema.schema
+      }];
+      body.tool_choice = { type: 'tool', name: params.responseSchema.name };
+    }
+
     const response = await fetch(ANTHROPIC_MESSAGES_URL, {
       method: 'POST',
       headers: {
@@ -414,15 +2515,8 @@
         'anthropic-version': '2023-06-01',
         'anthropic-dangerous-direct-browser-access': 'true'
       },
-      body: JSON.stringify({
-        model: requestedModel,
-        max_tokens: 2048,
-        temperature: typeof params.temperature === 'number' ? params.temperature : 0.2,
-        system: params.systemPrompt,
-        messages: [
-          { role: 'user', content: params.userPrompt }
-        ]
-      })
+      body: JSON.stringify(body),
+      signal: AbortSignal.timeout(MODEL_REQUEST_TIMEOUT_MS)
     });
 
     if (!response.ok) {
@@ -432,16 +2526,38 @@
           return callAnthropicText({ ...params, model: fallbackModel, _retriedModel: true });
         }
       }
+      if (response.status === 400 && body.tools) {
+        return callAnthropicText({ ...params, _retryWithoutSchema: true });
+      }
       const errorBody = await response.text();
-      throw new Error(`Anthropic API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`);
+      throw createHttpError(`Anthropic API ${response.status} (${requestedModel}): ${errorBody.slice(0, 400)}`, response.status);
     }
 
     const data = await response.json();
+    await recordModelUsage(params, requestedModel, extractAnthropicUsage(data));
     const text = extractAnthropicText(data);
     if (!text) throw new Error('Anthropic returned no text output.');
     return text;
   }
 
+  // Gemini takes an OpenAPI-style subset: upper-case types, nullable instead
+  // of a null type, and no additionalProperties.
+  function toGeminiSchema(schema) {
+    const types = [].concat(schema.type);
+    const out = { type: types.find((type) => type !== 'null').toUpperCase() };
+    if (types.includes('null')) out.nullable = true;
+    if (schema.enum) out.enum = schema.enum;
+    if (schema.items) out.items = toGeminiSchema(schema.items);
+    if (schema.properties) {
+      out.properties = {};
+      Object.keys(schema.properties).forEach((key) => {
+        out.properties[key] = toGeminiSchema(schema.properties[key]);
+      });
+      out.required = schema.required || [];
+    }
+    return out;
+  }
+
   function extractGeminiText(data) {
     const candidate = data && data.candidates && data.candidates[0];
     if (!candidate || !candidate.content || !Array.isArray(candidate.content.parts)) return '';
@@ -467,14 +2583,213 @@
     return '';
   }
 
+  // Structured calls come back as a tool_use block; its input is returned as JSON text.
   function extractAnthropicText(data) {
     const parts = data && Array.isArray(data.content) ? data.content : [];
+    const toolUse = parts.find((part) => part && part.type === 'tool_use' && part.input);
+    if (toolUse) return JSON.stringify(toolUse.input);
     return parts
       .map((part) => (part && part.type === 'text' && typeof part.text === 'string' ? part.text : ''))
       .join('')
       .trim();
   }
 
+  // Thinking tokens are billed as output on Gemini.
+  function extractGeminiUsage(data) {
+    const usage = data && data.usageMetadata;
+    if (!usage) return null;
+    return {
+      inputTokens: usage.promptTokenCount || 0,
+      outputTokens: (usage.candidatesTokenCount || 0) + (usage.thoughtsTokenCount || 0)
+    };
+  }
+
+  function extractOpenAIUsage(data) {
+    const usage = data && data.usage;
+    if (!usage) return null;
+    return { inputTokens: usage.prompt_tokens || 0, outputTokens: usage.completion_tokens || 0 };
+  }
+
+  function extractAnthropicUsage(data) {
+    const usage = data && data.usage;
+    if (!usage) return null;
+    return { inputTokens: usage.input_tokens || 0, outputTokens: usage.output_tokens || 0 };
+  }
+
+  // Token usage is kept per lecture (library record) and per calendar month
+  // (chrome.storage.local.usageByMonth), each split by pipeline stage.
+  // Recording never fails the model call it belongs to.
+  async function recordModelUsage(params, model, usage) {
+    if (!usage || (!usage.inputTokens && !usage.outputTokens)) return;
+    try {
+      const settings = await getAiSettings();
+      const costUsd = estimateCostUsd(model, usage, settings.prices);
+      // Calls to models without a known price are counted separately rather
+      // than as free, so budgets can flag them.
+      const entry = {
+        ...usage,
+        costUsd: costUsd || 0,
+        unpricedModel: costUsd === null ? normalizeModelName(model) || 'unknown model' : null
+      };
+      const stage = params.stage || 'other';
+      await mutateUsageByMonth((months) => {
+        const monthKey = getUsageMonthKey();
+        months[monthKey] = addUsage(months[monthKey], stage, entry);
+      });
+      const lectureId = getSessionLectureId(params.sessionKey);
+      if (lectureId) {
+        await updateLibraryLecture(lectureId, (record) => {
+          record.usage = addUsage(record.usage, stage, entry);
+          return record;
+        });
+      }
+    } catch (error) {
+      console.error('Failed to record model usage:', error);
+    }
+  }
+
+  function emptyUsageTotals() {
+    return { inputTokens: 0, outputTokens: 0, costUsd: 0, calls: 0, unpricedCalls: 0 };
+  }
+
+  function addUsage(totals, stage, entry) {
+    const next = { ...emptyUsageTotals(), ...(totals || {}) };
+    next.stages = { ...(next.stages || {}) };
+    next.stages[stage] = { ...emptyUsageTotals(), ...(next.stages[stage] || {}) };
+    [next, next.stages[stage]].forEach((target) => {
+      target.inputTokens += entry.inputTokens;
+      target.outputTokens += entry.outputTokens;
+      target.costUsd += entry.costUsd;
+      target.calls += 1;
+      if (entry.unpricedModel) target.unpricedCalls += 1;
+    });
+    const unpricedModels = Array.isArray(next.unpricedModels) ? next.unpricedModels : [];
+    next.unpricedModels = entry.unpricedModel && !unpricedModels.includes(entry.unpricedModel)
+      ? [...unpricedModels, entry.unpricedModel].slice(-MAX_UNPRICED_MODELS)
+      : unpricedModels;
+    return next;
+  }
+
+  function mutateUsageByMonth(mutator) {
+    const run = usageWrites.then(async () => {
+      const result = await chrome.storage.local.get(['usageByMonth']);
+      const months = result.usageByMonth && typeof result.usageByMonth === 'object' ? result.usageByMonth : {};
+      mutator(months);
+      const kept = Object.keys(months).sort().slice(-MAX_USAGE_MONTHS);
+      const pruned = {};
+      kept.forEach((key) => {
+        pruned[key] = months[key];
+      });
+      await chrome.storage.local.set({ usageByMonth: pruned });
+    });
+    usageWrites = run.catch(() => {});
+    return run;
+  }
+
+  function getUsageMonthKey() {
+    const now = new Date();
+    return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+  }
+
+  // Null when the model has no built-in or user price.
+  function estimateCostUsd(model, usage, priceOverrides) {
+    const price = getModelPrice(model, priceOverrides);
+    if (!price) return null;
+    return (usage.inputTokens * price.input + usage.outputTokens * price.output) / 1000000;
+  }
+
+  function getModelPrice(model, priceOverrides) {
+    const name = normalizeModelName(model).toLowerCase();
+    const table = { ...DEFAULT_MODEL_PRICES, ...(priceOverrides || {}) };
+    const prefix = Object.keys(table)
+      .filter((key) => name.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? table[prefix] : null;
+  }
+
+  async function getUsageView(sessionKey) {
+    const settings = await getAiSettings();
+    const lectureId = getSessionLectureId(sessionKey);
+    const [lecture, month] = await Promise.all([getLectureUsage(lectureId), getMonthUsage()]);
+    return {
+      lecture,
+      month,
+      monthKey: getUsageMonthKey(),
+      budget: settings.budget,
+      budgetStatus: checkBudget(settings.budget, lecture, month)
+    };
+  }
+
+  async function getLectureUsage(lectureId) {
+    if (!lectureId) return addUsageDefaults(null);
+    const record = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.get(lectureId);
+      request.onsuccess = () => setResult(request.result || null);
+    });
+    return addUsageDefaults(record && record.usage);
+  }
+
+  async function getMonthUsage() {
+    const result = await chrome.storage.local.get(['usageByMonth']);
+    const months = result.usageByMonth || {};
+    return addUsageDefaults(months[getUsageMonthKey()]);
+  }
+
+  function addUsageDefaults(usage) {
+    return { ...emptyUsageTotals(), stages: {}, unpricedModels: [], ...(usage || {}) };
+  }
+
+  async function getBudgetStatus(sessionKey, settings) {
+    const budget = settings.budget;
+    if (budget.lectureUsd === null && budget.monthlyUsd === null) {
+      return { exceeded: false, message: '' };
+    }
+    const [lecture, month] = await Promise.all([
+      getLectureUsage(getSessionLectureId(sessionKey)),
+      getMonthUsage()
+    ]);
+    return checkBudget(budget, lecture, month);
+  }
+
+  function checkBudget(budget, lecture, month) {
+    if (budget.lectureUsd !== null && lecture.costUsd >= budget.lectureUsd) {
+      return {
+        exceeded: true,
+        message: `Lecture AI budget of $${budget.lectureUsd.toFixed(2)} reached ($${lecture.costUsd.toFixed(2)} spent).`
+      };
+    }
+    if (budget.monthlyUsd !== null && month.costUsd >= budget.monthlyUsd) {
+      return {
+        exceeded: true,
+        message: `Monthly AI budget of $${budget.monthlyUsd.toFixed(2)} reached ($${month.costUsd.toFixed(2)} spent).`
+      };
+    }
+    // Unpriced calls are not in costUsd, so a budget cannot see what they
+    // cost; AI keeps running but the side panel says so.
+    const unpriced = [
+      budget.lectureUsd !== null ? lecture : null,
+      budget.monthlyUsd !== null ? month : null
+    ].find((usage) => usage && usage.unpricedCalls > 0);
+    if (unpriced) {
+      const calls = `${unpriced.unpricedCalls} AI call${unpriced.unpricedCalls === 1 ? '' : 's'}`;
+      const models = (unpriced.unpricedModels || []).join(', ') || 'unknown model';
+      return {
+        exceeded: false,
+        message: '',
+        warning: `${calls} to models without a price (${models}) ${unpriced.unpricedCalls === 1 ? 'is' : 'are'} not counted toward the budget. Add their prices under Usage.`
+      };
+    }
+    return { exceeded: false, message: '' };
+  }
+
+  async function assertWithinBudget(sessionKey, settings) {
+    const status = await getBudgetStatus(sessionKey, settings);
+    if (status.exceeded) {
+      broadcastToSidePanel({ type: 'BUDGET_STATUS', sessionKey, ...status });
+      throw new Error(status.message);
+    }
+  }
+
   function tryParseJson(text) {
     if (!text || typeof text !== 'string') return null;
     const stripped = text
@@ -555,12 +2870,15 @@
       : (Array.isArray(input.outline) ? input.outline : []);
 
     sourceSections.forEach((section) => {
-      const heading = sanitizeHeading(section && section.heading);
+      const flags = getProtectionFlags(section);
+      const heading = flags.pinned || flags.userAuthored
+        ? collapseNoteText(section.heading)
+        : sanitizeHeading(section && section.heading);
       const bullets = Array.isArray(section && section.bullets)
-        ? section.bullets.map(sanitizeBullet).filter(Boolean)
+        ? section.bullets.map(normalizeBullet).filter(Boolean)
         : [];
       if (heading) {
-        sections.push({ heading, bullets });
+        sections.push({ id: getNoteId(section, 's'), heading, bullets, ...flags });
       }
     });
     base.sections = sections.slice(0, MAX_SECTIONS);
@@ -579,6 +2897,17 @@
       base.lastChunkId = null;
     }
 
+    base.glossary = normalizeGlossary(input.glossary);
+    base.nextSectionId = Number.isInteger(input.nextSectionId) && input.nextSectionId > 0 ? input.nextSectionId : 1;
+    base.nextBulletId = Number.isInteger(input.nextBulletId) && input.nextBulletId > 0 ? input.nextBulletId : 1;
+
+    if (input.generatedBy && typeof input.generatedBy.provider === 'string') {
+      base.generatedBy = {
+        provider: input.generatedBy.provider,
+        model: typeof input.generatedBy.model === 'string' ? input.generatedBy.model : null
+      };
+    }
+
     return base;
   }
 
@@ -589,9 +2918,10 @@
     const merged = {
       title: previous.title || candidate.title || null,
       sections: previous.sections.map((section) => ({
-        heading: section.heading,
+        ...section,
         bullets: dedupeBullets(section.bullets)
       })),
+      glossary: previous.glossary,
       lastUpdatedAt: candidate.lastUpdatedAt || previous.lastUpdatedAt,
       lastChunkId: candidate.lastChunkId || previous.lastChunkId
     };
@@ -608,17 +2938,17 @@
           ...incomingBullets
         ]);
       } else if (isUsefulHeading(heading)) {
-        merged.sections.push({ heading, bullets: incomingBullets });
+        merged.sections.push({ ...incomingSection, heading, bullets: incomingBullets });
       }
     });
 
     merged.sections = merged.sections
       .map((section) => ({
-        heading: sanitizeHeading(section.heading),
-        // Keep the most recent bullets so live notes continue updating in long lectures.
-        bullets: dedupeBullets(section.bullets).slice(-MAX_BULLETS_PER_SECTION)
+        ...section,
+        heading: isProtectedNote(section) ? section.heading : sanitizeHeading(section.heading),
+        bullets: capSectionBullets(dedupeBullets(section.bullets))
       }))
-      .filter((section) => section.heading && section.bullets.length > 0)
+      .filter((section) => section.heading && (section.bullets.length > 0 || isProtectedNote(section)))
       .slice(0, MAX_SECTIONS);
 
     return merged;
@@ -631,6 +2961,154 @@
     return clean;
   }
 
+  // Bullets are { id, text, chunkId, tStart, tEnd, pinned, userAuthored };
+  // plain strings from older notes or model output are accepted and get a
+  // null id and source. Pinned and user-authored text is kept as written.
+  function normalizeBullet(raw) {
+    const source = raw && typeof raw === 'object' ? raw : { text: raw };
+    const flags = getProtectionFlags(source);
+    const text = flags.pinned || flags.userAuthored ? collapseNoteText(source.text) : sanitizeBullet(source.text);
+    if (!text) return null;
+    const tStart = Number.isFinite(source.tStart) ? source.tStart : null;
+    return {
+      id: getNoteId(source, 'b'),
+      text,
+      chunkId: typeof source.chunkId === 'string' && source.chunkId ? source.chunkId : null,
+      tStart,
+      tEnd: Number.isFinite(source.tEnd) ? source.tEnd : tStart,
+      ...flags
+    };
+  }
+
+  function getProtectionFlags(item) {
+    return {
+      pinned: Boolean(item && item.pinned === true),
+      userAuthored: Boolean(item && item.userAuthored === true)
+    };
+  }
+
+  // Pinned and user-authored sections and bullets are never revised, merged
+  // away, or trimmed.
+  function isProtectedNote(item) {
+    return Boolean(item && (item.pinned || item.userAuthored));
+  }
+
+  function collapseNoteText(text) {
+    return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : '';
+  }
+
+  // Bullets already in the notes (they have an id) are never trimmed; the cap
+  // only limits how many new ones a full section takes.
+  function capSectionBullets(bullets) {
+    let room = MAX_BULLETS_PER_SECTION - bullets.filter((bullet) => bullet.id).length;
+    return bullets.filter((bullet) => {
+      if (bullet.id) return true;
+      room -= 1;
+      return room >= 0;
+    });
+  }
+
+  function getNoteId(item, prefix) {
+    const id = item && item.id;
+    return typeof id === 'string' && new RegExp(`^${prefix}\\d+$`).test(id) ? id : null;
+  }
+
+  // Sections ("s3") and bullets ("b41") carry ids that stay stable across
+  // merges so patches can address them. Missing or repeated ids get the next
+  // number from counters kept in the notes, so an id is never handed out
+  // twice, even after the note that had it is gone.
+  function withNoteIds(notes) {
+    const normalized = normalizeNotesState(notes);
+    const bullets = normalized.sections.flatMap((section) => section.bullets);
+    const maxNumber = (items) => items.reduce((max, item) => Math.max(max, item.id ? Number(item.id.slice(1)) : 0), 0);
+    let nextSection = Math.max(normalized.nextSectionId, maxNumber(normalized.sections) + 1);
+    let nextBullet = Math.max(normalized.nextBulletId, maxNumber(bullets) + 1);
+    const seen = new Set();
+    normalized.sections.forEach((section) => {
+      if (!section.id || seen.has(section.id)) section.id = `s${nextSection++}`;
+      seen.add(section.id);
+      section.bullets.forEach((bullet) => {
+        if (!bullet.id || seen.has(bullet.id)) bullet.id = `b${nextBullet++}`;
+        seen.add(bullet.id);
+      });
+    });
+    normalized.nextSectionId = nextSection;
+    normalized.nextBulletId = nextBullet;
+    return normalized;
+  }
+
+  // Glossary entries are { term, definition, chunkId, tStart, sectionIds }.
+  // Terms are unique ignoring case; the list keeps the order terms were defined in.
+  function normalizeGlossary(input) {
+    const glossary = [];
+    (Array.isArray(input) ? input : []).forEach((raw) => {
+      const entry = normalizeGlossaryEntry(raw);
+      if (!entry || glossary.some((item) => getGlossaryTermKey(item.term) === getGlossaryTermKey(entry.term))) return;
+      glossary.push(entry);
+    });
+    return glossary.slice(0, MAX_GLOSSARY_TERMS);
+  }
+
+  function normalizeGlossaryEntry(raw) {
+    if (!raw || typeof raw !== 'object') return null;
+    const term = sanitizeGlossaryTerm(raw.term);
+    const definition = collapseNoteText(raw.definition);
+    if (!term || !definition) return null;
+    return {
+      term,
+      definition,
+      chunkId: typeof raw.chunkId === 'string' && raw.chunkId ? raw.chunkId : null,
+      tStart: Number.isFinite(raw.tStart) ? raw.tStart : null,
+      sectionIds: Array.isArray(raw.sectionIds) ? raw.sectionIds.filter((id) => getNoteId({ id }, 's')) : []
+    };
+  }
+
+  function sanitizeGlossaryTerm(term) {
+    const clean = collapseNoteText(term).replace(/^[*_"'`]+|[*_"'`:.,;]+$/g, '').trim();
+    return clean.length >= 2 && clean.length <= 80 && /\p{L}/u.test(clean) ? clean : '';
+  }
+
+  function getGlossaryTermKey(term) {
+    return String(term || '').toLowerCase().replace(/[^\p{L}\p{N}]+/gu, ' ').trim();
+  }
+
+  // A known term (same key, or near-duplicate term and definition) only takes
+  // a new definition that adds something and does not gut the old one.
+  function upsertGlossaryTerm(glossary, term, definition, source) {
+    const entry = normalizeGlossaryEntry({ term, definition, ...source });
+    if (!entry) return;
+    const key = getGlossaryTermKey(entry.term);
+    const existing = glossary.find((item) => getGlossaryTermKey(item.term) === key) ||
+      glossary.find((item) => isNearDuplicateText(item.term, entry.term) && isNearDuplicateText(item.definition, entry.definition));
+    if (!existing) {
+      if (glossary.length < MAX_GLOSSARY_TERMS) glossary.push(entry);
+      return;
+    }
+    if (isNearDuplicateText(existing.definition, entry.definition) || entry.definition.length < existing.definition.length / 2) return;
+    existing.definition = entry.definition;
+  }
+
+  // Related sections are the ones whose heading or bullets mention the term
+  // (or its plural), and the first mention is the earliest of those bullets or the definition.
+  function refreshGlossary(notes) {
+    notes.glossary.forEach((entry) => {
+      const pattern = buildKeyTermPattern([entry.term, `${entry.term}s`, `${entry.term}es`], '');
+      const sectionIds = [];
+      let tStart = entry.tStart;
+      notes.sections.forEach((section) => {
+        const mentions = section.bullets.filter((bullet) => pattern.test(bullet.text));
+        if (mentions.length === 0 && !pattern.test(section.heading)) return;
+        sectionIds.push(section.id);
+        mentions.forEach((bullet) => {
+          if (bullet.tStart !== null && (tStart === null || bullet.tStart < tStart)) tStart = bullet.tStart;
+        });
+      });
+      entry.sectionIds = sectionIds;
+      entry.tStart = tStart;
+    });
+    return notes;
+  }
+
   function sanitizeBullet(bullet) {
     if (typeof bullet !== 'string') return '';
     let clean = bullet.replace(/\s+/g, ' ').trim();
@@ -648,15 +3126,17 @@
     return key !== 'lecture notes' && key !== 'notes';
   }
 
+  // Protected bullets are always kept, so a generated bullet that repeats
+  // one is dropped even when it came first.
   function dedupeBullets(bullets) {
-    const out = [];
-    for (const raw of bullets || []) {
-      const bullet = sanitizeBullet(raw);
-      if (!bullet) continue;
-      const duplicate = out.some((existing) => isNearDuplicateText(existing, bullet));
-      if (!duplicate) out.push(bullet);
-    }
-    return out;
+    const normalized = (bullets || []).map(normalizeBullet).filter(Boolean);
+    const kept = normalized.filter(isProtectedNote);
+    return normalized.filter((bullet) => {
+      if (isProtectedNote(bullet)) return true;
+      if (kept.some((existing) => isNearDuplicateText(existing.text, bullet.text))) return false;
+      kept.push(bullet);
+      return true;
+    });
   }
 
   function isNearDuplicateText(a, b) {
@@ -721,7 +3201,7 @@
     return bestScore >= 0.72 ? bestIndex : -1;
   }
 
-  async function resolveModelForProvider(provider, apiKey, requestedModel) {
+  async function resolveModelForProvider(provider, apiKey, requestedModel, baseUrl) {
     switch (provider) {
       case PROVIDERS.GEMINI:
         return resolveGeminiModel(apiKey, requestedModel);
@@ -729,6 +3209,8 @@
         return resolveOpenAIModel(apiKey, requestedModel);
       case PROVIDERS.ANTHROPIC:
         return resolveAnthropicModel(requestedModel);
+      case PROVIDERS.CUSTOM:
+        return resolveCustomModel(baseUrl, apiKey, requestedModel);
       default:
         return requestedModel || DEFAULT_MODELS[DEFAULT_PROVIDER];
     }
@@ -744,6 +3226,19 @@
     return pickModel(available, requestedModel, PREFERRED_MODELS[PROVIDERS.OPENAI], DEFAULT_MODELS[PROVIDERS.OPENAI]);
   }
 
+  // Local servers often serve models they do not list, so a typed model name is used as-is.
+  async function resolveCustomModel(baseUrl, apiKey, requestedModel) {
+    const requested = normalizeModelName(requestedModel || '');
+    if (requested) return requested;
+    const available = await listCustomModels(baseUrl, apiKey);
+    if (available.length === 0) {
+      throw new Error('No model set for the custom provider and the server listed none.');
+    }
+    return available[0];
+  }
+
+  // Anthropic's model list needs a key, so requests without a stored model
+  // fall back to the preferred order instead of listing.
   function resolveAnthropicModel(requestedModel) {
     const requested = normalizeModelName(requestedModel || '');
     if (requested) return requested;
@@ -811,39 +3306,785 @@
       .map((model) => (model && typeof model.id === 'string' ? model.id.trim() : ''))
       .filter(Boolean);
 
-    modelCache[PROVIDERS.OPENAI] = { apiKey, fetchedAt: now, models: names };
-    return names.slice();
+    modelCache[PROVIDERS.OPENAI] = { apiKey, fetchedAt: now, models: names };
+    return names.slice();
+  }
+
+  async function listAnthropicModels(apiKey) {
+    const cache = modelCache[PROVIDERS.ANTHROPIC];
+    const now = Date.now();
+    if (cache.apiKey === apiKey && now - cache.fetchedAt < MODEL_CACHE_TTL_MS && cache.models.length > 0) {
+      return cache.models.slice();
+    }
+
+    const response = await fetch(`${ANTHROPIC_MODELS_URL}?limit=100`, {
+      method: 'GET',
+      headers: {
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01',
+        'anthropic-dangerous-direct-browser-access': 'true'
+      }
+    });
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Anthropic ListModels failed (${response.status}): ${body.slice(0, 300)}`);
+    }
+
+    const data = await response.json();
+    const models = Array.isArray(data.data) ? data.data : [];
+    const names = models
+      .map((model) => (model && typeof model.id === 'string' ? model.id.trim() : ''))
+      .filter(Boolean);
+
+    modelCache[PROVIDERS.ANTHROPIC] = { apiKey, fetchedAt: now, models: names };
+    return names.slice();
+  }
+
+  async function listCustomModels(baseUrl, apiKey) {
+    if (!baseUrl) throw new Error('No base URL set for the custom provider.');
+    const cache = modelCache[PROVIDERS.CUSTOM];
+    const now = Date.now();
+    if (cache.baseUrl === baseUrl && cache.apiKey === apiKey && now - cache.fetchedAt < MODEL_CACHE_TTL_MS && cache.models.length > 0) {
+      return cache.models.slice();
+    }
+
+    const response = await fetch(`${baseUrl}/models`, {
+      method: 'GET',
+      headers: apiKey ? { 'Authorization': `Bearer ${apiKey}` } : {}
+    });
+    if (!response.ok) {
+      const body = await response.text();
+      throw new Error(`Custom endpoint ListModels failed (${response.status}): ${body.slice(0, 300)}`);
+    }
+
+    const data = await response.json();
+    const models = Array.isArray(data.data) ? data.data : [];
+    const names = models
+      .map((model) => (model && typeof model.id === 'string' ? model.id.trim() : ''))
+      .filter(Boolean);
+
+    modelCache[PROVIDERS.CUSTOM] = { apiKey, baseUrl, fetchedAt: now, models: names };
+    return names.slice();
+  }
+
+  async function listProviderModels(message) {
+    const settings = await getAiSettings();
+    const provider = isValidProvider(message.provider) ? message.provider : settings.provider;
+    const apiKey = getOverrideString(message.keys, provider) || getProviderApiKey(settings, provider);
+
+    switch (provider) {
+      case PROVIDERS.GEMINI:
+        if (!apiKey) throw new Error(`No API key available for ${provider}.`);
+        return listGeminiModels(apiKey);
+      case PROVIDERS.OPENAI:
+        if (!apiKey) throw new Error(`No API key available for ${provider}.`);
+        return listOpenAIModels(apiKey);
+      case PROVIDERS.ANTHROPIC:
+        if (!apiKey) throw new Error(`No API key available for ${provider}.`);
+        return listAnthropicModels(apiKey);
+      case PROVIDERS.CUSTOM: {
+        const baseUrl = typeof message.customBaseUrl === 'string'
+          ? normalizeCustomBaseUrl(message.customBaseUrl)
+          : settings.customBaseUrl;
+        return listCustomModels(baseUrl, apiKey);
+      }
+      default:
+        throw new Error(`Unsupported provider: ${provider}`);
+    }
+  }
+
+  // Accepts a server root or an OpenAI-style base and returns the `/v1` base,
+  // e.g. http://localhost:11434 -> http://localhost:11434/v1.
+  function normalizeCustomBaseUrl(value) {
+    let url = typeof value === 'string' ? value.trim() : '';
+    if (!url) return '';
+    if (!/^https?:\/\/[^/\s]+/i.test(url)) {
+      throw new Error('Custom base URL must start with http:// or https://.');
+    }
+    url = url
+      .replace(/\/+$/, '')
+      .replace(/\/(chat\/completions|models)$/i, '')
+      .replace(/\/+$/, '');
+    if (!/\/v\d+$/i.test(url)) {
+      url += '/v1';
+    }
+    return url;
+  }
+
+  function normalizeModelName(name) {
+    if (!name || typeof name !== 'string') return '';
+    return name.replace(/^models\//, '').trim();
+  }
+
+  function defaultNotesState() {
+    return {
+      title: null,
+      sections: [],
+      glossary: [],
+      lastUpdatedAt: null,
+      lastChunkId: null,
+      generatedBy: null,
+      nextSectionId: 1,
+      nextBulletId: 1
+    };
+  }
+
+  function getSenderSessionKey(message, sender) {
+    const tabId = sender && sender.tab ? sender.tab.id : null;
+    const lectureId = message && typeof message.lectureId === 'string' && message.lectureId
+      ? message.lectureId
+      : parseLectureId(sender && sender.tab ? sender.tab.url : '');
+    return buildSessionKey(tabId, lectureId);
+  }
+
+  // A session with nothing stored yet (a new tab, or after a browser restart)
+  // starts from the lecture's archived notes, so reopening a lecture continues
+  // them instead of replacing the archive with the next chunk's notes.
+  async function getNotesState(sessionKey) {
+    if (!sessionKey) return defaultNotesState();
+    const storageKey = getNotesStorageKey(sessionKey);
+    const result = await chrome.storage.session.get([storageKey]);
+    if (result[storageKey]) return normalizeNotesState(result[storageKey]);
+    return getArchivedNotes(getSessionLectureId(sessionKey));
+  }
+
+  async function getArchivedNotes(lectureId) {
+    if (!lectureId) return defaultNotesState();
+    try {
+      const record = await runLibraryTransaction('readonly', (store, setResult) => {
+        const request = store.get(lectureId);
+        request.onsuccess = () => setResult(request.result || null);
+      });
+      return normalizeNotesState(record && record.notes);
+    } catch (error) {
+      console.error('Failed to read archived notes:', error);
+      return defaultNotesState();
+    }
+  }
+
+  async function updateNotesState(sessionKey, notes) {
+    if (!sessionKey) {
+      throw new Error('No lecture session for these notes.');
+    }
+    // Editor drafts, imports and restored versions may carry older counters.
+    const stored = await getNotesState(sessionKey);
+    const next = normalizeNotesState(notes);
+    next.nextSectionId = Math.max(next.nextSectionId, stored.nextSectionId);
+    next.nextBulletId = Math.max(next.nextBulletId, stored.nextBulletId);
+    const normalized = refreshGlossary(withNoteIds(next));
+    await chrome.storage.session.set({ [getNotesStorageKey(sessionKey)]: normalized });
+    archiveNotes(sessionKey, normalized).catch((error) => console.error('Failed to archive notes:', error));
+    return normalized;
+  }
+
+  // Lecture library: an IndexedDB archive of every lecture's transcript,
+  // finalized chunks and notes, keyed by Panopto lecture ID. Unlike the
+  // session notes it survives browser restarts.
+  function openLibraryDb() {
+    if (!libraryDbPromise) {
+      libraryDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(LIBRARY_STORE)) {
+            const store = db.createObjectStore(LIBRARY_STORE, { keyPath: 'lectureId' });
+            store.createIndex('updatedAt', 'updatedAt');
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        libraryDbPromise = null;
+        throw error;
+      });
+    }
+    return libraryDbPromise;
+  }
+
+  async function runLibraryTransaction(mode, work) {
+    const db = await openLibraryDb();
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(LIBRARY_STORE, mode);
+      const store = tx.objectStore(LIBRARY_STORE);
+      let result;
+      work(store, (value) => {
+        result = value;
+      });
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error || new Error('Library transaction aborted.'));
+    });
+  }
+
+  // Read-modify-write inside one transaction so concurrent updates do not clobber each other.
+  function updateLibraryLecture(lectureId, mutator) {
+    return runLibraryTransaction('readwrite', (store, setResult) => {
+      const request = store.get(lectureId);
+      request.onsuccess = () => {
+        const record = mutator(request.result || defaultLibraryLecture(lectureId));
+        if (!record) return;
+        record.updatedAt = new Date().toISOString();
+        store.put(record);
+        setResult(record);
+      };
+    });
+  }
+
+  function defaultLibraryLecture(lectureId) {
+    const now = new Date().toISOString();
+    return {
+      lectureId,
+      title: null,
+      customTitle: false,
+      url: null,
+      createdAt: now,
+      updatedAt: now,
+      transcript: [],
+      chunks: [],
+      notes: defaultNotesState(),
+      flashcards: [],
+      usage: null,
+      history: []
+    };
+  }
+
+  async function getSessionTabInfo(sessionKey) {
+    const tabId = getSessionTabId(sessionKey);
+    if (tabId === null) return null;
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      return { title: tab.title || null, url: tab.url || null };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  function applyTabInfo(record, tabInfo) {
+    if (!tabInfo) return;
+    if (tabInfo.url) record.url = tabInfo.url;
+    if (!record.customTitle && tabInfo.title) record.title = tabInfo.title;
+  }
+
+  async function archiveChunks(sessionKey, items) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) return;
+    const tabInfo = await getSessionTabInfo(sessionKey);
+
+    await updateLibraryLecture(lectureId, (record) => {
+      applyTabInfo(record, tabInfo);
+      const knownChunkIds = new Set(record.chunks.map((chunk) => chunk.chunkId));
+      const transcriptKeys = new Set(record.transcript.map(getTranscriptEntryKey));
+
+      items.forEach((item) => {
+        if (!item || !item.chunk || !item.chunk.text) return;
+        const chunk = item.chunk;
+        if (!knownChunkIds.has(chunk.chunkId)) {
+          knownChunkIds.add(chunk.chunkId);
+          record.chunks.push({
+            chunkId: chunk.chunkId || null,
+            tStart: typeof chunk.tStart === 'number' ? chunk.tStart : 0,
+            tEnd: typeof chunk.tEnd === 'number' ? chunk.tEnd : 0,
+            text: String(chunk.text)
+          });
+        }
+
+        (Array.isArray(item.transcript) ? item.transcript : []).forEach((entry) => {
+          if (!entry || typeof entry.text !== 'string' || typeof entry.startTime !== 'number') return;
+          const stored = {
+            startTime: entry.startTime,
+            endTime: typeof entry.endTime === 'number' ? entry.endTime : entry.startTime,
+            text: entry.text
+          };
+          const key = getTranscriptEntryKey(stored);
+          if (transcriptKeys.has(key)) return;
+          transcriptKeys.add(key);
+          record.transcript.push(stored);
+        });
+      });
+
+      record.chunks.sort((a, b) => a.tStart - b.tStart);
+      record.transcript.sort((a, b) => a.startTime - b.startTime);
+      return record;
+    });
+  }
+
+  function getTranscriptEntryKey(entry) {
+    return `${Number(entry.startTime).toFixed(2)}|${entry.text}`;
+  }
+
+  async function archiveNotes(sessionKey, notes) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId || await isArchiveOwnedElsewhere(lectureId, sessionKey)) return;
+    const tabInfo = await getSessionTabInfo(sessionKey);
+
+    await updateLibraryLecture(lectureId, (record) => {
+      applyTabInfo(record, tabInfo);
+      if (!record.title && notes.title) record.title = notes.title;
+      record.notes = normalizeNotesState(notes);
+      record.sessionKey = sessionKey;
+      return record;
+    });
+  }
+
+  async function archiveFlashcards(sessionKey, cards) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId || await isArchiveOwnedElsewhere(lectureId, sessionKey)) return;
+    await updateLibraryLecture(lectureId, (record) => {
+      record.flashcards = cards;
+      record.sessionKey = sessionKey;
+      return record;
+    });
+  }
+
+  // A lecture's archived notes and flashcards come from one session at a
+  // time. A second tab on the same lecture keeps its own session notes but
+  // leaves the archive alone until the owning session is closed or cleared.
+  async function isArchiveOwnedElsewhere(lectureId, sessionKey) {
+    const record = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.get(lectureId);
+      request.onsuccess = () => setResult(request.result || null);
+    });
+    const owner = record && record.sessionKey;
+    if (!owner || owner === sessionKey) return false;
+    const storageKey = getNotesStorageKey(owner);
+    const result = await chrome.storage.session.get([storageKey]);
+    return Boolean(result[storageKey]);
+  }
+
+  async function listLibraryLectures() {
+    const records = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.getAll();
+      request.onsuccess = () => setResult(request.result || []);
+    });
+    return records
+      .map(buildLibrarySummary)
+      .sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+  }
+
+  async function getLibraryLecture(lectureId) {
+    if (!lectureId) throw new Error('Missing lecture ID.');
+    const record = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.get(lectureId);
+      request.onsuccess = () => setResult(request.result || null);
+    });
+    if (!record) throw new Error('Lecture not found in library.');
+    return { ...record, notes: normalizeNotesState(record.notes) };
+  }
+
+  async function renameLibraryLecture(lectureId, title) {
+    const nextTitle = typeof title === 'string' ? title.replace(/\s+/g, ' ').trim() : '';
+    if (!nextTitle) throw new Error('Title cannot be empty.');
+    await getLibraryLecture(lectureId);
+    return updateLibraryLecture(lectureId, (record) => {
+      record.title = nextTitle;
+      record.customTitle = true;
+      return record;
+    });
+  }
+
+  async function deleteLibraryLecture(lectureId) {
+    if (!lectureId) throw new Error('Missing lecture ID.');
+    await runLibraryTransaction('readwrite', (store) => {
+      store.delete(lectureId);
+    });
+  }
+
+  function buildLibrarySummary(record) {
+    const notes = normalizeNotesState(record.notes);
+    return {
+      lectureId: record.lectureId,
+      title: record.title || notes.title || 'Untitled lecture',
+      url: record.url || null,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      sectionCount: notes.sections.length,
+      chunkCount: Array.isArray(record.chunks) ? record.chunks.length : 0,
+      transcriptCount: Array.isArray(record.transcript) ? record.transcript.length : 0,
+      costUsd: record.usage && record.usage.costUsd ? record.usage.costUsd : 0
+    };
+  }
+
+  // With baseNotes (the notes when editing began), AI updates that arrived
+  // during the edit are merged in; unresolved conflicts are returned instead
+  // of saving.
+  async function saveManualNotesState(sessionKey, notes, baseNotes, resolutions) {
+    // Edited bullets keep the id and source of the bullet they came from; new ones have none.
+    // Everything saved from the editor counts as user-authored unless it is unchanged.
+    const previousNotes = await getNotesState(sessionKey);
+    const source = notes && typeof notes === 'object' ? notes : {};
+    const authored = {
+      ...source,
+      sections: (Array.isArray(source.sections) ? source.sections : []).map((section) => ({
+        ...section,
+        userAuthored: true,
+        bullets: (Array.isArray(section && section.bullets) ? section.bullets : []).map((bullet) => (
+          bullet && typeof bullet === 'object' ? { ...bullet, userAuthored: true } : { text: bullet, userAuthored: true }
+        ))
+      }))
+    };
+    let normalized;
+    if (baseNotes && typeof baseNotes === 'object') {
+      const merge = mergeEditedNotes(baseNotes, authored, previousNotes, resolutions);
+      if (merge.conflicts.length > 0) {
+        return { conflicts: merge.conflicts };
+      }
+      normalized = merge.notes;
+    } else {
+      normalized = attachBulletSources(authored, previousNotes, null);
+    }
+    normalized.lastUpdatedAt = new Date().toISOString();
+    normalized.lastChunkId = previousNotes.lastChunkId;
+    normalized.generatedBy = previousNotes.generatedBy;
+    // The editor only covers sections; the glossary is kept as it is.
+    normalized.glossary = previousNotes.glossary;
+    const saved = await updateNotesState(sessionKey, normalized);
+    await recordNotesVersion(sessionKey, saved, NOTE_VERSION_SOURCES.MANUAL);
+    broadcastToSidePanel({ type: 'NOTES_UPDATE', sessionKey, notes: saved });
+    return { notes: saved };
+  }
+
+  // Three-way merge of an editor save. Bullets are matched to the base by id
+  // (via attachBulletSources) and sections by heading. The draft wins for
+  // everything the user changed; AI changes since the base are carried over.
+  // Where both sides changed the same item, the resolution decides: 'mine',
+  // 'theirs', or 'both' (keep the AI version as an extra bullet). Conflicts
+  // without a resolution are returned so nothing is dropped silently.
+  // resolutions is either a map of conflict id to choice or a function that
+  // picks one per conflict.
+  function mergeEditedNotes(baseNotes, draftNotes, latestNotes, resolutions) {
+    const base = withNoteIds(baseNotes);
+    const latest = withNoteIds(latestNotes);
+    const draft = attachBulletSources(draftNotes, base, null);
+    const chosen = resolutions && typeof resolutions === 'object' ? resolutions : {};
+    const pick = typeof resolutions === 'function' ? resolutions : (conflict) => chosen[conflict.id];
+    const conflicts = [];
+
+    const indexBullets = (notes) => {
+      const index = new Map();
+      notes.sections.forEach((section) => {
+        section.bullets.forEach((bullet) => {
+          if (bullet.id && !index.has(bullet.id)) index.set(bullet.id, { bullet, section });
+        });
+      });
+      return index;
+    };
+    const baseBullets = indexBullets(base);
+    const latestBullets = indexBullets(latest);
+
+    // A base bullet split into several draft bullets keeps its id only once;
+    // a renamed section takes the id of the base section its bullets came from.
+    const seen = new Set();
+    const usedSectionIds = new Set(draft.sections.map((section) => section.id).filter(Boolean));
+    draft.sections.forEach((section) => {
+      section.bullets.forEach((bullet) => {
+        if (bullet.id && seen.has(bullet.id)) bullet.id = null;
+        if (bullet.id) seen.add(bullet.id);
+      });
+      if (!section.id) {
+        const origin = section.bullets.map((bullet) => baseBullets.get(bullet.id)).find(Boolean);
+        if (origin && !usedSectionIds.has(origin.section.id)) {
+          section.id = origin.section.id;
+          usedSectionIds.add(section.id);
+        }
+      }
+    });
+    // A reworded bullet that is no longer a near duplicate still counts as
+    // the base bullet it shares most words with in the same section.
+    draft.sections.forEach((section) => {
+      const baseSection = base.sections.find((item) => item.id === section.id);
+      if (!baseSection) return;
+      section.bullets.forEach((bullet, index) => {
+        if (bullet.id) return;
+        const key = semanticTextKey(bullet.text);
+        const match = baseSection.bullets
+          .filter((item) => !seen.has(item.id))
+          .map((item) => ({ item, score: tokenSetSimilarity(key, semanticTextKey(item.text)) }))
+          .sort((a, b) => b.score - a.score)[0];
+        if (!match || match.score < 0.5) return;
+        seen.add(match.item.id);
+        section.bullets[index] = {
+          ...bullet,
+          id: match.item.id,
+          chunkId: match.item.chunkId,
+          tStart: match.item.tStart,
+          tEnd: match.item.tEnd,
+          pinned: match.item.pinned
+        };
+      });
+    });
+    const draftBullets = indexBullets(draft);
+
+    const resolve = (conflict) => {
+      const resolution = pick(conflict);
+      if (conflict.options.includes(resolution)) return resolution;
+      conflicts.push(conflict);
+      return null;
+    };
+    const hasNearDuplicate = (section, text) => section.bullets.some((item) => isNearDuplicateText(item.text, text));
+    const findDraftSection = (sectionId, heading) => draft.sections.find((section) => section.id === sectionId) ||
+      draft.sections[findMatchingSectionIndex(draft.sections, heading)] || null;
+
+    if (latest.title !== base.title && draft.title !== latest.title) {
+      if (draft.title === base.title) {
+        draft.title = latest.title;
+      } else if (resolve({
+        id: 'title',
+        kind: NOTE_CONFLICT_KINDS.TITLE,
+        heading: null,
+        base: base.title,
+        mine: draft.title,
+        theirs: latest.title,
+        options: ['mine', 'theirs']
+      }) === 'theirs') {
+        draft.title = latest.title;
+      }
+    }
+
+    // Bullets the AI revised while the user was editing.
+    baseBullets.forEach(({ bullet: before }, id) => {
+      const after = latestBullets.get(id);
+      if (!after || after.bullet.text === before.text) return;
+      const mine = draftBullets.get(id);
+      if (mine && mine.bullet.text === before.text) {
+        mine.bullet.text = after.bullet.text;
+        mine.bullet.userAuthored = after.bullet.userAuthored;
+        return;
+      }
+      if (mine && mine.bullet.text === after.bullet.text) return;
+
+      const resolution = resolve({
+        id: `bullet:${id}`,
+        kind: mine ? NOTE_CONFLICT_KINDS.EDITED : NOTE_CONFLICT_KINDS.DELETED,
+        heading: after.section.heading,
+        base: before.text,
+        mine: mine ? mine.bullet.text : null,
+        theirs: after.bullet.text,
+        options: mine ? ['mine', 'theirs', 'both'] : ['mine', 'theirs']
+      });
+      if (resolution === 'theirs' && mine) {
+        mine.bullet.text = after.bullet.text;
+        mine.bullet.userAuthored = after.bullet.userAuthored;
+      } else if (resolution === 'both') {
+        const position = mine.section.bullets.indexOf(mine.bullet);
+        mine.section.bullets.splice(position + 1, 0, { ...after.bullet, id: null });
+      } else if (resolution === 'theirs') {
+        const section = findDraftSection(after.section.id, after.section.heading);
+        if (section) section.bullets.push({ ...after.bullet });
+        else draft.sections.push({ ...after.section, bullets: [{ ...after.bullet }] });
+      }
+    });
+
+    // Bullets and sections the AI added while the user was editing.
+    const baseSectionIds = new Set(base.sections.map((section) => section.id));
+    latest.sections.forEach((latestSection) => {
+      const added = latestSection.bullets.filter((bullet) => !baseBullets.has(bullet.id));
+      if (added.length === 0) return;
+      let section = findDraftSection(latestSection.id, latestSection.heading);
+      if (!section && baseSectionIds.has(latestSection.id)) {
+        const resolution = resolve({
+          id: `section:${latestSection.id}`,
+          kind: NOTE_CONFLICT_KINDS.SECTION_DELETED,
+          heading: latestSection.heading,
+          base: null,
+          mine: null,
+          theirs: added.map((bullet) => bullet.text).join('\n'),
+          options: ['mine', 'theirs']
+        });
+        if (resolution !== 'theirs') return;
+      }
+      if (!section) {
+        section = { ...latestSection, bullets: [] };
+        draft.sections.push(section);
+      }
+      added.forEach((bullet) => {
+        if (!hasNearDuplicate(section, bullet.text)) section.bullets.push({ ...bullet });
+      });
+    });
+
+    // Pins can only change outside the editor, so the latest ones apply.
+    draft.sections.forEach((section) => {
+      const current = latest.sections.find((item) => item.id === section.id);
+      if (current) section.pinned = current.pinned;
+      section.bullets.forEach((bullet) => {
+        const current = latestBullets.get(bullet.id);
+        if (current) bullet.pinned = current.bullet.pinned;
+      });
+    });
+
+    return { notes: draft, conflicts };
+  }
+
+  async function setNotePinned(sessionKey, noteId, pinned) {
+    const notes = withNoteIds(await getNotesState(sessionKey));
+    const target = notes.sections.find((section) => section.id === noteId) ||
+      notes.sections.flatMap((section) => section.bullets).find((bullet) => bullet.id === noteId);
+    if (!target) {
+      throw new Error('That note no longer exists.');
+    }
+    target.pinned = Boolean(pinned);
+    const saved = await updateNotesState(sessionKey, notes);
+    broadcastToSidePanel({ type: 'NOTES_UPDATE', sessionKey, notes: saved });
+    return saved;
+  }
+
+  // Notes version history: the library record keeps a snapshot after every
+  // processed chunk, manual save and restore, newest last, capped at
+  // MAX_NOTE_VERSIONS. Pin toggles are not versioned. Each version records
+  // its session: every session of the lecture can list, diff and restore
+  // all versions, but undo only steps back over the session's own.
+  async function recordNotesVersion(sessionKey, notes, source) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) return;
+    try {
+      await updateLibraryLecture(lectureId, (record) => {
+        const history = Array.isArray(record.history) ? record.history : [];
+        const last = history[history.length - 1];
+        const generatedBy = source === NOTE_VERSION_SOURCES.CHUNK ? notes.generatedBy : null;
+        history.push({
+          id: `v${last ? Number(last.id.slice(1)) + 1 : 1}`,
+          sessionKey,
+          createdAt: new Date().toISOString(),
+          source,
+          lastChunkId: notes.lastChunkId || null,
+          provider: generatedBy ? generatedBy.provider : null,
+          model: generatedBy ? generatedBy.model : null,
+          notes
+        });
+        record.history = history.slice(-MAX_NOTE_VERSIONS);
+        return record;
+      });
+    } catch (error) {
+      console.error('Failed to record notes version:', error);
+    }
+  }
+
+  async function loadNotesHistory(sessionKey) {
+    const lectureId = getSessionLectureId(sessionKey);
+    if (!lectureId) throw new Error('No lecture session for these notes.');
+    const record = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.get(lectureId);
+      request.onsuccess = () => setResult(request.result || null);
+    });
+    return record && Array.isArray(record.history) ? record.history : [];
   }
 
-  function normalizeModelName(name) {
-    if (!name || typeof name !== 'string') return '';
-    return name.replace(/^models\//, '').trim();
+  async function getNotesHistory(sessionKey) {
+    const history = await loadNotesHistory(sessionKey);
+    return history.map((version) => {
+      const notes = normalizeNotesState(version.notes);
+      return {
+        id: version.id,
+        ownSession: version.sessionKey === sessionKey,
+        createdAt: version.createdAt,
+        source: version.source,
+        lastChunkId: version.lastChunkId,
+        provider: version.provider,
+        model: version.model,
+        sectionCount: notes.sections.length,
+        bulletCount: notes.sections.reduce((total, section) => total + section.bullets.length, 0)
+      };
+    });
   }
 
-  function defaultNotesState() {
+  async function diffNotesVersions(sessionKey, fromId, toId) {
+    const history = await loadNotesHistory(sessionKey);
+    const from = history.find((version) => version.id === fromId);
+    const to = history.find((version) => version.id === toId);
+    if (!from || !to) throw new Error('Version not found in history.');
+    return diffNotes(normalizeNotesState(from.notes), normalizeNotesState(to.notes));
+  }
+
+  // Sections and bullets are compared by id, so a reworded bullet shows as
+  // changed and a moved one as removed from one section and added to another.
+  function diffNotes(before, after) {
+    const beforeSections = new Map(before.sections.map((section) => [section.id, section]));
+    const afterSectionIds = new Set(after.sections.map((section) => section.id));
+    const sections = [];
+    const allAs = (status, section) => ({
+      status,
+      heading: section.heading,
+      headingBefore: null,
+      bullets: section.bullets.map((bullet) => ({ status, text: bullet.text, before: null }))
+    });
+
+    after.sections.forEach((section) => {
+      const previous = beforeSections.get(section.id);
+      if (!previous) {
+        sections.push(allAs('added', section));
+        return;
+      }
+      const previousBullets = new Map(previous.bullets.map((bullet) => [bullet.id, bullet]));
+      const currentIds = new Set(section.bullets.map((bullet) => bullet.id));
+      const bullets = [];
+      section.bullets.forEach((bullet) => {
+        const old = previousBullets.get(bullet.id);
+        if (!old) bullets.push({ status: 'added', text: bullet.text, before: null });
+        else if (old.text !== bullet.text) bullets.push({ status: 'changed', text: bullet.text, before: old.text });
+      });
+      previous.bullets.forEach((bullet) => {
+        if (!currentIds.has(bullet.id)) bullets.push({ status: 'removed', text: bullet.text, before: null });
+      });
+      const renamed = previous.heading !== section.heading;
+      if (bullets.length > 0 || renamed) {
+        sections.push({ status: 'changed', heading: section.heading, headingBefore: renamed ? previous.heading : null, bullets });
+      }
+    });
+    before.sections.forEach((section) => {
+      if (!afterSectionIds.has(section.id)) sections.push(allAs('removed', section));
+    });
+
     return {
-      title: null,
-      sections: [],
-      lastUpdatedAt: null,
-      lastChunkId: null
+      titleBefore: before.title,
+      titleAfter: after.title,
+      sections
     };
   }
 
-  async function getNotesState() {
-    const result = await chrome.storage.session.get(['notesState']);
-    return normalizeNotesState(result.notesState);
+  async function restoreNotesVersion(sessionKey, versionId) {
+    const history = await loadNotesHistory(sessionKey);
+    const version = history.find((item) => item.id === versionId);
+    if (!version) throw new Error('Version not found in history.');
+    return applyRestoredNotes(sessionKey, version.notes, NOTE_VERSION_SOURCES.RESTORE);
   }
 
-  async function updateNotesState(notes) {
-    await chrome.storage.session.set({ notesState: normalizeNotesState(notes) });
+  // Steps back over the session's newest version when an AI merge produced
+  // it. The first merge of a lecture steps back to empty notes.
+  async function undoLastAiMerge(sessionKey) {
+    const lectureHistory = await loadNotesHistory(sessionKey);
+    const history = lectureHistory.filter((version) => version.sessionKey === sessionKey);
+    const last = history[history.length - 1];
+    if (!last || last.source !== NOTE_VERSION_SOURCES.CHUNK) {
+      throw new Error('The latest change is not an AI merge. Restore a version from the history instead.');
+    }
+    // A session's first merge was built on the notes it started from: the
+    // lecture's version just before it, or empty notes for a new lecture.
+    const previous = history[history.length - 2] || lectureHistory[lectureHistory.indexOf(last) - 1];
+    if (!previous && lectureHistory.length >= MAX_NOTE_VERSIONS) {
+      throw new Error('The version before this merge is no longer in the history.');
+    }
+    return applyRestoredNotes(sessionKey, previous ? previous.notes : defaultNotesState(), NOTE_VERSION_SOURCES.RESTORE);
   }
 
-  async function saveManualNotesState(notes) {
-    const normalized = normalizeNotesState(notes);
-    normalized.lastUpdatedAt = new Date().toISOString();
-    await updateNotesState(normalized);
-    broadcastToSidePanel({ type: 'NOTES_UPDATE', notes: normalized });
-    return normalized;
+  // Imported notes replace the current ones as AI-editable notes; flags and
+  // ids from a JSON export are kept, and the replaced notes stay in history.
+  async function importNotesState(sessionKey, notes) {
+    if (!sessionKey) throw new Error('No lecture session to import into.');
+    const imported = normalizeNotesState(notes);
+    if (!imported.title && imported.sections.length === 0) {
+      throw new Error('The file has no notes.');
+    }
+    return applyRestoredNotes(sessionKey, imported, NOTE_VERSION_SOURCES.IMPORT);
+  }
+
+  async function applyRestoredNotes(sessionKey, notes, source) {
+    const current = await getNotesState(sessionKey);
+    const restored = normalizeNotesState(notes);
+    restored.lastUpdatedAt = new Date().toISOString();
+    restored.lastChunkId = current.lastChunkId;
+    const saved = await updateNotesState(sessionKey, restored);
+    await recordNotesVersion(sessionKey, saved, source);
+    broadcastToSidePanel({ type: 'NOTES_UPDATE', sessionKey, notes: saved });
+    return saved;
   }
 
   async function getAiSettings() {
@@ -860,23 +4101,88 @@
     const keys = {
       [PROVIDERS.GEMINI]: getStoredKey(stored, PROVIDERS.GEMINI) || legacyGeminiKey || envKeys[PROVIDERS.GEMINI],
       [PROVIDERS.OPENAI]: getStoredKey(stored, PROVIDERS.OPENAI) || envKeys[PROVIDERS.OPENAI],
-      [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC) || envKeys[PROVIDERS.ANTHROPIC]
+      [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC) || envKeys[PROVIDERS.ANTHROPIC],
+      [PROVIDERS.CUSTOM]: getStoredKey(stored, PROVIDERS.CUSTOM)
     };
 
     const models = {
       [PROVIDERS.GEMINI]: getStoredModel(stored, PROVIDERS.GEMINI) || normalizeModelName(stored.model) || DEFAULT_MODELS[PROVIDERS.GEMINI],
       [PROVIDERS.OPENAI]: getStoredModel(stored, PROVIDERS.OPENAI) || DEFAULT_MODELS[PROVIDERS.OPENAI],
-      [PROVIDERS.ANTHROPIC]: getStoredModel(stored, PROVIDERS.ANTHROPIC) || DEFAULT_MODELS[PROVIDERS.ANTHROPIC]
+      [PROVIDERS.ANTHROPIC]: getStoredModel(stored, PROVIDERS.ANTHROPIC) || DEFAULT_MODELS[PROVIDERS.ANTHROPIC],
+      [PROVIDERS.CUSTOM]: getStoredModel(stored, PROVIDERS.CUSTOM)
     };
 
     return {
       aiNotesEnabled: Boolean(stored.aiNotesEnabled),
       provider: isValidProvider(stored.provider) ? stored.provider : DEFAULT_PROVIDER,
       keys,
-      models
+      models,
+      customBaseUrl: typeof stored.customBaseUrl === 'string' ? stored.customBaseUrl : '',
+      fallbackProviders: normalizeFallbackProviders(stored.fallbackProviders),
+      stageModels: normalizeStageModels(stored.stageModels),
+      budget: normalizeBudget(stored.budget),
+      prices: normalizeModelPrices(stored.prices)
+    };
+  }
+
+  // An empty provider means the stage uses whichever provider runs the chunk.
+  function normalizeStageModels(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const stageModels = {};
+    MODEL_STAGES.forEach((stage) => {
+      const choice = source[stage] && typeof source[stage] === 'object' ? source[stage] : {};
+      const provider = isValidProvider(choice.provider) ? choice.provider : '';
+      stageModels[stage] = {
+        provider,
+        model: provider ? normalizeModelName(choice.model) : ''
+      };
+    });
+    return stageModels;
+  }
+
+  // Budgets are USD amounts; null means no limit.
+  function normalizeBudget(value) {
+    const source = value && typeof value === 'object' ? value : {};
+    const toLimit = (amount) => (Number.isFinite(amount) && amount > 0 ? amount : null);
+    return {
+      lectureUsd: toLimit(source.lectureUsd),
+      monthlyUsd: toLimit(source.monthlyUsd)
     };
   }
 
+  function normalizeModelPrices(value) {
+    const prices = {};
+    if (!value || typeof value !== 'object') return prices;
+    Object.keys(value).forEach((model) => {
+      const key = normalizeModelName(model).toLowerCase();
+      const price = value[model];
+      if (key && price && Number.isFinite(price.input) && Number.isFinite(price.output) &&
+        price.input >= 0 && price.output >= 0) {
+        prices[key] = { input: price.input, output: price.output };
+      }
+    });
+    return prices;
+  }
+
+  async function saveUsageSettings(message) {
+    const result = await chrome.storage.local.get(['aiSettings']);
+    const stored = result.aiSettings || {};
+    await chrome.storage.local.set({
+      aiSettings: {
+        ...stored,
+        budget: normalizeBudget(message.budget),
+        prices: normalizeModelPrices(message.prices)
+      }
+    });
+    return getAiSettings();
+  }
+
+  function normalizeFallbackProviders(value) {
+    return Array.isArray(value)
+      ? value.filter((provider, index) => isValidProvider(provider) && value.indexOf(provider) === index)
+      : [];
+  }
+
   function getStoredKey(stored, provider) {
     return stored &&
       stored.keys &&
@@ -903,15 +4209,33 @@
       keys: {
         [PROVIDERS.GEMINI]: getStoredKey(stored, PROVIDERS.GEMINI) || (typeof stored.apiKey === 'string' ? stored.apiKey.trim() : ''),
         [PROVIDERS.OPENAI]: getStoredKey(stored, PROVIDERS.OPENAI),
-        [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC)
+        [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC),
+        [PROVIDERS.CUSTOM]: getStoredKey(stored, PROVIDERS.CUSTOM)
       },
       models: {
         [PROVIDERS.GEMINI]: getStoredModel(stored, PROVIDERS.GEMINI) || normalizeModelName(stored.model) || DEFAULT_MODELS[PROVIDERS.GEMINI],
         [PROVIDERS.OPENAI]: getStoredModel(stored, PROVIDERS.OPENAI) || DEFAULT_MODELS[PROVIDERS.OPENAI],
-        [PROVIDERS.ANTHROPIC]: getStoredModel(stored, PROVIDERS.ANTHROPIC) || DEFAULT_MODELS[PROVIDERS.ANTHROPIC]
-      }
+        [PROVIDERS.ANTHROPIC]: getStoredModel(stored, PROVIDERS.ANTHROPIC) || DEFAULT_MODELS[PROVIDERS.ANTHROPIC],
+        [PROVIDERS.CUSTOM]: getStoredModel(stored, PROVIDERS.CUSTOM)
+      },
+      customBaseUrl: typeof message.customBaseUrl === 'string'
+        ? normalizeCustomBaseUrl(message.customBaseUrl)
+        : (typeof stored.customBaseUrl === 'string' ? stored.customBaseUrl : ''),
+      fallbackProviders: normalizeFallbackProviders(
+        Array.isArray(message.fallbackProviders) ? message.fallbackProviders : stored.fallbackProviders
+      ),
+      stageModels: normalizeStageModels(
+        message.stageModels && typeof message.stageModels === 'object' ? message.stageModels : stored.stageModels
+      ),
+      budget: normalizeBudget(stored.budget),
+      prices: normalizeModelPrices(stored.prices)
     };
 
+    // The custom model is free text; other providers keep their resolved defaults.
+    if (message.models && typeof message.models[PROVIDERS.CUSTOM] === 'string') {
+      next.models[PROVIDERS.CUSTOM] = normalizeModelName(message.models[PROVIDERS.CUSTOM]);
+    }
+
     if (message.keys && typeof message.keys === 'object') {
       Object.values(PROVIDERS).forEach((provider) => {
         const raw = message.keys[provider];
@@ -938,7 +4262,8 @@
       keys: {
         [PROVIDERS.GEMINI]: getStoredKey(stored, PROVIDERS.GEMINI) || (typeof stored.apiKey === 'string' ? stored.apiKey.trim() : ''),
         [PROVIDERS.OPENAI]: getStoredKey(stored, PROVIDERS.OPENAI),
-        [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC)
+        [PROVIDERS.ANTHROPIC]: getStoredKey(stored, PROVIDERS.ANTHROPIC),
+        [PROVIDERS.CUSTOM]: getStoredKey(stored, PROVIDERS.CUSTOM)
       }
     };
 
@@ -956,22 +4281,25 @@
       ? message.provider
       : settings.provider;
 
-    const keyOverrides = message && message.keys && typeof message.keys === 'object'
-      ? message.keys
-      : {};
-    const overrideKey = typeof keyOverrides[provider] === 'string'
-      ? keyOverrides[provider].trim()
-      : '';
-    const apiKey = overrideKey || getProviderApiKey(settings, provider);
-    if (!apiKey) {
-      throw new Error(`No API key available for ${provider}.`);
+    // Unsaved values typed in the settings modal take precedence over stored ones.
+    const apiKey = getOverrideString(message.keys, provider) || getProviderApiKey(settings, provider);
+    if (typeof message.customBaseUrl === 'string' && message.customBaseUrl.trim()) {
+      settings.customBaseUrl = normalizeCustomBaseUrl(message.customBaseUrl);
     }
+    const modelOverride = getOverrideString(message.models, provider);
+    const setupError = getProviderSetupError(settings, provider, apiKey);
+    if (setupError) {
+      throw new Error(setupError);
+    }
+    const baseUrl = getProviderBaseUrl(settings, provider);
 
-    const resolvedModel = await resolveModelForProvider(provider, apiKey, settings.models[provider]);
+    const resolvedModel = await resolveModelForProvider(provider, apiKey, modelOverride || settings.models[provider], baseUrl);
     const probeText = await callModelText({
       provider,
       apiKey,
+      baseUrl,
       model: resolvedModel,
+      stage: USAGE_STAGES.TEST,
       systemPrompt: 'Return exactly: OK',
       userPrompt: 'Reply with OK only.',
       temperature: 0
@@ -995,8 +4323,15 @@
       keyConfigured: {
         [PROVIDERS.GEMINI]: Boolean(settings.keys[PROVIDERS.GEMINI]),
         [PROVIDERS.OPENAI]: Boolean(settings.keys[PROVIDERS.OPENAI]),
-        [PROVIDERS.ANTHROPIC]: Boolean(settings.keys[PROVIDERS.ANTHROPIC])
-      }
+        [PROVIDERS.ANTHROPIC]: Boolean(settings.keys[PROVIDERS.ANTHROPIC]),
+        [PROVIDERS.CUSTOM]: Boolean(settings.keys[PROVIDERS.CUSTOM])
+      },
+      customBaseUrl: settings.customBaseUrl || '',
+      customModel: settings.models[PROVIDERS.CUSTOM] || '',
+      fallbackProviders: settings.fallbackProviders,
+      stageModels: settings.stageModels,
+      budget: settings.budget,
+      prices: settings.prices
     };
   }
 
@@ -1006,38 +4341,796 @@
     return typeof key === 'string' ? key.trim() : '';
   }
 
+  function getProviderBaseUrl(settings, provider) {
+    return provider === PROVIDERS.CUSTOM ? settings.customBaseUrl : '';
+  }
+
+  // The custom provider needs a base URL instead of a key; local servers usually run without one.
+  function getProviderSetupError(settings, provider, apiKey) {
+    if (provider === PROVIDERS.CUSTOM) {
+      return settings.customBaseUrl ? '' : 'No base URL saved for the custom provider.';
+    }
+    return apiKey ? '' : `No API key saved for ${provider}.`;
+  }
+
+  function getOverrideString(overrides, provider) {
+    return overrides && typeof overrides === 'object' && typeof overrides[provider] === 'string'
+      ? overrides[provider].trim()
+      : '';
+  }
+
   function isValidProvider(value) {
-    return value === PROVIDERS.GEMINI || value === PROVIDERS.OPENAI || value === PROVIDERS.ANTHROPIC;
+    return Object.values(PROVIDERS).includes(value);
   }
 
-  async function exportToMarkdown() {
-    const notes = await getNotesState();
-    let markdown = `# ${notes.title || 'Panopto Smart Notes'}\n\n`;
-    if (notes.lastUpdatedAt) {
-      markdown += `*Last updated: ${notes.lastUpdatedAt}*\n\n`;
+  // Library exports pass a lectureId; session exports read the live notes and tab.
+  async function exportNotes(sessionKey, lectureId, format, options) {
+    const spec = EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown export format: ${format}`);
+    const source = lectureId
+      ? await loadLibraryExportSource(lectureId)
+      : await loadSessionExportSource(sessionKey);
+    const content = buildNotesExport(source, format, options);
+    return {
+      filename: buildExportFilename(source.title, source.date, spec.extension),
+      mimeType: spec.mimeType,
+      encoding: spec.binary ? 'base64' : 'text',
+      content: spec.binary ? bytesToBase64(content) : content
+    };
+  }
+
+  async function loadSessionExportSource(sessionKey) {
+    if (!sessionKey) throw new Error('No lecture session to export.');
+    const notes = await getNotesState(sessionKey);
+    const tabInfo = await getSessionTabInfo(sessionKey);
+    const lectureId = getSessionLectureId(sessionKey);
+    const record = lectureId ? await getLibraryLecture(lectureId).catch(() => null) : null;
+    return {
+      lectureId,
+      title: (record && record.title) || (tabInfo && tabInfo.title) || notes.title || '',
+      url: (tabInfo && tabInfo.url) || (record && record.url) || null,
+      date: record ? record.createdAt : new Date().toISOString(),
+      notes
+    };
+  }
+
+  async function loadLibraryExportSource(lectureId) {
+    return buildLibraryExportSource(await getLibraryLecture(lectureId));
+  }
+
+  function buildLibraryExportSource(record) {
+    const notes = normalizeNotesState(record.notes);
+    return {
+      lectureId: record.lectureId,
+      title: record.title || notes.title || '',
+      url: record.url || null,
+      date: record.createdAt,
+      notes
+    };
+  }
+
+  function buildNotesExport(source, format, options) {
+    switch (format) {
+      case 'obsidian':
+        return buildObsidianMarkdown(source, options);
+      case 'html':
+        return buildNotesHtmlDocument(source, false);
+      case 'print':
+        return buildNotesHtmlDocument(source, true);
+      case 'json':
+        return buildNotesJsonExport(source);
+      case 'opml':
+        return buildNotesOpml(source);
+      case 'docx':
+        return buildNotesDocx(source);
+      default:
+        return buildMarkdown(source.notes, source.url);
+    }
+  }
+
+  // Every library lecture in its own folder: the Obsidian note and, when
+  // captured, the transcript. An index note links them all.
+  async function exportLibraryZip(options) {
+    const records = await runLibraryTransaction('readonly', (store, setResult) => {
+      const request = store.getAll();
+      request.onsuccess = () => setResult(request.result || []);
+    });
+    if (records.length === 0) throw new Error('The lecture library is empty.');
+
+    const rootFolder = `panopto-library-${formatExportDate(new Date())}`;
+    const usedFolders = new Set();
+    const files = [];
+    const indexLines = [];
+    records
+      .slice()
+      .sort((a, b) => String(a.createdAt).localeCompare(String(b.createdAt)))
+      .forEach((record) => {
+        const source = buildLibraryExportSource(record);
+        const baseName = buildExportBaseName(source.title, source.date);
+        let folder = baseName;
+        for (let n = 2; usedFolders.has(folder); n += 1) {
+          folder = `${baseName}-${n}`;
+        }
+        usedFolders.add(folder);
+
+        files.push({ name: `${rootFolder}/${folder}/${folder}.md`, data: buildObsidianMarkdown(source, options) });
+        const transcript = buildTranscriptCues(collapseGrownTranscriptEntries(getRecordTranscriptEntries(record)));
+        if (transcript.length > 0) {
+          files.push({ name: `${rootFolder}/${folder}/${folder}-transcript.txt`, data: buildTranscriptText(source, transcript) });
+        }
+        indexLines.push(`- ${formatExportDate(source.date)} [[${folder}|${escapeWikiLinkAlias(source.title || 'Untitled lecture')}]]`);
+      });
+
+    files.push({
+      name: `${rootFolder}/index.md`,
+      data: `# Panopto lecture library\n\n${indexLines.join('\n')}\n`
+    });
+    return {
+      filename: `${rootFolder}.zip`,
+      mimeType: 'application/zip',
+      encoding: 'base64',
+      content: bytesToBase64(buildZipArchive(files))
+    };
+  }
+
+  // YAML frontmatter for Obsidian and Logseq, then the usual Markdown body
+  // with timestamp deep links and, optionally, wiki-linked key terms.
+  function buildObsidianMarkdown(source, options) {
+    const notes = source.notes;
+    const settings = options && typeof options === 'object' ? options : {};
+    const course = typeof settings.course === 'string' ? settings.course.trim() : '';
+    const generatedBy = notes.generatedBy || {};
+    const tags = normalizeExportTags(settings.tags);
+
+    const frontmatter = ['---'];
+    if (course) frontmatter.push(`course: ${JSON.stringify(course)}`);
+    frontmatter.push(`lecture: ${JSON.stringify(source.title || notes.title || 'Untitled lecture')}`);
+    frontmatter.push(`date: ${formatExportDate(source.date)}`);
+    if (source.url) frontmatter.push(`source: ${JSON.stringify(source.url)}`);
+    if (generatedBy.provider) frontmatter.push(`provider: ${JSON.stringify(generatedBy.provider)}`);
+    if (generatedBy.model) frontmatter.push(`model: ${JSON.stringify(generatedBy.model)}`);
+    if (notes.lastUpdatedAt) frontmatter.push(`updated: ${JSON.stringify(notes.lastUpdatedAt)}`);
+    if (tags.length > 0) {
+      frontmatter.push('tags:');
+      tags.forEach((tag) => frontmatter.push(`  - ${tag}`));
+    }
+    frontmatter.push('---');
+
+    const terms = settings.wikiLinks ? findRecurringKeyTerms(notes) : [];
+    const body = buildMarkdown(notes, source.url, {
+      omitLastUpdated: true,
+      formatText: terms.length > 0 ? (text) => linkKeyTerms(text, terms) : null
+    });
+    return `${frontmatter.join('\n')}\n\n${body}`;
+  }
+
+  // Obsidian tags cannot contain spaces; `#` prefixes are dropped.
+  function normalizeExportTags(value) {
+    const raw = Array.isArray(value)
+      ? value
+      : (typeof value === 'string' ? value.split(',') : DEFAULT_EXPORT_TAGS);
+    const tags = raw
+      .map((tag) => String(tag || '').trim().replace(/^#+/, '').replace(/\s+/g, '-').replace(/[^\p{L}\p{N}_/-]+/gu, ''))
+      .filter((tag) => tag && !/^\d+$/.test(tag));
+    return Array.from(new Set(tags));
+  }
+
+  // Terms a bullet defines that also occur in another bullet; longest first
+  // so a shorter term never splits a longer one.
+  function findRecurringKeyTerms(notes) {
+    const texts = notes.sections.flatMap((section) => section.bullets.map((bullet) => bullet.text));
+    const candidates = new Map();
+    texts.forEach((text) => {
+      const definition = parseKeyTermDefinition(text);
+      if (!definition) return;
+      const key = definition.term.toLowerCase();
+      if (!candidates.has(key)) candidates.set(key, definition.term);
+    });
+
+    return Array.from(candidates.values())
+      .filter((term) => {
+        const pattern = buildKeyTermPattern([term], '');
+        return texts.filter((text) => pattern.test(text)).length >= 2;
+      })
+      .sort((a, b) => b.length - a.length)
+      .slice(0, MAX_WIKI_LINK_TERMS);
+  }
+
+  function parseKeyTermDefinition(text) {
+    const match = text.match(KEY_TERM_DEFINITION_RE);
+    if (!match) return null;
+    const term = match[1].trim().replace(/^(the|a|an)\s+/i, '');
+    const definition = text.slice(match[0].length).trim();
+    if (term.split(/\s+/).length > 5 || !/\p{L}/u.test(term) || /[#^|]/.test(term) || GENERIC_TERM_LABELS.has(term.toLowerCase())) return null;
+    return definition ? { term, definition } : null;
+  }
+
+  function buildKeyTermPattern(terms, flags) {
+    const alternatives = terms.map((term) => term.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])(${alternatives})(?=$|[^\\p{L}\\p{N}])`, `iu${flags}`);
+  }
+
+  // Links the first occurrence of each term in the text.
+  function linkKeyTerms(text, terms) {
+    const linked = new Set();
+    return text.replace(buildKeyTermPattern(terms, 'g'), (match, prefix, found) => {
+      const term = terms.find((item) => item.toLowerCase() === found.toLowerCase());
+      if (!term || linked.has(term)) return match;
+      linked.add(term);
+      return found === term
+        ? `${prefix}[[${term}]]`
+        : `${prefix}[[${term}|${escapeWikiLinkAlias(found)}]]`;
+    });
+  }
+
+  function escapeWikiLinkAlias(text) {
+    return String(text).replace(/[[\]|]/g, ' ').replace(/\s+/g, ' ').trim();
+  }
+
+  // The archived transcript plus, for the active lecture, the content script's
+  // full caption buffer (which still holds captions of the unfinalized chunk).
+  async function exportTranscript(sessionKey, lectureId, format, mergeSentences, liveTranscript) {
+    const spec = TRANSCRIPT_EXPORT_FORMATS[format];
+    if (!spec) throw new Error(`Unknown transcript format: ${format}`);
+    const source = lectureId
+      ? await loadLibraryExportSource(lectureId)
+      : await loadSessionExportSource(sessionKey);
+    const captured = await getLectureTranscriptEntries(source.lectureId, lectureId ? [] : liveTranscript);
+    let cues = buildTranscriptCues(collapseGrownTranscriptEntries(captured));
+    if (mergeSentences) cues = mergeTranscriptSentences(cues);
+    if (cues.length === 0) throw new Error('No transcript captured for this lecture yet.');
+
+    let content;
+    switch (format) {
+      case 'srt':
+        content = buildSrt(cues);
+        break;
+      case 'vtt':
+        content = buildWebVtt(cues);
+        break;
+      case 'json':
+        content = buildTranscriptJsonExport(source, cues, mergeSentences);
+        break;
+      default:
+        content = buildTranscriptText(source, cues);
+    }
+    return {
+      filename: buildExportFilename(`${source.title || 'panopto'} transcript`, source.date, spec.extension),
+      mimeType: spec.mimeType,
+      encoding: 'text',
+      content
+    };
+  }
+
+  // Roll-up captions grow in place, so the archive can hold an early "Hello"
+  // while the live buffer has "Hello world" for the same start time.
+  function collapseGrownTranscriptEntries(entries) {
+    const collapsed = [];
+    entries.forEach((entry) => {
+      const text = entry.text.replace(/\s+/g, ' ').trim();
+      if (!text) return;
+      const endTime = typeof entry.endTime === 'number' ? entry.endTime : entry.startTime;
+      const last = collapsed[collapsed.length - 1];
+      if (last && Math.abs(last.startTime - entry.startTime) < 0.05
+        && (text.startsWith(last.text) || last.text.startsWith(text))) {
+        if (text.length > last.text.length) last.text = text;
+        last.endTime = Math.max(last.endTime, endTime);
+        return;
+      }
+      collapsed.push({ startTime: entry.startTime, endTime, text });
+    });
+    return collapsed;
+  }
+
+  // Gives every cue a positive duration without running into the next cue.
+  function buildTranscriptCues(entries) {
+    return entries.map((entry, index) => {
+      const next = entries[index + 1];
+      let endTime = entry.endTime;
+      if (!(endTime > entry.startTime)) {
+        endTime = next && next.startTime > entry.startTime
+          ? Math.min(next.startTime, entry.startTime + TRANSCRIPT_DEFAULT_CUE_SECONDS)
+          : entry.startTime + TRANSCRIPT_DEFAULT_CUE_SECONDS;
+      }
+      return { startTime: entry.startTime, endTime, text: entry.text };
+    });
+  }
+
+  function mergeTranscriptSentences(cues) {
+    const merged = [];
+    let open = null;
+    cues.forEach((cue) => {
+      const canJoin = open
+        && !/[.!?]["')\]]*$/.test(open.text)
+        && cue.startTime - open.endTime <= TRANSCRIPT_SENTENCE_MAX_GAP_SECONDS
+        && cue.endTime - open.startTime <= TRANSCRIPT_SENTENCE_MAX_SECONDS;
+      if (!canJoin) {
+        open = { ...cue };
+        merged.push(open);
+        return;
+      }
+      open.text = joinCaptionFragments(open.text, cue.text);
+      open.endTime = Math.max(open.endTime, cue.endTime);
+    });
+    return merged;
+  }
+
+  // Roll-up tracks repeat the previous line's last words at the start of the
+  // next cue; the repeated words are dropped when joining.
+  function joinCaptionFragments(previous, next) {
+    const before = previous.split(' ');
+    const after = next.split(' ');
+    const normalize = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}]+/gu, '');
+    for (let size = Math.min(before.length, after.length); size > 0; size -= 1) {
+      const tail = before.slice(-size).map(normalize).join(' ');
+      const head = after.slice(0, size).map(normalize).join(' ');
+      if (tail && tail === head) {
+        return [...before, ...after.slice(size)].join(' ');
+      }
     }
+    return `${previous} ${next}`;
+  }
+
+  function buildSrt(cues) {
+    return cues
+      .map((cue, index) => `${index + 1}\n${formatCueTime(cue.startTime, ',')} --> ${formatCueTime(cue.endTime, ',')}\n${cue.text}\n`)
+      .join('\n');
+  }
+
+  function buildWebVtt(cues) {
+    const body = cues
+      .map((cue) => {
+        const text = cue.text
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/-->/g, '->');
+        return `${formatCueTime(cue.startTime, '.')} --> ${formatCueTime(cue.endTime, '.')}\n${text}\n`;
+      })
+      .join('\n');
+    return `WEBVTT\n\n${body}`;
+  }
+
+  // HH:MM:SS,mmm (SRT) or HH:MM:SS.mmm (WebVTT).
+  function formatCueTime(seconds, separator) {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const mins = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+    return `${String(hours).padStart(2, '0')}:${String(mins).padStart(2, '0')}:${String(secs).padStart(2, '0')}${separator}${String(ms).padStart(3, '0')}`;
+  }
+
+  function buildTranscriptText(source, cues) {
+    const header = [source.title || 'Panopto lecture transcript'];
+    if (source.url) header.push(source.url);
+    const lines = cues.map((cue) => `[${formatTimestamp(cue.startTime)}] ${cue.text}`);
+    return `${header.join('\n')}\n\n${lines.join('\n')}\n`;
+  }
+
+  function buildTranscriptJsonExport(source, cues, mergeSentences) {
+    return `${JSON.stringify({
+      format: 'panopto-smart-notes-transcript',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      lecture: {
+        lectureId: source.lectureId || null,
+        title: source.title || null,
+        url: source.url || null,
+        createdAt: source.date || null
+      },
+      mergedSentences: Boolean(mergeSentences),
+      entries: cues
+    }, null, 2)}\n`;
+  }
+
+  // `<lecture-title>-<YYYY-MM-DD>.<ext>`, dated by when the lecture was first captured.
+  function buildExportFilename(title, date, extension) {
+    return `${buildExportBaseName(title, date)}.${extension}`;
+  }
+
+  function buildExportBaseName(title, date) {
+    const slug = String(title || '')
+      .toLowerCase()
+      .replace(/[^\p{L}\p{N}]+/gu, '-')
+      .slice(0, 60)
+      .replace(/^-+|-+$/g, '');
+    return `${slug || 'panopto-notes'}-${formatExportDate(date)}`;
+  }
+
+  function formatExportDate(value) {
+    const parsed = new Date(value);
+    const date = Number.isNaN(parsed.getTime()) ? new Date() : parsed;
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
 
-    let openMainHeading = null;
+  // Groups `Main :: Sub` sections under their main heading. A plain section
+  // opens a group with its bullets directly under the heading; following
+  // sections with the same main heading become its subsections.
+  function buildHeadingOutline(notes) {
+    const groups = [];
+    let open = null;
     notes.sections.forEach((section) => {
       const parsed = parseCompositeHeading(section.heading);
-      if (parsed.subheading) {
-        if (openMainHeading !== parsed.heading) {
-          markdown += `## ${parsed.heading}\n\n`;
-          openMainHeading = parsed.heading;
+      if (!parsed.subheading) {
+        open = { heading: parsed.heading, bullets: section.bullets, subsections: [] };
+        groups.push(open);
+        return;
+      }
+      if (!open || open.heading !== parsed.heading) {
+        open = { heading: parsed.heading, bullets: [], subsections: [] };
+        groups.push(open);
+      }
+      open.subsections.push({ heading: parsed.subheading, bullets: section.bullets });
+    });
+    return groups;
+  }
+
+  function buildNotesHtmlDocument(source, forPrint) {
+    const notes = source.notes;
+    const title = notes.title || source.title || 'Panopto Smart Notes';
+    const renderStamp = (tStart) => {
+      if (tStart === null) return '';
+      const label = formatTimestamp(tStart);
+      const url = buildTimestampUrl(source.url, tStart);
+      return url
+        ? ` <a class="ts" href="${escapeXml(url)}">${label}</a>`
+        : ` <span class="ts">${label}</span>`;
+    };
+    const renderBullets = (bullets) => {
+      if (bullets.length === 0) return '';
+      const items = bullets.map((bullet) => `<li>${escapeXml(bullet.text)}${renderStamp(bullet.tStart)}</li>`);
+      return `<ul>\n${items.join('\n')}\n</ul>\n`;
+    };
+
+    let body = `<h1>${escapeXml(title)}</h1>\n`;
+    const meta = [];
+    if (source.title && source.title !== title) {
+      meta.push(source.url
+        ? `<a href="${escapeXml(source.url)}">${escapeXml(source.title)}</a>`
+        : escapeXml(source.title));
+    }
+    meta.push(`Lecture date: ${formatExportDate(source.date)}`);
+    if (notes.lastUpdatedAt) meta.push(`Last updated: ${escapeXml(notes.lastUpdatedAt)}`);
+    body += `<p class="meta">${meta.join(' &middot; ')}</p>\n`;
+
+    buildHeadingOutline(notes).forEach((group) => {
+      body += `<section>\n<h2>${escapeXml(group.heading)}</h2>\n${renderBullets(group.bullets)}`;
+      group.subsections.forEach((subsection) => {
+        body += `<h3>${escapeXml(subsection.heading)}</h3>\n${renderBullets(subsection.bullets)}`;
+      });
+      body += '</section>\n';
+    });
+
+    const glossary = getSortedGlossary(notes);
+    if (glossary.length > 0) {
+      const items = glossary.map((entry) => `<dt>${escapeXml(entry.term)}</dt>\n<dd>${escapeXml(entry.definition)}${renderStamp(entry.tStart)}</dd>`);
+      body += `<section class="glossary">\n<h2>Glossary</h2>\n<dl>\n${items.join('\n')}\n</dl>\n</section>\n`;
+    }
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeXml(title)}</title>
+<style>
+${forPrint ? PRINT_EXPORT_CSS : HTML_EXPORT_CSS}
+</style>
+</head>
+<body>
+${body}</body>
+</html>
+`;
+  }
+
+  // Raw notes plus lecture metadata; the `format` and `version` fields identify it for re-import.
+  function buildNotesJsonExport(source) {
+    return `${JSON.stringify({
+      format: 'panopto-smart-notes',
+      version: 1,
+      exportedAt: new Date().toISOString(),
+      lecture: {
+        lectureId: source.lectureId || null,
+        title: source.title || null,
+        url: source.url || null,
+        createdAt: source.date || null
+      },
+      notes: source.notes
+    }, null, 2)}\n`;
+  }
+
+  function buildNotesOpml(source) {
+    const notes = source.notes;
+    const bulletOutlines = (bullets, indent) => bullets
+      .map((bullet) => {
+        const stamp = bullet.tStart === null ? '' : ` (${formatTimestamp(bullet.tStart)})`;
+        return `${indent}<outline text="${escapeXml(`${bullet.text}${stamp}`)}"/>\n`;
+      })
+      .join('');
+
+    let outlines = '';
+    buildHeadingOutline(notes).forEach((group) => {
+      outlines += `    <outline text="${escapeXml(group.heading)}">\n`;
+      outlines += bulletOutlines(group.bullets, '      ');
+      group.subsections.forEach((subsection) => {
+        outlines += `      <outline text="${escapeXml(subsection.heading)}">\n`;
+        outlines += bulletOutlines(subsection.bullets, '        ');
+        outlines += '      </outline>\n';
+      });
+      outlines += '    </outline>\n';
+    });
+    const glossary = getSortedGlossary(notes);
+    if (glossary.length > 0) {
+      outlines += '    <outline text="Glossary">\n';
+      glossary.forEach((entry) => {
+        const stamp = entry.tStart === null ? '' : ` (${formatTimestamp(entry.tStart)})`;
+        outlines += `      <outline text="${escapeXml(entry.term)}" _note="${escapeXml(`${entry.definition}${stamp}`)}"/>\n`;
+      });
+      outlines += '    </outline>\n';
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<opml version="2.0">
+  <head>
+    <title>${escapeXml(notes.title || source.title || 'Panopto Smart Notes')}</title>
+    <dateCreated>${new Date().toUTCString()}</dateCreated>
+  </head>
+  <body>
+${outlines}  </body>
+</opml>
+`;
+  }
+
+  // A minimal WordprocessingML package: Title / Heading 1 / Heading 2
+  // paragraphs, bulleted list items, and timestamps as external hyperlinks.
+  function buildNotesDocx(source) {
+    const notes = source.notes;
+    const links = [];
+    const paragraph = (style, runs) => `<w:p><w:pPr><w:pStyle w:val="${style}"/></w:pPr>${runs}</w:p>`;
+    const textRun = (text) => `<w:r><w:t xml:space="preserve">${escapeXml(text)}</w:t></w:r>`;
+    const timestampRuns = (tStart) => {
+      if (tStart === null) return '';
+      const label = formatTimestamp(tStart);
+      const url = buildTimestampUrl(source.url, tStart);
+      if (!url) return textRun(` (${label})`);
+      links.push(url);
+      return `${textRun(' ')}<w:hyperlink r:id="rIdLink${links.length}"><w:r><w:rPr><w:rStyle w:val="Hyperlink"/></w:rPr><w:t>${label}</w:t></w:r></w:hyperlink>`;
+    };
+    const listParagraph = (runs) => `<w:p><w:pPr><w:pStyle w:val="ListParagraph"/><w:numPr><w:ilvl w:val="0"/><w:numId w:val="1"/></w:numPr></w:pPr>${runs}</w:p>`;
+    const bulletParagraph = (bullet) => listParagraph(`${textRun(bullet.text)}${timestampRuns(bullet.tStart)}`);
+    const glossaryParagraph = (entry) => listParagraph(
+      `<w:r><w:rPr><w:b/></w:rPr><w:t xml:space="preserve">${escapeXml(entry.term)}</w:t></w:r>${textRun(`: ${entry.definition}`)}${timestampRuns(entry.tStart)}`
+    );
+
+    const paragraphs = [paragraph('Title', textRun(notes.title || source.title || 'Panopto Smart Notes'))];
+    if (source.title && source.title !== notes.title) {
+      paragraphs.push(paragraph('Subtitle', textRun(source.title)));
+    }
+    paragraphs.push(paragraph('Subtitle', textRun(`Lecture date: ${formatExportDate(source.date)}`)));
+    buildHeadingOutline(notes).forEach((group) => {
+      paragraphs.push(paragraph('Heading1', textRun(group.heading)));
+      group.bullets.forEach((bullet) => paragraphs.push(bulletParagraph(bullet)));
+      group.subsections.forEach((subsection) => {
+        paragraphs.push(paragraph('Heading2', textRun(subsection.heading)));
+        subsection.bullets.forEach((bullet) => paragraphs.push(bulletParagraph(bullet)));
+      });
+    });
+    const glossary = getSortedGlossary(notes);
+    if (glossary.length > 0) {
+      paragraphs.push(paragraph('Heading1', textRun('Glossary')));
+      glossary.forEach((entry) => paragraphs.push(glossaryParagraph(entry)));
+    }
+
+    const xmlHeader = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+    const wordNs = 'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"';
+    const relNs = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    const documentRels = [
+      `<Relationship Id="rIdStyles" Type="${relNs}/styles" Target="styles.xml"/>`,
+      `<Relationship Id="rIdNumbering" Type="${relNs}/numbering" Target="numbering.xml"/>`,
+      ...links.map((url, index) => `<Relationship Id="rIdLink${index + 1}" Type="${relNs}/hyperlink" Target="${escapeXml(url)}" TargetMode="External"/>`)
+    ];
+
+    return buildZipArchive([
+      {
+        name: '[Content_Types].xml',
+        data: `${xmlHeader}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">`
+          + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+          + '<Default Extension="xml" ContentType="application/xml"/>'
+          + '<Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>'
+          + '<Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/>'
+          + '<Override PartName="/word/numbering.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.numbering+xml"/>'
+          + '</Types>'
+      },
+      {
+        name: '_rels/.rels',
+        data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+          + `<Relationship Id="rId1" Type="${relNs}/officeDocument" Target="word/document.xml"/>`
+          + '</Relationships>'
+      },
+      {
+        name: 'word/_rels/document.xml.rels',
+        data: `${xmlHeader}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${documentRels.join('')}</Relationships>`
+      },
+      {
+        name: 'word/document.xml',
+        data: `${xmlHeader}<w:document ${wordNs} xmlns:r="${relNs}"><w:body>${paragraphs.join('')}`
+          + '<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr>'
+          + '</w:body></w:document>'
+      },
+      { name: 'word/styles.xml', data: `${xmlHeader}<w:styles ${wordNs}>${DOCX_STYLES}</w:styles>` },
+      {
+        name: 'word/numbering.xml',
+        data: `${xmlHeader}<w:numbering ${wordNs}>`
+          + '<w:abstractNum w:abstractNumId="0"><w:multiLevelType w:val="singleLevel"/>'
+          + '<w:lvl w:ilvl="0"><w:start w:val="1"/><w:numFmt w:val="bullet"/><w:lvlText w:val="•"/><w:lvlJc w:val="left"/>'
+          + '<w:pPr><w:ind w:left="720" w:hanging="360"/></w:pPr></w:lvl></w:abstractNum>'
+          + '<w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>'
+          + '</w:numbering>'
+      }
+    ]);
+  }
+
+  // Drops characters XML 1.0 cannot contain, then escapes markup.
+  function escapeXml(text) {
+    return String(text === null || text === undefined ? '' : text)
+      .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&apos;');
+  }
+
+  // Stored (uncompressed) ZIP archive; enough for DOCX packages.
+  function buildZipArchive(files) {
+    const encoder = new TextEncoder();
+    const stamp = toDosDateTime(new Date());
+    const entries = files.map((file) => {
+      const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+      return { name: encoder.encode(file.name), data, crc: crc32(data), offset: 0 };
+    });
+    const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+    const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+    const bytes = new Uint8Array(localSize + centralSize + 22);
+    const view = new DataView(bytes.buffer);
+    const UTF8_NAMES = 0x0800;
+
+    let offset = 0;
+    entries.forEach((entry) => {
+      entry.offset = offset;
+      view.setUint32(offset, 0x04034b50, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, UTF8_NAMES, true);
+      view.setUint16(offset + 10, stamp.time, true);
+      view.setUint16(offset + 12, stamp.date, true);
+      view.setUint32(offset + 14, entry.crc, true);
+      view.setUint32(offset + 18, entry.data.length, true);
+      view.setUint32(offset + 22, entry.data.length, true);
+      view.setUint16(offset + 26, entry.name.length, true);
+      bytes.set(entry.name, offset + 30);
+      bytes.set(entry.data, offset + 30 + entry.name.length);
+      offset += 30 + entry.name.length + entry.data.length;
+    });
+
+    const centralOffset = offset;
+    entries.forEach((entry) => {
+      view.setUint32(offset, 0x02014b50, true);
+      view.setUint16(offset + 4, 20, true);
+      view.setUint16(offset + 6, 20, true);
+      view.setUint16(offset + 8, UTF8_NAMES, true);
+      view.setUint16(offset + 12, stamp.time, true);
+      view.setUint16(offset + 14, stamp.date, true);
+      view.setUint32(offset + 16, entry.crc, true);
+      view.setUint32(offset + 20, entry.data.length, true);
+      view.setUint32(offset + 24, entry.data.length, true);
+      view.setUint16(offset + 28, entry.name.length, true);
+      view.setUint32(offset + 42, entry.offset, true);
+      bytes.set(entry.name, offset + 46);
+      offset += 46 + entry.name.length;
+    });
+
+    view.setUint32(offset, 0x06054b50, true);
+    view.setUint16(offset + 8, entries.length, true);
+    view.setUint16(offset + 10, entries.length, true);
+    view.setUint32(offset + 12, offset - centralOffset, true);
+    view.setUint32(offset + 16, centralOffset, true);
+    return bytes;
+  }
+
+  function toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+
+  function crc32(bytes) {
+    if (!crc32Table) {
+      crc32Table = new Uint32Array(256);
+      for (let n = 0; n < 256; n += 1) {
+        let c = n;
+        for (let k = 0; k < 8; k += 1) {
+          c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
         }
-        markdown += `### ${parsed.subheading}\n\n`;
-      } else {
-        markdown += `## ${parsed.heading}\n\n`;
-        openMainHeading = null;
+        crc32Table[n] = c >>> 0;
       }
-      section.bullets.forEach((bullet) => {
-        markdown += `- ${bullet}\n`;
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i += 1) {
+      crc = crc32Table[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  }
+
+  // Binary exports cross the message channel as base64.
+  function bytesToBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  // options.formatText rewrites bullet text (e.g. wiki links); options.omitLastUpdated
+  // drops the "Last updated" line when frontmatter carries it.
+  function buildMarkdown(input, lectureUrl, options) {
+    const notes = normalizeNotesState(input);
+    const formatText = options && typeof options.formatText === 'function' ? options.formatText : (text) => text;
+    let markdown = `# ${notes.title || 'Panopto Smart Notes'}\n\n`;
+    if (notes.lastUpdatedAt && !(options && options.omitLastUpdated)) {
+      markdown += `*Last updated: ${notes.lastUpdatedAt}*\n\n`;
+    }
+
+    const renderBullets = (bullets) => {
+      if (bullets.length === 0) return '';
+      return `${bullets.map((bullet) => `- ${formatText(bullet.text)}${formatMarkdownTimestamp(bullet, lectureUrl)}`).join('\n')}\n\n`;
+    };
+    buildHeadingOutline(notes).forEach((group) => {
+      markdown += `## ${group.heading}\n\n${renderBullets(group.bullets)}`;
+      group.subsections.forEach((subsection) => {
+        markdown += `### ${subsection.heading}\n\n${renderBullets(subsection.bullets)}`;
       });
-      markdown += '\n';
     });
+    const glossary = getSortedGlossary(notes);
+    if (glossary.length > 0) {
+      const items = glossary.map((entry) => `- **${entry.term}**: ${formatText(entry.definition)}${formatMarkdownTimestamp(entry, lectureUrl)}`);
+      markdown += `## Glossary\n\n${items.join('\n')}\n\n`;
+    }
     return markdown;
   }
 
+  // Exports list terms alphabetically; the notes keep them in the order they were defined.
+  function getSortedGlossary(notes) {
+    return notes.glossary.slice().sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+  }
+
+  function formatMarkdownTimestamp(bullet, lectureUrl) {
+    if (bullet.tStart === null) return '';
+    const label = formatTimestamp(bullet.tStart);
+    const url = buildTimestampUrl(lectureUrl, bullet.tStart);
+    return url ? ` ([${label}](${url}))` : ` (${label})`;
+  }
+
+  // Panopto's viewer starts playback at the `start` query parameter (seconds).
+  function buildTimestampUrl(lectureUrl, seconds) {
+    if (!lectureUrl) return '';
+    try {
+      const url = new URL(lectureUrl);
+      url.searchParams.set('start', String(Math.floor(seconds)));
+      return url.toString();
+    } catch (error) {
+      return '';
+    }
+  }
+
+  function formatTimestamp(seconds) {
+    const mins = Math.floor(seconds / 60);
+    const secs = Math.floor(seconds % 60);
+    return `${mins}:${secs.toString().padStart(2, '0')}`;
+  }
+
   function parseCompositeHeading(rawHeading) {
     const heading = sanitizeHeading(rawHeading);
     if (!heading) {
@@ -1059,9 +5152,42 @@
     return { heading, subheading: '' };
   }
 
-  async function clearSession() {
-    await chrome.storage.session.remove('notesState');
-    broadcastToSidePanel({ type: 'NOTES_UPDATE', notes: defaultNotesState() });
+  async function clearSession(sessionKey) {
+    if (!sessionKey) return;
+    const { queue } = await mutateChunkQueue((queue) => {
+      queue.jobs = queue.jobs.filter((job) => job.sessionKey !== sessionKey || job.status === JOB_STATUS.RUNNING);
+      delete queue.catchUps[sessionKey];
+    });
+    broadcastQueueState(queue, sessionKey);
+    // Empty notes are stored rather than removed, so the cleared session does
+    // not start over from the archive.
+    await chrome.storage.session.remove([getFlashcardsStorageKey(sessionKey)]);
+    await chrome.storage.session.set({ [getNotesStorageKey(sessionKey)]: defaultNotesState() });
+    broadcastToSidePanel({ type: 'NOTES_UPDATE', sessionKey, notes: defaultNotesState() });
+  }
+
+  // A closed tab's sessions go with it: session notes, flashcards, and queued
+  // chunks. The library keeps what was already archived. A job still running
+  // finishes, and its save is dropped (see processChunkJob).
+  async function forgetTabSessions(tabId) {
+    const isTabSession = (sessionKey) => getSessionTabId(sessionKey) === tabId;
+    await mutateChunkQueue((queue) => {
+      queue.jobs = queue.jobs.filter((job) => !isTabSession(job.sessionKey));
+      Object.keys(queue.catchUps).forEach((sessionKey) => {
+        if (isTabSession(sessionKey)) delete queue.catchUps[sessionKey];
+      });
+    });
+    await removeTabSessionStorage(tabId);
+  }
+
+  async function removeTabSessionStorage(tabId) {
+    if (tabId === null) return;
+    const stored = await chrome.storage.session.get(null);
+    const keys = Object.keys(stored).filter((key) => {
+      const match = key.match(/^(?:notesState|flashcards):(.+)$/);
+      return Boolean(match) && getSessionTabId(match[1]) === tabId;
+    });
+    if (keys.length > 0) await chrome.storage.session.remove(keys);
   }
 
   function broadcastToSidePanel(message) {
@@ -1080,6 +5206,8 @@
   function sleep(ms) {
     return new Promise((resolve) => setTimeout(resolve, ms));
   }
+
+  resumeChunkQueue().catch((error) => console.error('Failed to resume chunk queue:', error));
 })();
 
 
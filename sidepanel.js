@@ -4,22 +4,34 @@
 (function() {
   'use strict';
 
+  const { parseLectureId, buildSessionKey, getNotesStorageKey } = self.PanoptoLectureSession;
+
   const PROVIDERS = {
     GEMINI: 'gemini',
     OPENAI: 'openai',
-    ANTHROPIC: 'anthropic'
+    ANTHROPIC: 'anthropic',
+    CUSTOM: 'custom'
   };
   const DEFAULT_PROVIDER = PROVIDERS.GEMINI;
   const THEME_SYSTEM = 'system';
   const THEME_LIGHT = 'light';
   const THEME_DARK = 'dark';
+  const DEFAULT_HIGHLIGHT_SECONDS = 10;
+  const HIGHLIGHT_SECONDS_OPTIONS = [0, 5, 10, 30, 60];
 
   const PROVIDER_LABELS = {
     [PROVIDERS.GEMINI]: 'Gemini',
     [PROVIDERS.OPENAI]: 'ChatGPT (OpenAI)',
-    [PROVIDERS.ANTHROPIC]: 'Claude (Anthropic)'
+    [PROVIDERS.ANTHROPIC]: 'Claude (Anthropic)',
+    [PROVIDERS.CUSTOM]: 'Custom (OpenAI-compatible)'
+  };
+  const STAGE_MODEL_LABELS = {
+    cleaner: 'Caption cleaning',
+    merger: 'Notes merging',
+    repair: 'JSON repair'
   };
 
+  const lectureLabelEl = document.getElementById('lecture-label');
   const captionsStatusEl = document.getElementById('captions-status');
   const captureStatusEl = document.getElementById('capture-status');
   const aiInlineStatusEl = document.getElementById('ai-inline-status');
@@ -27,18 +39,85 @@
   const pauseBtn = document.getElementById('pause-btn');
   const clearBtn = document.getElementById('clear-btn');
   const exportBtn = document.getElementById('export-btn');
+  const catchUpBtn = document.getElementById('catch-up-btn');
+  const importBtn = document.getElementById('import-btn');
+  const importFileInput = document.getElementById('import-file-input');
+  const catchUpSectionEl = document.getElementById('catch-up-section');
+  const catchUpLabelEl = document.getElementById('catch-up-label');
+  const catchUpProgressEl = document.getElementById('catch-up-progress');
+  const cancelCatchUpBtn = document.getElementById('cancel-catch-up-btn');
+  const queueSectionEl = document.getElementById('queue-section');
+  const queueSummaryEl = document.getElementById('queue-summary');
+  const retryAllChunksBtn = document.getElementById('retry-all-chunks-btn');
+  const failedChunksListEl = document.getElementById('failed-chunks-list');
   const transcriptContainer = document.getElementById('transcript-container');
   const notesContainer = document.getElementById('notes-container');
   const editNotesBtn = document.getElementById('edit-notes-btn');
   const saveNotesBtn = document.getElementById('save-notes-btn');
   const cancelNotesBtn = document.getElementById('cancel-notes-btn');
+  const jumpToChangeBtn = document.getElementById('jump-to-change-btn');
   const notesEditStatusEl = document.getElementById('notes-edit-status');
+  const notesConflictsEl = document.getElementById('notes-conflicts');
+  const notesGeneratedByEl = document.getElementById('notes-generated-by');
+  const panelTabButtons = Array.from(document.querySelectorAll('.panel-tab'));
+  const notesPanelEl = document.getElementById('notes-panel');
+  const chatPanelEl = document.getElementById('chat-panel');
+  const chatMessagesEl = document.getElementById('chat-messages');
+  const chatFormEl = document.getElementById('chat-form');
+  const chatInput = document.getElementById('chat-input');
+  const sendChatBtn = document.getElementById('send-chat-btn');
+  const clearChatBtn = document.getElementById('clear-chat-btn');
+  const flashcardsPanelEl = document.getElementById('flashcards-panel');
+  const flashcardsListEl = document.getElementById('flashcards-list');
+  const flashcardsStatusEl = document.getElementById('flashcards-status');
+  const generateFlashcardsBtn = document.getElementById('generate-flashcards-btn');
+  const addFlashcardBtn = document.getElementById('add-flashcard-btn');
+  const exportFlashcardsTsvBtn = document.getElementById('export-flashcards-tsv-btn');
+  const exportFlashcardsCsvBtn = document.getElementById('export-flashcards-csv-btn');
+  const glossaryPanelEl = document.getElementById('glossary-panel');
+  const glossaryFilterInput = document.getElementById('glossary-filter-input');
+  const glossaryListEl = document.getElementById('glossary-list');
+  const historyPanelEl = document.getElementById('history-panel');
+  const historyListEl = document.getElementById('history-list');
+  const historyStatusEl = document.getElementById('history-status');
+  const historyDiffEl = document.getElementById('history-diff');
+  const undoAiMergeBtn = document.getElementById('undo-ai-merge-btn');
+  const compareVersionsBtn = document.getElementById('compare-versions-btn');
 
   const openSettingsBtn = document.getElementById('open-settings-btn');
   const settingsModalEl = document.getElementById('settings-modal');
   const settingsModalBackdropEl = document.getElementById('settings-modal-backdrop');
   const closeSettingsBtn = document.getElementById('close-settings-btn');
   const settingsStatusEl = document.getElementById('settings-status');
+  const openLibraryBtn = document.getElementById('open-library-btn');
+  const libraryModalEl = document.getElementById('library-modal');
+  const libraryModalBackdropEl = document.getElementById('library-modal-backdrop');
+  const closeLibraryBtn = document.getElementById('close-library-btn');
+  const libraryListViewEl = document.getElementById('library-list-view');
+  const libraryListEl = document.getElementById('library-list');
+  const libraryDetailViewEl = document.getElementById('library-detail-view');
+  const libraryDetailTitleEl = document.getElementById('library-detail-title');
+  const libraryDetailInfoEl = document.getElementById('library-detail-info');
+  const libraryNotesEl = document.getElementById('library-notes');
+  const libraryBackBtn = document.getElementById('library-back-btn');
+  const libraryOpenBtn = document.getElementById('library-open-btn');
+  const libraryRenameBtn = document.getElementById('library-rename-btn');
+  const libraryExportBtn = document.getElementById('library-export-btn');
+  const libraryDeleteBtn = document.getElementById('library-delete-btn');
+  const libraryStatusEl = document.getElementById('library-status');
+  const exportModalEl = document.getElementById('export-modal');
+  const exportModalBackdropEl = document.getElementById('export-modal-backdrop');
+  const closeExportBtn = document.getElementById('close-export-btn');
+  const exportSourceLabelEl = document.getElementById('export-source-label');
+  const exportConfirmBtn = document.getElementById('export-confirm-btn');
+  const exportMergeSentencesInput = document.getElementById('export-merge-sentences');
+  const exportFormatListEl = document.getElementById('export-format-list');
+  const exportObsidianOptionsEl = document.getElementById('export-obsidian-options');
+  const exportCourseInput = document.getElementById('export-course-input');
+  const exportTagsInput = document.getElementById('export-tags-input');
+  const exportWikiLinksInput = document.getElementById('export-wiki-links');
+  const libraryExportAllBtn = document.getElementById('library-export-all-btn');
+  const exportStatusEl = document.getElementById('export-status');
   const settingsTabButtons = Array.from(document.querySelectorAll('.settings-tab'));
   const settingsTabPanels = Array.from(document.querySelectorAll('.settings-tab-panel'));
 
@@ -47,24 +126,91 @@
   const providerApiKeyInput = document.getElementById('provider-api-key');
   const toggleProviderKeyVisibilityBtn = document.getElementById('toggle-provider-key-visibility');
   const providerKeyStatusEl = document.getElementById('provider-key-status');
+  const customProviderFieldsEl = document.getElementById('custom-provider-fields');
+  const customBaseUrlInput = document.getElementById('custom-base-url');
+  const customModelInput = document.getElementById('custom-model');
+  const customModelOptionsEl = document.getElementById('custom-model-options');
+  const discoverModelsBtn = document.getElementById('discover-models-btn');
+  const fallbackProviderListEl = document.getElementById('fallback-provider-list');
+  const stageModelListEl = document.getElementById('stage-model-list');
   const clearKeyBtn = document.getElementById('clear-key-btn');
   const saveSettingsBtn = document.getElementById('save-settings-btn');
   const testProviderBtn = document.getElementById('test-provider-btn');
   const themeSelect = document.getElementById('theme-select');
+  const highlightSecondsSelect = document.getElementById('highlight-seconds-select');
+  const usageSummaryEl = document.getElementById('usage-summary');
+  const budgetLectureInput = document.getElementById('budget-lecture-input');
+  const budgetMonthlyInput = document.getElementById('budget-monthly-input');
+  const modelPricesInput = document.getElementById('model-prices-input');
+  const saveUsageSettingsBtn = document.getElementById('save-usage-settings-btn');
+  const lectureProfileSelect = document.getElementById('lecture-profile-select');
+  const profileEditSelect = document.getElementById('profile-edit-select');
+  const newProfileBtn = document.getElementById('new-profile-btn');
+  const profileNameInput = document.getElementById('profile-name-input');
+  const profileCleanerMode = document.getElementById('profile-cleaner-mode');
+  const profileCleanerText = document.getElementById('profile-cleaner-text');
+  const profileMergerMode = document.getElementById('profile-merger-mode');
+  const profileMergerText = document.getElementById('profile-merger-text');
+  const saveProfileBtn = document.getElementById('save-profile-btn');
+  const previewProfileBtn = document.getElementById('preview-profile-btn');
+  const deleteProfileBtn = document.getElementById('delete-profile-btn');
+  const profileSampleInput = document.getElementById('profile-sample-input');
+  const testProfileBtn = document.getElementById('test-profile-btn');
+  const profileOutputEl = document.getElementById('profile-output');
+  const exportProfilesBtn = document.getElementById('export-profiles-btn');
+  const importProfilesBtn = document.getElementById('import-profiles-btn');
+  const importProfilesInput = document.getElementById('import-profiles-input');
 
   const systemThemeQuery = window.matchMedia('(prefers-color-scheme: dark)');
 
   let currentTranscript = [];
   let currentNotes = null;
   let latestAiSettings = null;
+  // Every provider in fallback order; only the checked ones are saved.
+  let fallbackOrder = Object.values(PROVIDERS);
+  let fallbackEnabled = new Set();
+  let stageModelDraft = {};
+  // Model names per provider from LIST_PROVIDER_MODELS, dropped when settings are saved.
+  let providerModelLists = {};
+
+  let activeTabId = null;
+  let activeSessionKey = null;
+  let activeTabTitle = '';
 
   let isEditingNotes = false;
+  let editingSessionKey = null;
   let notesDraftText = '';
+  // Notes as they were when editing began; the base of the three-way merge on save.
+  let editBaseNotes = null;
+  let noteConflictResolutions = {};
   let pendingNotesUpdateWhileEditing = false;
   let isSettingsModalOpen = false;
   let activeSettingsTab = 'general';
+  let isLibraryModalOpen = false;
+  let selectedLibraryLecture = null;
+  // { sessionKey } for the active lecture, { lectureId } for a library lecture,
+  // or { all: true } for the whole library as a zip.
+  let exportTarget = null;
   let isProviderKeyVisible = false;
+  // Q&A history per sessionKey, kept for the life of the panel.
+  const chatHistories = new Map();
+  let pendingChatSessionKey = null;
+  let currentFlashcards = [];
+  let historyVersions = [];
+  // Up to two version ids picked for comparison, oldest pick first.
+  let selectedVersionIds = [];
+  let currentUsage = null;
+  let budgetStatus = null;
+  let promptProfiles = [];
+  let editingProfileId = 'default';
   let themePreference = THEME_SYSTEM;
+  let highlightSeconds = DEFAULT_HIGHLIGHT_SECONDS;
+  // Ids ('s<n>' / 'b<n>') that the latest NOTES_UPDATE added or reworded, in notes order.
+  let latestChangeIds = [];
+  // The subset still highlighted: id -> 'new' | 'changed'. Emptied when the highlight fades.
+  let noteHighlights = {};
+  let noteHighlightTimer = null;
+  let jumpChangeIndex = 0;
 
   function init() {
     setupEventListeners();
@@ -74,9 +220,63 @@
     setNotesEditStatus('', '');
     setSettingsStatus('', false);
     setAiInlineStatus('', '');
+    loadSettingsFromStorage();
+    refreshActiveSession(true);
+  }
+
+  // Each tab + Panopto lecture (URL id= parameter) has its own notes session.
+  // The panel always shows the session of the active tab.
+  async function refreshActiveSession(force) {
+    const tab = await getActiveTab();
+    const nextSessionKey = tab ? buildSessionKey(tab.id, parseLectureId(tab.url || '')) : null;
+    activeTabTitle = tab && tab.title ? tab.title : '';
+    renderLectureLabel();
+
+    if (!force && nextSessionKey === activeSessionKey) return;
+    activeTabId = tab ? tab.id : null;
+    activeSessionKey = nextSessionKey;
+
+    currentTranscript = [];
+    renderTranscript();
+    renderChat();
+    currentFlashcards = [];
+    renderFlashcards();
+    setFlashcardsStatus('', '');
+    loadFlashcards();
+    renderCatchUpProgress(null);
+    renderChunkQueue(null);
     requestStatus();
+    loadTranscript();
+    loadCatchUpStatus();
+    loadChunkQueue();
+    currentUsage = null;
+    budgetStatus = null;
+    loadUsage();
+    loadPromptProfiles();
+    historyVersions = [];
+    selectedVersionIds = [];
+    historyDiffEl.hidden = true;
+    setHistoryStatus('', '');
+    renderHistory();
+    if (!historyPanelEl.hidden) loadNotesHistory();
+
+    if (isEditingNotes) {
+      setNotesEditStatus('Still editing notes for the previous lecture. Save or Cancel to switch.', 'warning');
+      return;
+    }
+    clearNoteChanges();
+    currentNotes = null;
+    renderNotes();
     loadNotesState();
-    loadSettingsFromStorage();
+  }
+
+  function renderLectureLabel() {
+    if (!lectureLabelEl) return;
+    lectureLabelEl.textContent = activeTabTitle ? `Lecture: ${activeTabTitle}` : '';
+  }
+
+  function isForActiveSession(message) {
+    return !message.sessionKey || message.sessionKey === activeSessionKey;
   }
 
   function setupEventListeners() {
@@ -95,32 +295,66 @@
       currentNotes = null;
       isEditingNotes = false;
       notesDraftText = '';
+      resetNoteConflicts();
       pendingNotesUpdateWhileEditing = false;
+      editingSessionKey = null;
       toggleNotesEditButtons();
       setNotesEditStatus('', '');
       renderTranscript();
       renderNotes();
+      renderCatchUpProgress(null);
 
-      await broadcastToTabs({ type: 'CLEAR_SESSION' });
+      await sendToActiveTab({ type: 'CLEAR_SESSION' });
       try {
-        await chrome.runtime.sendMessage({ type: 'CLEAR_SESSION' });
+        await chrome.runtime.sendMessage({ type: 'CLEAR_SESSION', sessionKey: activeSessionKey });
       } catch (error) {
         console.warn('Failed to clear notes state:', error);
       }
       requestStatus();
     });
 
-    exportBtn.addEventListener('click', async () => {
-      try {
-        const response = await chrome.runtime.sendMessage({ type: 'EXPORT_MARKDOWN' });
-        if (response && response.markdown) {
-          downloadMarkdown(response.markdown);
-        }
-      } catch (error) {
-        console.error('Export error:', error);
-        alert('Failed to export notes');
+    exportBtn.addEventListener('click', () => {
+      openExportModal({ sessionKey: activeSessionKey }, 'Current lecture');
+    });
+    closeExportBtn.addEventListener('click', closeExportModal);
+    exportModalBackdropEl.addEventListener('click', closeExportModal);
+    exportConfirmBtn.addEventListener('click', runExport);
+    exportFormatListEl.addEventListener('change', renderExportOptions);
+    libraryExportAllBtn.addEventListener('click', () => {
+      openExportModal({ all: true }, 'All library lectures: Obsidian notes and transcripts, one folder each');
+    });
+
+    panelTabButtons.forEach((button) => {
+      button.addEventListener('click', () => activatePanelTab(button.dataset.panel || 'notes'));
+    });
+    glossaryFilterInput.addEventListener('input', renderGlossary);
+    chatFormEl.addEventListener('submit', (event) => {
+      event.preventDefault();
+      askLecture();
+    });
+    chatInput.addEventListener('keydown', (event) => {
+      if (event.key === 'Enter' && !event.shiftKey) {
+        event.preventDefault();
+        askLecture();
       }
     });
+    clearChatBtn.addEventListener('click', () => {
+      chatHistories.delete(activeSessionKey);
+      renderChat();
+    });
+
+    generateFlashcardsBtn.addEventListener('click', generateFlashcards);
+    addFlashcardBtn.addEventListener('click', addFlashcard);
+    exportFlashcardsTsvBtn.addEventListener('click', () => exportFlashcards('tsv'));
+    exportFlashcardsCsvBtn.addEventListener('click', () => exportFlashcards('csv'));
+    undoAiMergeBtn.addEventListener('click', undoLastAiMerge);
+    compareVersionsBtn.addEventListener('click', compareNotesVersions);
+
+    catchUpBtn.addEventListener('click', startCatchUp);
+    importBtn.addEventListener('click', () => importFileInput.click());
+    importFileInput.addEventListener('change', importFile);
+    cancelCatchUpBtn.addEventListener('click', cancelCatchUp);
+    retryAllChunksBtn.addEventListener('click', () => retryChunkJobs(null));
 
     if (editNotesBtn) {
       editNotesBtn.addEventListener('click', enterNotesEditMode);
@@ -131,6 +365,7 @@
     if (cancelNotesBtn) {
       cancelNotesBtn.addEventListener('click', cancelNotesEdit);
     }
+    jumpToChangeBtn.addEventListener('click', jumpToLatestChange);
 
     if (openSettingsBtn) {
       openSettingsBtn.addEventListener('click', openSettingsModal);
@@ -141,6 +376,15 @@
     if (settingsModalBackdropEl) {
       settingsModalBackdropEl.addEventListener('click', closeSettingsModal);
     }
+    openLibraryBtn.addEventListener('click', openLibraryModal);
+    closeLibraryBtn.addEventListener('click', closeLibraryModal);
+    libraryModalBackdropEl.addEventListener('click', closeLibraryModal);
+    libraryBackBtn.addEventListener('click', showLibraryList);
+    libraryOpenBtn.addEventListener('click', openLibraryLecture);
+    libraryRenameBtn.addEventListener('click', renameLibraryLecture);
+    libraryExportBtn.addEventListener('click', exportLibraryLecture);
+    libraryDeleteBtn.addEventListener('click', deleteLibraryLecture);
+
     settingsTabButtons.forEach((button) => {
       button.addEventListener('click', () => {
         activateSettingsTab(button.dataset.tab || 'general');
@@ -149,12 +393,41 @@
 
     providerSelect.addEventListener('change', renderProviderUiState);
     toggleProviderKeyVisibilityBtn.addEventListener('click', toggleProviderKeyVisibility);
+    discoverModelsBtn.addEventListener('click', discoverCustomModels);
+    fallbackProviderListEl.addEventListener('click', onFallbackProviderListClick);
+    fallbackProviderListEl.addEventListener('change', onFallbackProviderListChange);
+    stageModelListEl.addEventListener('change', onStageModelListChange);
+    stageModelListEl.addEventListener('input', onStageModelListInput);
+    stageModelListEl.addEventListener('focusin', onStageModelListFocus);
     saveSettingsBtn.addEventListener('click', saveAiSettings);
     testProviderBtn.addEventListener('click', testProviderConnection);
     clearKeyBtn.addEventListener('click', clearProviderKey);
     themeSelect.addEventListener('change', onThemeSelectionChange);
+    highlightSecondsSelect.addEventListener('change', onHighlightSecondsChange);
+    saveUsageSettingsBtn.addEventListener('click', saveUsageSettings);
+    lectureProfileSelect.addEventListener('change', setLecturePromptProfile);
+    profileEditSelect.addEventListener('change', () => {
+      editingProfileId = profileEditSelect.value;
+      renderProfileEditor();
+    });
+    newProfileBtn.addEventListener('click', newPromptProfile);
+    saveProfileBtn.addEventListener('click', savePromptProfile);
+    previewProfileBtn.addEventListener('click', previewPromptProfile);
+    deleteProfileBtn.addEventListener('click', deletePromptProfile);
+    testProfileBtn.addEventListener('click', testPromptProfile);
+    exportProfilesBtn.addEventListener('click', exportPromptProfiles);
+    importProfilesBtn.addEventListener('click', () => importProfilesInput.click());
+    importProfilesInput.addEventListener('change', importPromptProfiles);
 
     window.addEventListener('keydown', handleGlobalKeydown);
+
+    chrome.tabs.onActivated.addListener(() => refreshActiveSession(false));
+    chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+      if (tabId === activeTabId && (changeInfo.url || changeInfo.title)) {
+        refreshActiveSession(false);
+      }
+    });
+    chrome.windows.onFocusChanged.addListener(() => refreshActiveSession(false));
   }
 
   function setupThemeListener() {
@@ -174,7 +447,12 @@
   }
 
   function handleGlobalKeydown(event) {
-    if (event.key === 'Escape' && isSettingsModalOpen) {
+    if (event.key !== 'Escape') return;
+    if (exportTarget) {
+      closeExportModal();
+    } else if (isLibraryModalOpen) {
+      closeLibraryModal();
+    } else if (isSettingsModalOpen) {
       closeSettingsModal();
     }
   }
@@ -186,6 +464,7 @@
     isSettingsModalOpen = true;
     activateSettingsTab(activeSettingsTab);
     setSettingsStatus('', false);
+    loadUsage();
   }
 
   function closeSettingsModal() {
@@ -212,6 +491,293 @@
     });
   }
 
+  function openLibraryModal() {
+    libraryModalEl.hidden = false;
+    libraryModalEl.setAttribute('aria-hidden', 'false');
+    isLibraryModalOpen = true;
+    showLibraryList();
+  }
+
+  function closeLibraryModal() {
+    libraryModalEl.hidden = true;
+    libraryModalEl.setAttribute('aria-hidden', 'true');
+    isLibraryModalOpen = false;
+    selectedLibraryLecture = null;
+  }
+
+  async function showLibraryList() {
+    selectedLibraryLecture = null;
+    libraryDetailViewEl.hidden = true;
+    libraryListViewEl.hidden = false;
+    setLibraryStatus('Loading...', false);
+
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LIBRARY_LIST' });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to load library.');
+      }
+      renderLibraryList(response.lectures || []);
+      setLibraryStatus('', false);
+    } catch (error) {
+      libraryListEl.innerHTML = '';
+      setLibraryStatus(error.message, true);
+    }
+  }
+
+  function renderLibraryList(lectures) {
+    if (lectures.length === 0) {
+      libraryListEl.innerHTML = '<li class="empty-state">No archived lectures yet. Lectures are saved here as they are captured.</li>';
+      return;
+    }
+
+    libraryListEl.innerHTML = lectures.map((lecture) => `
+      <li class="library-item" data-lecture-id="${escapeAttribute(lecture.lectureId)}">
+        <div class="library-item-title">${escapeHtml(lecture.title)}</div>
+        <div class="library-item-meta">${escapeHtml(formatLibraryMeta(lecture))}</div>
+      </li>
+    `).join('');
+
+    libraryListEl.querySelectorAll('.library-item').forEach((item) => {
+      item.addEventListener('click', () => showLibraryLecture(item.dataset.lectureId));
+    });
+  }
+
+  function formatLibraryMeta(lecture) {
+    const updated = lecture.updatedAt ? new Date(lecture.updatedAt).toLocaleString() : 'unknown';
+    const cost = lecture.costUsd > 0 ? ` \u00b7 ${formatUsd(lecture.costUsd)}` : '';
+    return `Updated ${updated} \u00b7 ${lecture.sectionCount} sections \u00b7 ${lecture.chunkCount} chunks${cost}`;
+  }
+
+  async function showLibraryLecture(lectureId) {
+    setLibraryStatus('Loading...', false);
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'LIBRARY_GET', lectureId });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to load lecture.');
+      }
+      selectedLibraryLecture = response.lecture;
+      renderLibraryLecture();
+      libraryListViewEl.hidden = true;
+      libraryDetailViewEl.hidden = false;
+      setLibraryStatus('', false);
+    } catch (error) {
+      setLibraryStatus(error.message, true);
+    }
+  }
+
+  function renderLibraryLecture() {
+    const lecture = selectedLibraryLecture;
+    if (!lecture) return;
+    const transcriptCount = Array.isArray(lecture.transcript) ? lecture.transcript.length : 0;
+    const chunkCount = Array.isArray(lecture.chunks) ? lecture.chunks.length : 0;
+
+    libraryDetailTitleEl.textContent = lecture.title || (lecture.notes && lecture.notes.title) || 'Untitled lecture';
+    libraryDetailInfoEl.textContent = `Captured ${new Date(lecture.createdAt).toLocaleString()} \u00b7 ${transcriptCount} captions \u00b7 ${chunkCount} chunks`;
+    libraryOpenBtn.disabled = !lecture.url;
+    libraryNotesEl.innerHTML = buildNotesHtml(lecture.notes)
+      || '<p class="empty-state">No notes were generated for this lecture.</p>';
+  }
+
+  async function renameLibraryLecture() {
+    if (!selectedLibraryLecture) return;
+    const title = prompt('Lecture title', libraryDetailTitleEl.textContent);
+    if (title === null || !title.trim()) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'LIBRARY_RENAME',
+        lectureId: selectedLibraryLecture.lectureId,
+        title
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to rename lecture.');
+      }
+      selectedLibraryLecture.title = response.lecture.title;
+      renderLibraryLecture();
+      setLibraryStatus('Lecture renamed.', false);
+    } catch (error) {
+      setLibraryStatus(error.message, true);
+    }
+  }
+
+  function exportLibraryLecture() {
+    if (!selectedLibraryLecture) return;
+    openExportModal({ lectureId: selectedLibraryLecture.lectureId }, libraryDetailTitleEl.textContent);
+  }
+
+  function openExportModal(target, label) {
+    exportTarget = target;
+    exportSourceLabelEl.textContent = label || '';
+    exportConfirmBtn.disabled = false;
+    setExportStatus('', false);
+    renderExportOptions();
+    loadExportOptions();
+    exportModalEl.hidden = false;
+    exportModalEl.setAttribute('aria-hidden', 'false');
+  }
+
+  function renderExportOptions() {
+    const batch = Boolean(exportTarget && exportTarget.all);
+    const checked = exportModalEl.querySelector('input[name="export-format"]:checked');
+    exportFormatListEl.hidden = batch;
+    exportObsidianOptionsEl.hidden = !batch && !(checked && checked.value === 'obsidian');
+  }
+
+  // Course, tags, and the wiki-link choice are kept between exports.
+  async function loadExportOptions() {
+    try {
+      const { exportOptions } = await chrome.storage.local.get(['exportOptions']);
+      const saved = exportOptions && typeof exportOptions === 'object' ? exportOptions : {};
+      exportCourseInput.value = typeof saved.course === 'string' ? saved.course : '';
+      exportTagsInput.value = typeof saved.tags === 'string' ? saved.tags : 'lecture, panopto';
+      exportWikiLinksInput.checked = Boolean(saved.wikiLinks);
+    } catch (error) {
+      console.warn('Failed to load export options:', error);
+    }
+  }
+
+  function readExportOptions() {
+    return {
+      course: exportCourseInput.value.trim(),
+      tags: exportTagsInput.value.trim(),
+      wikiLinks: exportWikiLinksInput.checked
+    };
+  }
+
+  function closeExportModal() {
+    exportModalEl.hidden = true;
+    exportModalEl.setAttribute('aria-hidden', 'true');
+    exportTarget = null;
+  }
+
+  async function runExport() {
+    const target = exportTarget;
+    if (!target) return;
+    const checked = exportModalEl.querySelector('input[name="export-format"]:checked');
+    const format = checked ? checked.value : 'markdown';
+    const isTranscript = Boolean(checked && checked.dataset.kind === 'transcript');
+    const options = readExportOptions();
+    exportConfirmBtn.disabled = true;
+    setExportStatus('Exporting...', false);
+
+    try {
+      if (target.all || format === 'obsidian') {
+        await chrome.storage.local.set({ exportOptions: options });
+      }
+      let response;
+      if (target.all) {
+        response = await chrome.runtime.sendMessage({ type: 'EXPORT_LIBRARY_ZIP', options });
+      } else if (isTranscript) {
+        response = await requestTranscriptExport(target, format);
+      } else {
+        response = await chrome.runtime.sendMessage({ type: 'EXPORT_NOTES', ...target, format, options });
+      }
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to export.');
+      }
+      if (format === 'print' && !target.all) {
+        openPrintView(response.file);
+      } else {
+        downloadExportFile(response.file);
+      }
+      if (exportTarget === target) closeExportModal();
+    } catch (error) {
+      setExportStatus(error.message, true);
+    } finally {
+      exportConfirmBtn.disabled = false;
+    }
+  }
+
+  // For the active lecture the content script's full caption buffer is sent
+  // along, since the panel only holds the last 50 entries.
+  async function requestTranscriptExport(target, format) {
+    let liveTranscript = [];
+    if (target.sessionKey) {
+      const live = await requestFromActiveTab({ type: 'GET_FULL_TRANSCRIPT' });
+      liveTranscript = live && Array.isArray(live.transcript) ? live.transcript : currentTranscript;
+    }
+    return chrome.runtime.sendMessage({
+      type: 'EXPORT_TRANSCRIPT',
+      ...target,
+      format,
+      mergeSentences: exportMergeSentencesInput.checked,
+      liveTranscript
+    });
+  }
+
+  // Opens the print-styled HTML in a new tab and starts the print dialog, where "Save as PDF" is offered.
+  // If the tab cannot be opened, the same HTML is downloaded instead.
+  function openPrintView(file) {
+    const url = URL.createObjectURL(new Blob([file.content], { type: file.mimeType }));
+    const printWindow = window.open(url, '_blank');
+    if (!printWindow) {
+      URL.revokeObjectURL(url);
+      downloadExportFile(file);
+      return;
+    }
+    printWindow.addEventListener('load', () => printWindow.print());
+    setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+  }
+
+  function downloadExportFile(file) {
+    const content = file.encoding === 'base64' ? base64ToBytes(file.content) : file.content;
+    downloadFile(content, file.filename, file.mimeType);
+  }
+
+  function base64ToBytes(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i += 1) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  function setExportStatus(message, isError) {
+    exportStatusEl.textContent = message || '';
+    if (!message) {
+      exportStatusEl.className = 'settings-status';
+      return;
+    }
+    exportStatusEl.className = isError
+      ? 'settings-status error'
+      : 'settings-status success';
+  }
+
+  async function deleteLibraryLecture() {
+    if (!selectedLibraryLecture) return;
+    if (!confirm(`Delete "${libraryDetailTitleEl.textContent}" from the library? This cannot be undone.`)) return;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'LIBRARY_DELETE',
+        lectureId: selectedLibraryLecture.lectureId
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Failed to delete lecture.');
+      }
+      await showLibraryList();
+    } catch (error) {
+      setLibraryStatus(error.message, true);
+    }
+  }
+
+  function openLibraryLecture() {
+    if (!selectedLibraryLecture || !selectedLibraryLecture.url) return;
+    chrome.tabs.create({ url: selectedLibraryLecture.url });
+  }
+
+  function setLibraryStatus(message, isError) {
+    libraryStatusEl.textContent = message || '';
+    if (!message) {
+      libraryStatusEl.className = 'settings-status';
+      return;
+    }
+    libraryStatusEl.className = isError
+      ? 'settings-status error'
+      : 'settings-status success';
+  }
+
   function requestStatus() {
     chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
       if (!tabs[0]) return;
@@ -234,6 +800,9 @@
     if (status.captionsUpdating) {
       captionsStatusEl.textContent = 'Captions updating';
       captionsStatusEl.className = 'status-value capturing';
+    } else if (status.captionSource === 'track') {
+      captionsStatusEl.textContent = 'Caption track detected';
+      captionsStatusEl.className = 'status-value detected';
     } else if (status.captionElementDetected || status.captionsDetected) {
       captionsStatusEl.textContent = 'Caption element detected';
       captionsStatusEl.className = 'status-value detected';
@@ -257,6 +826,7 @@
 
   function setupMessageListener() {
     chrome.runtime.onMessage.addListener((message) => {
+      if (!isForActiveSession(message)) return;
       switch (message.type) {
         case 'STATUS_UPDATE':
           updateStatus(message);
@@ -268,15 +838,28 @@
           }
           break;
         case 'NOTES_UPDATE':
+          if (!historyPanelEl.hidden) {
+            loadNotesHistory();
+          }
           if (message.notes) {
             if (isEditingNotes) {
               pendingNotesUpdateWhileEditing = true;
-              setNotesEditStatus('New AI notes arrived while editing. Save or Cancel to refresh.', 'warning');
+              setNotesEditStatus('New AI notes arrived while editing. They will be merged with your edits on Save.', 'warning');
             } else {
-              currentNotes = message.notes;
-              renderNotes();
+              showUpdatedNotes(message.notes);
             }
           }
+          loadUsage();
+          break;
+        case 'BUDGET_STATUS':
+          budgetStatus = { exceeded: Boolean(message.exceeded), message: message.message || '', warning: message.warning || '' };
+          updateAiInlineStatus();
+          break;
+        case 'CATCH_UP_PROGRESS':
+          renderCatchUpProgress(message.job);
+          break;
+        case 'QUEUE_UPDATE':
+          renderChunkQueue(message.queue);
           break;
         case 'ERROR':
           setSettingsStatus(message.message || 'AI processing error', true);
@@ -287,14 +870,14 @@
     });
 
     chrome.storage.onChanged.addListener((changes, areaName) => {
-      if (areaName === 'session' && changes.notesState) {
+      const notesChange = activeSessionKey ? changes[getNotesStorageKey(activeSessionKey)] : null;
+      if (areaName === 'session' && notesChange) {
         if (isEditingNotes) {
           pendingNotesUpdateWhileEditing = true;
-          setNotesEditStatus('Stored notes changed while editing. Save or Cancel to refresh.', 'warning');
+          setNotesEditStatus('Stored notes changed while editing. They will be merged with your edits on Save.', 'warning');
           return;
         }
-        currentNotes = changes.notesState.newValue;
-        renderNotes();
+        showUpdatedNotes(notesChange.newValue);
         return;
       }
 
@@ -303,12 +886,19 @@
           loadSettingsFromStorage();
           return;
         }
+        if (changes.promptProfiles) {
+          loadPromptProfiles();
+        }
         if (changes.theme) {
           const nextTheme = normalizeTheme(changes.theme.newValue);
           themePreference = nextTheme;
           themeSelect.value = nextTheme;
           applyThemePreference(nextTheme);
         }
+        if (changes.noteHighlightSeconds) {
+          highlightSeconds = normalizeHighlightSeconds(changes.noteHighlightSeconds.newValue);
+          highlightSecondsSelect.value = String(highlightSeconds);
+        }
       }
     });
   }
@@ -329,30 +919,1028 @@
       `;
     }).join('');
 
-    transcriptContainer.innerHTML = html;
-    transcriptContainer.querySelectorAll('.transcript-entry').forEach((el) => {
-      el.addEventListener('click', () => {
-        const time = parseFloat(el.dataset.time);
-        seekToTime(time);
-      });
+    transcriptContainer.innerHTML = html;
+    transcriptContainer.querySelectorAll('.transcript-entry').forEach((el) => {
+      el.addEventListener('click', () => {
+        const time = parseFloat(el.dataset.time);
+        seekToTime(time);
+      });
+    });
+    transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
+  }
+
+  function activatePanelTab(panel) {
+    panelTabButtons.forEach((button) => {
+      const isActive = button.dataset.panel === panel;
+      button.classList.toggle('active', isActive);
+      button.setAttribute('aria-selected', isActive ? 'true' : 'false');
+    });
+    notesPanelEl.hidden = panel !== 'notes';
+    chatPanelEl.hidden = panel !== 'chat';
+    flashcardsPanelEl.hidden = panel !== 'flashcards';
+    glossaryPanelEl.hidden = panel !== 'glossary';
+    historyPanelEl.hidden = panel !== 'history';
+    if (panel === 'chat') {
+      chatInput.focus();
+    }
+    if (panel === 'history') {
+      loadNotesHistory();
+    }
+  }
+
+  async function loadNotesHistory() {
+    const sessionKey = activeSessionKey;
+    if (!sessionKey) {
+      historyVersions = [];
+      renderHistory();
+      return;
+    }
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_NOTES_HISTORY', sessionKey });
+      if (sessionKey !== activeSessionKey) return;
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Could not load history');
+      }
+      historyVersions = Array.isArray(response.versions) ? response.versions : [];
+      const known = new Set(historyVersions.map((version) => version.id));
+      selectedVersionIds = selectedVersionIds.filter((id) => known.has(id));
+      renderHistory();
+    } catch (error) {
+      setHistoryStatus(`Failed to load history: ${error.message}`, 'error');
+    }
+  }
+
+  function renderHistory() {
+    compareVersionsBtn.disabled = selectedVersionIds.length !== 2;
+    undoAiMergeBtn.disabled = !activeSessionKey || !historyVersions.some((version) => version.ownSession);
+    if (historyVersions.length === 0) {
+      historyListEl.innerHTML = '<li class="empty-state">Versions are saved after every processed chunk and manual save.</li>';
+      return;
+    }
+
+    // Versions from other tabs or earlier browser sessions can be compared
+    // and restored; the current version is this session's newest.
+    const ownVersions = historyVersions.filter((version) => version.ownSession);
+    const currentId = ownVersions.length > 0 ? ownVersions[ownVersions.length - 1].id : null;
+    historyListEl.innerHTML = historyVersions.slice().reverse().map((version) => {
+      const time = version.createdAt ? new Date(version.createdAt).toLocaleString() : '';
+      const isCurrent = version.id === currentId;
+      const details = [
+        `${version.sectionCount} sections, ${version.bulletCount} bullets`,
+        version.lastChunkId ? `chunk ${version.lastChunkId}` : '',
+        version.ownSession ? '' : 'other session'
+      ].filter(Boolean).join(' \u00b7 ');
+      return `
+        <li class="history-item">
+          <input type="checkbox" data-version-id="${escapeHtml(version.id)}" aria-label="Select for comparison"${selectedVersionIds.includes(version.id) ? ' checked' : ''}>
+          <div>
+            <div>${escapeHtml(`${version.id} \u00b7 ${describeVersionSource(version)} \u00b7 ${time}`)}${isCurrent ? ' <em>(current)</em>' : ''}</div>
+            <div class="history-item-meta">${escapeHtml(details)}</div>
+          </div>
+          <button class="btn btn-secondary btn-small" type="button" data-restore-id="${escapeHtml(version.id)}"${isCurrent ? ' disabled' : ''}>Restore</button>
+        </li>
+      `;
+    }).join('');
+
+    historyListEl.querySelectorAll('input[data-version-id]').forEach((input) => {
+      input.addEventListener('change', () => {
+        const id = input.dataset.versionId;
+        selectedVersionIds = selectedVersionIds.filter((item) => item !== id);
+        if (input.checked) selectedVersionIds.push(id);
+        if (selectedVersionIds.length > 2) selectedVersionIds.shift();
+        renderHistory();
+      });
+    });
+    historyListEl.querySelectorAll('button[data-restore-id]').forEach((button) => {
+      button.addEventListener('click', () => restoreNotesVersion(button.dataset.restoreId));
+    });
+  }
+
+  function describeVersionSource(version) {
+    if (version.source === 'manual') return 'Manual save';
+    if (version.source === 'restore') return 'Restore';
+    if (version.source === 'import') return 'Import';
+    if (version.provider === 'offline') return 'Offline notes';
+    const model = version.model ? ` (${version.model})` : '';
+    return version.provider ? `AI merge: ${getProviderLabel(version.provider)}${model}` : 'AI merge';
+  }
+
+  async function compareNotesVersions() {
+    if (selectedVersionIds.length !== 2) return;
+    const order = historyVersions.map((version) => version.id);
+    const [fromId, toId] = selectedVersionIds.slice().sort((a, b) => order.indexOf(a) - order.indexOf(b));
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'DIFF_NOTES_VERSIONS',
+        sessionKey: activeSessionKey,
+        fromId,
+        toId
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Compare failed');
+      }
+      renderNotesDiff(fromId, toId, response.diff);
+    } catch (error) {
+      setHistoryStatus(`Compare failed: ${error.message}`, 'error');
+    }
+  }
+
+  function renderNotesDiff(fromId, toId, diff) {
+    const marks = { added: '+', removed: '\u2212', changed: '~' };
+    let html = `<div class="diff-heading">${escapeHtml(`${fromId} \u2192 ${toId}`)}</div>`;
+    if (diff.titleBefore !== diff.titleAfter) {
+      html += `<div class="diff-line diff-changed">Title: ${escapeHtml(diff.titleBefore || '(none)')} \u2192 ${escapeHtml(diff.titleAfter || '(none)')}</div>`;
+    }
+    if (diff.sections.length === 0 && diff.titleBefore === diff.titleAfter) {
+      html += '<p class="empty-state">No differences.</p>';
+    }
+    diff.sections.forEach((section) => {
+      const heading = section.headingBefore
+        ? `${section.headingBefore} \u2192 ${section.heading}`
+        : section.heading;
+      html += `<div class="diff-section"><div class="diff-heading diff-${section.status}">${escapeHtml(heading)}</div>`;
+      section.bullets.forEach((bullet) => {
+        const text = bullet.status === 'changed' ? `${bullet.before} \u2192 ${bullet.text}` : bullet.text;
+        html += `<div class="diff-line diff-${bullet.status}">${marks[bullet.status]} ${escapeHtml(text)}</div>`;
+      });
+      html += '</div>';
+    });
+    historyDiffEl.innerHTML = html;
+    historyDiffEl.hidden = false;
+  }
+
+  async function restoreNotesVersion(versionId) {
+    if (!window.confirm(`Restore notes to ${versionId}? The current notes stay in the history.`)) return;
+    await sendHistoryAction({ type: 'RESTORE_NOTES_VERSION', sessionKey: activeSessionKey, versionId }, `Restored ${versionId}.`);
+  }
+
+  async function undoLastAiMerge() {
+    await sendHistoryAction({ type: 'UNDO_LAST_AI_MERGE', sessionKey: activeSessionKey }, 'Last AI merge undone.');
+  }
+
+  async function sendHistoryAction(message, successText) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Request failed');
+      }
+      setHistoryStatus(successText, 'success');
+      loadNotesHistory();
+    } catch (error) {
+      setHistoryStatus(error.message, 'error');
+    }
+  }
+
+  function setHistoryStatus(message, variant) {
+    historyStatusEl.textContent = message || '';
+    historyStatusEl.className = variant ? `notes-edit-status ${variant}` : 'notes-edit-status';
+  }
+
+  async function askLecture() {
+    const question = chatInput.value.trim();
+    const sessionKey = activeSessionKey;
+    if (!question || !sessionKey || pendingChatSessionKey) return;
+
+    const history = chatHistories.get(sessionKey) || [];
+    const previousTurns = history.map((turn) => ({ role: turn.role, text: turn.text }));
+    history.push({ role: 'user', text: question });
+    chatHistories.set(sessionKey, history);
+    chatInput.value = '';
+    pendingChatSessionKey = sessionKey;
+    renderChat();
+
+    let reply;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'ASK_LECTURE',
+        sessionKey,
+        question,
+        history: previousTurns,
+        recentTranscript: currentTranscript
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'No answer returned.');
+      }
+      reply = { role: 'assistant', text: response.answer, sources: response.sources || [] };
+    } catch (error) {
+      reply = { role: 'assistant', text: error.message, error: true };
+    }
+
+    history.push(reply);
+    pendingChatSessionKey = null;
+    renderChat();
+  }
+
+  function renderChat() {
+    const history = chatHistories.get(activeSessionKey) || [];
+    sendChatBtn.disabled = Boolean(pendingChatSessionKey);
+
+    if (history.length === 0) {
+      chatMessagesEl.innerHTML = '<p class="empty-state">Ask a question about this lecture. Answers cite timestamps you can click to jump to.</p>';
+      return;
+    }
+
+    let html = history.map((turn) => {
+      if (turn.role === 'user') {
+        return `<div class="chat-message user">${escapeHtml(turn.text)}</div>`;
+      }
+      if (turn.error) {
+        return `<div class="chat-message assistant error">${escapeHtml(turn.text)}</div>`;
+      }
+      const sources = Array.isArray(turn.sources) && turn.sources.length > 0
+        ? `<div class="chat-sources">Sources: ${turn.sources.map((source) => buildSeekButtonHtml(source.tStart)).join(' ')}</div>`
+        : '';
+      return `<div class="chat-message assistant">${linkifyTimestamps(turn.text)}${sources}</div>`;
+    }).join('');
+
+    if (pendingChatSessionKey === activeSessionKey) {
+      html += '<div class="chat-message assistant pending">Searching the transcript...</div>';
+    }
+
+    chatMessagesEl.innerHTML = html;
+    chatMessagesEl.querySelectorAll('.bullet-timestamp').forEach((el) => {
+      el.addEventListener('click', () => {
+        seekToTime(parseFloat(el.dataset.time));
+      });
+    });
+    chatMessagesEl.scrollTop = chatMessagesEl.scrollHeight;
+  }
+
+  // Turns [m:ss] / [h:mm:ss] citations in model answers into seek buttons.
+  function linkifyTimestamps(text) {
+    return escapeHtml(text).replace(/\[(\d{1,2}:)?(\d{1,3}):(\d{2})\]/g, (match, hours, mins, secs) => {
+      const seconds = (hours ? parseInt(hours, 10) * 3600 : 0) + parseInt(mins, 10) * 60 + parseInt(secs, 10);
+      return buildSeekButtonHtml(seconds);
+    });
+  }
+
+  function buildSeekButtonHtml(seconds) {
+    return `<button class="bullet-timestamp seekable" type="button" data-time="${seconds}" title="Jump to ${formatTimestamp(seconds)}">${formatTimestamp(seconds)}</button>`;
+  }
+
+  async function loadFlashcards() {
+    const sessionKey = activeSessionKey;
+    if (!sessionKey) return;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_FLASHCARDS', sessionKey });
+      if (sessionKey !== activeSessionKey || !response || !response.success) return;
+      currentFlashcards = response.cards || [];
+      renderFlashcards();
+    } catch (error) {
+      console.warn('Failed to load flashcards:', error);
+    }
+  }
+
+  async function generateFlashcards() {
+    const sessionKey = activeSessionKey;
+    if (!sessionKey) return;
+    if (currentFlashcards.length > 0 && !confirm('Replace the current flashcards with a new set?')) return;
+
+    generateFlashcardsBtn.disabled = true;
+    setFlashcardsStatus('Generating flashcards...', '');
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GENERATE_FLASHCARDS', sessionKey });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Flashcard generation failed.');
+      }
+      if (sessionKey !== activeSessionKey) return;
+      currentFlashcards = response.cards || [];
+      renderFlashcards();
+      setFlashcardsStatus(`Generated ${currentFlashcards.length} flashcards.`, 'success');
+    } catch (error) {
+      setFlashcardsStatus(error.message, 'error');
+    } finally {
+      generateFlashcardsBtn.disabled = false;
+    }
+  }
+
+  function addFlashcard() {
+    if (!activeSessionKey) return;
+    currentFlashcards.push({
+      id: `card_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+      type: 'basic',
+      front: '',
+      back: '',
+      heading: null,
+      chunkId: null,
+      tStart: null,
+      tEnd: null
+    });
+    renderFlashcards();
+    const fronts = flashcardsListEl.querySelectorAll('textarea[data-field="front"]');
+    if (fronts.length > 0) fronts[fronts.length - 1].focus();
+  }
+
+  function renderFlashcards() {
+    if (currentFlashcards.length === 0) {
+      flashcardsListEl.innerHTML = '<p class="empty-state">Generate flashcards from the current notes.</p>';
+      return;
+    }
+
+    flashcardsListEl.innerHTML = currentFlashcards.map((card, index) => {
+      const source = [
+        card.heading ? escapeHtml(parseCompositeHeading(card.heading).heading) : '',
+        typeof card.tStart === 'number' ? buildSeekButtonHtml(card.tStart) : ''
+      ].filter(Boolean).join(' ');
+      const isCloze = card.type === 'cloze';
+      return `
+        <div class="flashcard" data-index="${index}">
+          <div class="flashcard-meta">
+            <select data-field="type" aria-label="Card type">
+              <option value="basic"${isCloze ? '' : ' selected'}>Basic</option>
+              <option value="cloze"${isCloze ? ' selected' : ''}>Cloze</option>
+            </select>
+            <span class="flashcard-source">${source}</span>
+            <button class="btn btn-danger btn-small" type="button" data-action="delete">Delete</button>
+          </div>
+          <textarea data-field="front" rows="2" placeholder="${isCloze ? 'Text with {{c1::cloze}} deletion' : 'Question'}">${escapeHtml(card.front)}</textarea>
+          <textarea data-field="back" rows="2" placeholder="${isCloze ? 'Extra (optional)' : 'Answer'}">${escapeHtml(card.back)}</textarea>
+        </div>
+      `;
+    }).join('');
+
+    flashcardsListEl.querySelectorAll('.flashcard').forEach((cardEl) => {
+      const index = parseInt(cardEl.dataset.index, 10);
+      cardEl.querySelectorAll('[data-field]').forEach((field) => {
+        field.addEventListener('change', () => {
+          currentFlashcards[index][field.dataset.field] = field.value;
+          if (field.dataset.field === 'type') renderFlashcards();
+          saveFlashcards();
+        });
+      });
+      cardEl.querySelector('[data-action="delete"]').addEventListener('click', () => {
+        currentFlashcards.splice(index, 1);
+        renderFlashcards();
+        saveFlashcards();
+      });
+    });
+    flashcardsListEl.querySelectorAll('.bullet-timestamp').forEach((el) => {
+      el.addEventListener('click', () => {
+        seekToTime(parseFloat(el.dataset.time));
+      });
+    });
+  }
+
+  async function saveFlashcards() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_FLASHCARDS',
+        sessionKey: activeSessionKey,
+        cards: currentFlashcards
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Save failed.');
+      }
+      setFlashcardsStatus('Flashcards saved.', 'success');
+    } catch (error) {
+      setFlashcardsStatus(`Failed to save flashcards: ${error.message}`, 'error');
+    }
+  }
+
+  async function exportFlashcards(format) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'EXPORT_FLASHCARDS',
+        sessionKey: activeSessionKey,
+        format
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Export failed.');
+      }
+      if (format === 'csv') {
+        downloadFile(response.content, `panopto-flashcards-${Date.now()}.csv`, 'text/csv');
+      } else {
+        downloadFile(response.content, `panopto-flashcards-${Date.now()}.tsv`, 'text/tab-separated-values');
+      }
+    } catch (error) {
+      setFlashcardsStatus(error.message, 'error');
+    }
+  }
+
+  function setFlashcardsStatus(message, variant) {
+    flashcardsStatusEl.textContent = message || '';
+    flashcardsStatusEl.className = variant
+      ? `notes-edit-status ${variant}`
+      : 'notes-edit-status';
+  }
+
+  async function startCatchUp() {
+    const sessionKey = activeSessionKey;
+    catchUpBtn.disabled = true;
+    renderCatchUpProgress({ state: 'preparing', total: 0, processed: 0, failed: 0 });
+
+    try {
+      const prepared = await requestFromActiveTab({ type: 'GET_CATCH_UP_CHUNKS' });
+      if (!prepared || !prepared.success) {
+        throw new Error((prepared && prepared.error) || 'No Panopto video found in the active tab.');
+      }
+
+      await submitCatchUpChunks(sessionKey, prepared.chunks);
+    } catch (error) {
+      renderCatchUpProgress({ state: 'error', error: error.message });
+    }
+  }
+
+  async function submitCatchUpChunks(sessionKey, chunks) {
+    const response = await chrome.runtime.sendMessage({
+      type: 'START_CATCH_UP',
+      sessionKey,
+      chunks
+    });
+    if (!response || !response.success) {
+      throw new Error((response && response.error) || 'Catch-up failed to start');
+    }
+    renderCatchUpProgress(response.job);
+  }
+
+  // Notes files replace the current notes; caption files run through the
+  // content script's chunking and the catch-up queue like a caption track.
+  async function importFile() {
+    const file = importFileInput.files && importFileInput.files[0];
+    importFileInput.value = '';
+    if (!file) return;
+
+    let parsed;
+    try {
+      parsed = parseImportFile(file.name, await file.text());
+    } catch (error) {
+      setNotesEditStatus(`Import failed: ${error.message}`, 'error');
+      return;
+    }
+
+    if (parsed.kind === 'captions') {
+      await importCaptions(parsed.cues, file.name);
+    } else {
+      await importNotes(parsed.notes, file.name);
+    }
+  }
+
+  async function importNotes(notes, fileName) {
+    if (isEditingNotes) {
+      setNotesEditStatus('Save or cancel your edits before importing notes.', 'warning');
+      return;
+    }
+    const hasNotes = currentNotes && Array.isArray(currentNotes.sections) && currentNotes.sections.length > 0;
+    if (hasNotes && !confirm(`Replace the current notes with "${fileName}"? The current notes stay in History.`)) return;
+
+    const sessionKey = activeSessionKey;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'IMPORT_NOTES_STATE', sessionKey, notes });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Import failed.');
+      }
+      if (sessionKey !== activeSessionKey) return;
+      currentNotes = response.notes;
+      renderNotes();
+      setNotesEditStatus(`Imported notes from "${fileName}". New chunks will build on them.`, 'success');
+    } catch (error) {
+      setNotesEditStatus(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  async function importCaptions(cues, fileName) {
+    if (!confirm(`Make notes from the ${cues.length} captions in "${fileName}"? They replace the transcript captured in this tab.`)) return;
+    const sessionKey = activeSessionKey;
+    catchUpBtn.disabled = true;
+    renderCatchUpProgress({ state: 'preparing', total: 0, processed: 0, failed: 0 });
+
+    try {
+      const prepared = await requestFromActiveTab({ type: 'IMPORT_CAPTIONS', cues });
+      if (!prepared || !prepared.success) {
+        throw new Error((prepared && prepared.error) || 'Reload the lecture tab, then import again.');
+      }
+      await submitCatchUpChunks(sessionKey, prepared.chunks);
+    } catch (error) {
+      renderCatchUpProgress({ state: 'error', error: error.message });
+    }
+  }
+
+  function parseImportFile(fileName, text) {
+    const content = String(text || '').replace(/^\uFEFF/, '');
+    const extension = (String(fileName).match(/\.([a-z0-9]+)$/i) || ['', ''])[1].toLowerCase();
+    const isVtt = extension === 'vtt' || /^WEBVTT/.test(content);
+    if (extension === 'srt' || isVtt) {
+      const cues = parseCaptionFile(content, isVtt);
+      if (cues.length === 0) throw new Error('No captions found in this file.');
+      return { kind: 'captions', cues };
+    }
+    if (extension === 'json') {
+      return parseImportedJson(content);
+    }
+    return { kind: 'notes', notes: parseImportedMarkdown(content) };
+  }
+
+  // Notes exports, bare notes objects, and transcript exports (read as captions).
+  function parseImportedJson(content) {
+    let data;
+    try {
+      data = JSON.parse(content);
+    } catch (error) {
+      throw new Error('The file is not valid JSON.');
+    }
+    if (data && data.format === 'panopto-smart-notes-transcript' && Array.isArray(data.entries)) {
+      if (data.entries.length === 0) throw new Error('No captions found in this file.');
+      return { kind: 'captions', cues: data.entries };
+    }
+    const notes = data && data.format === 'panopto-smart-notes' ? data.notes : data;
+    if (!notes || typeof notes !== 'object' || !Array.isArray(notes.sections)) {
+      throw new Error('The JSON is not a Panopto Smart Notes export.');
+    }
+    return { kind: 'notes', notes };
+  }
+
+  // Exported Markdown (plain or Obsidian): frontmatter and the "Last updated"
+  // line are dropped, wiki links unwrapped, and a trailing `([m:ss](url))`
+  // or `(m:ss)` becomes the bullet's tStart.
+  function parseImportedMarkdown(content) {
+    const body = content
+      .replace(/\r/g, '')
+      .replace(/^---\n[\s\S]*?\n---(\n|$)/, '')
+      .split('\n')
+      .filter((line) => !/^\*Last updated: .*\*$/.test(line.trim()))
+      .join('\n');
+    let notes;
+    try {
+      notes = parseEditedNotesText(body, null);
+    } catch (error) {
+      throw new Error('No notes found in this file.');
+    }
+    notes.sections = notes.sections.map((section) => ({
+      heading: unwrapWikiLinks(section.heading),
+      bullets: section.bullets.map(parseImportedBullet)
+    }));
+
+    // The exported "## Glossary" section (`- **Term**: definition`) becomes the glossary again.
+    const glossaryIndex = notes.sections.findIndex((section) => section.heading.toLowerCase() === 'glossary');
+    const glossary = glossaryIndex >= 0 ? notes.sections[glossaryIndex].bullets.map(parseImportedGlossaryEntry) : [];
+    if (glossary.length > 0 && glossary.every(Boolean)) {
+      notes.glossary = glossary;
+      notes.sections.splice(glossaryIndex, 1);
+    }
+    return notes;
+  }
+
+  function parseImportedGlossaryEntry(bullet) {
+    const match = bullet.text.match(/^\*\*(.+?)\*\*:\s+(.+)$/);
+    return match ? { term: match[1], definition: match[2], tStart: bullet.tStart } : null;
+  }
+
+  function parseImportedBullet(text) {
+    const plain = unwrapWikiLinks(text);
+    const match = plain.match(/\s*\((?:\[(\d+):(\d{2})\]\([^)\s]*\)|(\d+):(\d{2}))\)$/);
+    if (!match) return { text: plain };
+    const mins = Number(match[1] || match[3]);
+    const secs = Number(match[2] || match[4]);
+    return { text: plain.slice(0, match.index).trim(), tStart: mins * 60 + secs };
+  }
+
+  function unwrapWikiLinks(text) {
+    return String(text || '').replace(/\[\[([^\]|]+)(?:\|([^\]]+))?\]\]/g, (match, target, alias) => alias || target);
+  }
+
+  // SRT and WebVTT: blocks separated by blank lines, each with a
+  // `start --> end` line followed by the caption text. Header, NOTE, and
+  // STYLE blocks have no timing line and are skipped.
+  function parseCaptionFile(content, isVtt) {
+    const cues = [];
+    content.replace(/\r\n?/g, '\n').split(/\n{2,}/).forEach((block) => {
+      const lines = block.split('\n');
+      const timingIndex = lines.findIndex((line) => line.includes('-->'));
+      if (timingIndex === -1) return;
+      const [startRaw, endRaw] = lines[timingIndex].split('-->');
+      const startTime = parseCaptionTime(startRaw);
+      const endTime = parseCaptionTime(endRaw);
+      const raw = lines.slice(timingIndex + 1).join(' ');
+      const text = (isVtt ? stripVttCueMarkup(raw) : raw).trim();
+      if (startTime === null || endTime === null || !text) return;
+      cues.push({ startTime, endTime: Math.max(startTime, endTime), text });
+    });
+    return cues.sort((a, b) => a.startTime - b.startTime);
+  }
+
+  // WebVTT cue text is markup: voice, class, and timestamp tags such as
+  // `<v Speaker>`, `<c.yellow>`, and `<00:00:01.000>` are dropped, and
+  // character references like `&amp;` are decoded in one pass.
+  function stripVttCueMarkup(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', lrm: '', rlm: '' };
+    return text
+      .replace(/<[^>]*>/g, '')
+      .replace(/&(?:#(\d+)|#x([0-9a-f]+)|([a-z]+));/gi, (match, decimal, hex, name) => {
+        if (name) return Object.prototype.hasOwnProperty.call(named, name) ? named[name] : match;
+        const code = decimal ? Number(decimal) : parseInt(hex, 16);
+        return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+      })
+      .replace(/\s+/g, ' ');
+  }
+
+  // `HH:MM:SS,mmm`, `HH:MM:SS.mmm`, or `MM:SS.mmm`; WebVTT cue settings after the time are ignored.
+  function parseCaptionTime(value) {
+    const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d{1,3}))?/);
+    if (!match) return null;
+    const [, hours, mins, secs, fraction] = match;
+    return Number(hours || 0) * 3600 + Number(mins) * 60 + Number(secs) + Number((fraction || '0').padEnd(3, '0')) / 1000;
+  }
+
+  async function cancelCatchUp() {
+    cancelCatchUpBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'CANCEL_CATCH_UP', sessionKey: activeSessionKey });
+      if (response && response.job) {
+        renderCatchUpProgress(response.job);
+      }
+    } catch (error) {
+      console.warn('Failed to cancel catch-up:', error);
+    }
+  }
+
+  async function loadCatchUpStatus() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CATCH_UP_STATUS', sessionKey: activeSessionKey });
+      renderCatchUpProgress(response ? response.job : null);
+    } catch (error) {
+      renderCatchUpProgress(null);
+    }
+  }
+
+  function renderCatchUpProgress(job) {
+    if (!job) {
+      catchUpSectionEl.hidden = true;
+      catchUpBtn.disabled = false;
+      return;
+    }
+
+    const total = job.total || 0;
+    const processed = job.processed || 0;
+    const failedNote = job.failed ? ` (${job.failed} failed)` : '';
+    const isActive = job.state === 'preparing' || job.state === 'running';
+    let label = '';
+    let variant = '';
+
+    switch (job.state) {
+      case 'preparing':
+        label = 'Loading captions from the recording...';
+        break;
+      case 'running':
+        label = job.cancelRequested
+          ? 'Cancelling after the current chunk...'
+          : `Processing chunk ${Math.min(processed + 1, total)} of ${total}${failedNote}`;
+        break;
+      case 'done':
+        label = `Catch-up complete: ${total} chunk${total === 1 ? '' : 's'}${failedNote}.`;
+        variant = job.failed ? 'error' : 'success';
+        break;
+      case 'cancelled':
+        label = `Catch-up cancelled after ${processed} of ${total} chunks.`;
+        break;
+      default:
+        label = `Catch-up failed: ${job.error || 'unknown error'}`;
+        variant = 'error';
+        break;
+    }
+
+    catchUpSectionEl.hidden = false;
+    catchUpLabelEl.textContent = label;
+    catchUpLabelEl.className = variant ? `catch-up-label ${variant}` : 'catch-up-label';
+    catchUpProgressEl.max = Math.max(total, 1);
+    catchUpProgressEl.value = job.state === 'done' ? Math.max(total, 1) : processed;
+    cancelCatchUpBtn.hidden = job.state !== 'running';
+    cancelCatchUpBtn.disabled = Boolean(job.cancelRequested);
+    catchUpBtn.disabled = isActive;
+  }
+
+  async function loadChunkQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_CHUNK_QUEUE', sessionKey: activeSessionKey });
+      renderChunkQueue(response ? response.queue : null);
+    } catch (error) {
+      renderChunkQueue(null);
+    }
+  }
+
+  async function retryChunkJobs(jobId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'RETRY_CHUNK_JOBS', sessionKey: activeSessionKey, jobId });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Retry failed');
+      }
+      renderChunkQueue(response.queue);
+    } catch (error) {
+      queueSummaryEl.textContent = `Retry failed: ${error.message}`;
+    }
+  }
+
+  function renderChunkQueue(queue) {
+    const counts = queue && queue.counts ? queue.counts : {};
+    const failed = queue && Array.isArray(queue.failed) ? queue.failed : [];
+    const waiting = (counts.pending || 0) + (counts.running || 0);
+
+    if (waiting === 0 && failed.length === 0) {
+      queueSectionEl.hidden = true;
+      failedChunksListEl.innerHTML = '';
+      return;
+    }
+
+    const parts = [];
+    if (counts.running) parts.push(`${counts.running} processing`);
+    if (counts.pending) parts.push(`${counts.pending} waiting`);
+    if (failed.length) parts.push(`${failed.length} failed`);
+    queueSectionEl.hidden = false;
+    queueSummaryEl.textContent = `Chunks: ${parts.join(', ')}`;
+    retryAllChunksBtn.hidden = failed.length < 2;
+
+    failedChunksListEl.innerHTML = failed.map((job) => `
+      <li class="failed-chunk">
+        <div>
+          <div class="failed-chunk-range">${formatTimestamp(job.tStart || 0)} - ${formatTimestamp(job.tEnd || 0)}</div>
+          <div class="failed-chunk-error">${escapeHtml(job.lastError || 'Unknown error')}</div>
+        </div>
+        <button class="btn btn-secondary btn-small" type="button" data-job-id="${escapeHtml(job.id)}">Retry</button>
+      </li>
+    `).join('');
+    failedChunksListEl.querySelectorAll('button[data-job-id]').forEach((button) => {
+      button.addEventListener('click', () => {
+        button.disabled = true;
+        retryChunkJobs(button.dataset.jobId);
+      });
+    });
+  }
+
+  function renderNotes() {
+    renderNotesGeneratedBy();
+    renderGlossary();
+    if (isEditingNotes) {
+      renderNotesEditor();
+      return;
+    }
+
+    const html = buildNotesHtml(currentNotes, {
+      seekable: true,
+      pinnable: true,
+      glossaryLinks: true,
+      highlights: noteHighlights
+    });
+    updateJumpToChangeButton();
+    if (!html) {
+      notesContainer.innerHTML = '<p class="empty-state">Notes will appear here as captions are processed.</p>';
+      return;
+    }
+
+    notesContainer.innerHTML = html;
+    notesContainer.querySelectorAll('.bullet-timestamp').forEach((el) => {
+      el.addEventListener('click', () => {
+        seekToTime(parseFloat(el.dataset.time));
+      });
+    });
+    notesContainer.querySelectorAll('.note-pin-btn').forEach((el) => {
+      el.addEventListener('click', () => {
+        el.disabled = true;
+        setNotePinned(el.dataset.noteId, el.getAttribute('aria-pressed') !== 'true');
+      });
+    });
+    notesContainer.querySelectorAll('.glossary-term.linked').forEach((el) => {
+      el.addEventListener('click', () => showGlossaryTerm(el.dataset.glossaryTerm));
+    });
+  }
+
+  // Alphabetical, with the first mention as a seek button and each related
+  // section as a link back into the notes.
+  function renderGlossary() {
+    const glossary = getNotesGlossary(currentNotes);
+    const filter = glossaryFilterInput.value.trim().toLowerCase();
+    const entries = glossary
+      .filter((entry) => !filter || entry.term.toLowerCase().includes(filter) || entry.definition.toLowerCase().includes(filter))
+      .sort((a, b) => a.term.localeCompare(b.term, undefined, { sensitivity: 'base' }));
+    if (entries.length === 0) {
+      const message = glossary.length === 0 ? 'Key terms appear here as the lecture defines them.' : 'No terms match the filter.';
+      glossaryListEl.innerHTML = `<p class="empty-state">${message}</p>`;
+      return;
+    }
+
+    const sections = currentNotes && Array.isArray(currentNotes.sections) ? currentNotes.sections : [];
+    const headings = new Map(sections.map((section) => {
+      const parsed = parseCompositeHeading(section.heading);
+      return [section.id, parsed.subheading || parsed.heading];
+    }));
+    glossaryListEl.innerHTML = entries.map((entry) => {
+      const stamp = typeof entry.tStart === 'number'
+        ? ` <button class="bullet-timestamp seekable" type="button" data-time="${entry.tStart}" title="Jump to the first mention">${formatTimestamp(entry.tStart)}</button>`
+        : '';
+      const related = (entry.sectionIds || [])
+        .filter((id) => headings.has(id))
+        .map((id) => `<button class="glossary-section-link" type="button" data-section-id="${escapeHtml(id)}">${escapeHtml(headings.get(id))}</button>`)
+        .join('');
+      return `<div class="glossary-item" data-glossary-term="${escapeAttribute(entry.term.toLowerCase())}">
+        <div class="glossary-term-name">${escapeHtml(entry.term)}${stamp}</div>
+        <div class="glossary-definition">${escapeHtml(entry.definition)}</div>
+        ${related ? `<div class="glossary-related">${related}</div>` : ''}
+      </div>`;
+    }).join('');
+
+    glossaryListEl.querySelectorAll('.bullet-timestamp').forEach((el) => {
+      el.addEventListener('click', () => seekToTime(parseFloat(el.dataset.time)));
+    });
+    glossaryListEl.querySelectorAll('.glossary-section-link').forEach((el) => {
+      el.addEventListener('click', () => {
+        activatePanelTab('notes');
+        const target = notesContainer.querySelector(`[data-note-item="${CSS.escape(el.dataset.sectionId)}"]`);
+        if (target) target.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      });
+    });
+  }
+
+  function showGlossaryTerm(termKey) {
+    glossaryFilterInput.value = '';
+    activatePanelTab('glossary');
+    renderGlossary();
+    glossaryListEl.querySelectorAll('.glossary-item.active').forEach((el) => el.classList.remove('active'));
+    const target = glossaryListEl.querySelector(`[data-glossary-term="${CSS.escape(termKey || '')}"]`);
+    if (!target) return;
+    target.classList.add('active');
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
+
+  function getNotesGlossary(notes) {
+    const glossary = notes && Array.isArray(notes.glossary) ? notes.glossary : [];
+    return glossary.filter((entry) => entry && typeof entry.term === 'string' && typeof entry.definition === 'string');
+  }
+
+  // Matches every glossary term and its plural as a whole word; longer terms
+  // come first so "binary search tree" wins over "tree". Linked terms open
+  // the Glossary tab, so only the active session's notes use them.
+  function buildGlossaryMatcher(notes, linked) {
+    const entries = new Map();
+    getNotesGlossary(notes).forEach((entry) => {
+      [entry.term, `${entry.term}s`, `${entry.term}es`].forEach((form) => {
+        const key = form.toLowerCase();
+        if (!entries.has(key)) entries.set(key, entry);
+      });
+    });
+    if (entries.size === 0) return null;
+    const alternatives = Array.from(entries.keys())
+      .sort((a, b) => b.length - a.length)
+      .map((form) => form.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'))
+      .join('|');
+    return {
+      pattern: new RegExp(`(^|[^\\p{L}\\p{N}])(${alternatives})(?=$|[^\\p{L}\\p{N}])`, 'giu'),
+      entries,
+      linked
+    };
+  }
+
+  function highlightGlossaryTerms(text, matcher) {
+    if (!matcher) return escapeHtml(text);
+    let html = '';
+    let last = 0;
+    for (const match of text.matchAll(matcher.pattern)) {
+      const [, prefix, found] = match;
+      const entry = matcher.entries.get(found.toLowerCase());
+      const start = match.index + prefix.length;
+      html += escapeHtml(text.slice(last, start));
+      html += `<span class="glossary-term${matcher.linked ? ' linked' : ''}" data-glossary-term="${escapeAttribute(entry.term.toLowerCase())}" title="${escapeAttribute(`${entry.term}: ${entry.definition}`)}">${escapeHtml(found)}</span>`;
+      last = start + found.length;
+    }
+    return html + escapeHtml(text.slice(last));
+  }
+
+  // Compares by section/bullet id: unknown ids are new, known ids with other text are changed.
+  // An update without changes (e.g. a pin) keeps the previous change list for the jump button.
+  // The first notes of a session are not highlighted, since every line would be.
+  function trackNoteChanges(previous, next) {
+    const before = new Map();
+    const previousSections = previous && Array.isArray(previous.sections) ? previous.sections : [];
+    previousSections.forEach((section) => {
+      if (!section || !section.id) return;
+      before.set(section.id, section.heading);
+      (Array.isArray(section.bullets) ? section.bullets : []).forEach((bullet) => {
+        if (bullet && bullet.id) before.set(bullet.id, getBulletText(bullet));
+      });
+    });
+    if (before.size === 0) return;
+
+    const changes = {};
+    const nextSections = next && Array.isArray(next.sections) ? next.sections : [];
+    nextSections.forEach((section) => {
+      if (!section || !section.id) return;
+      if (!before.has(section.id)) {
+        changes[section.id] = 'new';
+        return;
+      }
+      if (before.get(section.id) !== section.heading) {
+        changes[section.id] = 'changed';
+      }
+      (Array.isArray(section.bullets) ? section.bullets : []).forEach((bullet) => {
+        if (!bullet || !bullet.id) return;
+        if (!before.has(bullet.id)) {
+          changes[bullet.id] = 'new';
+        } else if (before.get(bullet.id) !== getBulletText(bullet)) {
+          changes[bullet.id] = 'changed';
+        }
+      });
+    });
+
+    const ids = Object.keys(changes);
+    if (ids.length === 0) return;
+    clearTimeout(noteHighlightTimer);
+    noteHighlightTimer = null;
+    latestChangeIds = ids;
+    jumpChangeIndex = 0;
+    noteHighlights = highlightSeconds > 0 ? changes : {};
+  }
+
+  // The storage change and NOTES_UPDATE both deliver new notes, in either
+  // order. Whichever comes first is diffed against the shown notes; the
+  // second finds no changes and leaves the highlights alone.
+  function showUpdatedNotes(notes) {
+    const previousNotes = currentNotes;
+    currentNotes = notes;
+    trackNoteChanges(previousNotes, currentNotes);
+    renderNotes();
+    startNoteHighlightFade();
+  }
+
+  function startNoteHighlightFade() {
+    if (noteHighlightTimer || Object.keys(noteHighlights).length === 0) return;
+    noteHighlightTimer = setTimeout(fadeNoteHighlights, highlightSeconds * 1000);
+  }
+
+  // Drops the classes in place so the CSS transition fades them instead of a redraw cutting them off.
+  function fadeNoteHighlights() {
+    clearTimeout(noteHighlightTimer);
+    noteHighlightTimer = null;
+    noteHighlights = {};
+    notesContainer.querySelectorAll('.note-new, .note-changed').forEach((el) => {
+      el.classList.remove('note-new', 'note-changed');
     });
-    transcriptContainer.scrollTop = transcriptContainer.scrollHeight;
   }
 
-  function renderNotes() {
-    if (isEditingNotes) {
-      renderNotesEditor();
+  function clearNoteChanges() {
+    fadeNoteHighlights();
+    latestChangeIds = [];
+    jumpChangeIndex = 0;
+    updateJumpToChangeButton();
+  }
+
+  function updateJumpToChangeButton() {
+    const count = latestChangeIds.length;
+    jumpToChangeBtn.hidden = isEditingNotes || count === 0;
+    jumpToChangeBtn.textContent = count > 1 ? `Latest change (${count})` : 'Latest change';
+  }
+
+  // Each click moves on to the next change of the latest update, wrapping around.
+  function jumpToLatestChange() {
+    const targets = latestChangeIds
+      .map((id) => notesContainer.querySelector(`[data-note-item="${CSS.escape(id)}"]`))
+      .filter(Boolean);
+    if (targets.length === 0) {
+      clearNoteChanges();
       return;
     }
+    const target = targets[jumpChangeIndex % targets.length];
+    jumpChangeIndex += 1;
+    target.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }
 
-    const notes = currentNotes || {};
-    const sections = Array.isArray(notes.sections) ? notes.sections : [];
-    const hasContent = Boolean(notes.title) || sections.length > 0;
+  async function setNotePinned(noteId, pinned) {
+    const sessionKey = activeSessionKey;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'SET_NOTE_PINNED', sessionKey, noteId, pinned });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Pin failed');
+      }
+      if (sessionKey !== activeSessionKey || isEditingNotes) return;
+      currentNotes = response.notes;
+      renderNotes();
+    } catch (error) {
+      setNotesEditStatus(`Failed to ${pinned ? 'pin' : 'unpin'}: ${error.message}`, 'error');
+      renderNotes();
+    }
+  }
 
-    if (!hasContent) {
-      notesContainer.innerHTML = '<p class="empty-state">Notes will appear here as captions are processed.</p>';
+  function renderNotesGeneratedBy() {
+    if (!notesGeneratedByEl) return;
+    const generatedBy = currentNotes && currentNotes.generatedBy;
+    if (!generatedBy || !generatedBy.provider) {
+      notesGeneratedByEl.textContent = '';
       return;
     }
+    const source = generatedBy.provider === 'offline'
+      ? 'offline extractive notes'
+      : `${getProviderLabel(generatedBy.provider)}${generatedBy.model ? ` (${generatedBy.model})` : ''}`;
+    notesGeneratedByEl.textContent = `Last update: ${source}`;
+  }
+
+  // Seekable timestamps target the active tab, so archived notes render them as plain labels.
+  // Pin buttons likewise only act on the active session's notes.
+  function buildNotesHtml(input, options) {
+    const seekable = Boolean(options && options.seekable);
+    const pinnable = Boolean(options && options.pinnable);
+    const highlights = (options && options.highlights) || {};
+    const notes = input || {};
+    const glossaryMatcher = buildGlossaryMatcher(notes, Boolean(options && options.glossaryLinks));
+    const sections = Array.isArray(notes.sections) ? notes.sections : [];
+    if (!notes.title && sections.length === 0) {
+      return '';
+    }
 
     let html = '';
     if (notes.title) {
@@ -367,19 +1955,57 @@
         ? `${parsedHeading.heading} - ${parsedHeading.subheading}`
         : parsedHeading.heading;
 
-      html += '<div class="outline-item">';
-      html += `<div class="outline-heading">${escapeHtml(headingLabel)}</div>`;
+      const sectionId = section && section.id ? section.id : '';
+      const sectionHighlight = highlights[sectionId];
+      html += `<div class="outline-item${sectionHighlight === 'new' ? ' note-new' : ''}"${buildNoteItemAttr(sectionId)}>`;
+      html += `<div class="outline-heading${section && section.userAuthored ? ' user-authored' : ''}${sectionHighlight === 'changed' ? ' note-changed' : ''}">${escapeHtml(headingLabel)}${buildNotePinHtml(section, pinnable)}</div>`;
       if (bullets.length > 0) {
         html += '<ul class="outline-bullets">';
         bullets.forEach((bullet) => {
-          html += `<li>${escapeHtml(bullet)}</li>`;
+          const text = getBulletText(bullet);
+          if (!text) return;
+          const bulletId = bullet && bullet.id ? bullet.id : '';
+          const classes = [];
+          if (bullet && bullet.userAuthored) classes.push('user-authored');
+          if (highlights[bulletId]) classes.push(`note-${highlights[bulletId]}`);
+          const classAttr = classes.length > 0 ? ` class="${classes.join(' ')}"` : '';
+          const authored = bullet && bullet.userAuthored ? ' title="Written by you; AI updates keep it as is"' : '';
+          html += `<li${classAttr}${authored}${buildNoteItemAttr(bulletId)}>${highlightGlossaryTerms(text, glossaryMatcher)}${buildBulletTimestampHtml(bullet, seekable)}${buildNotePinHtml(bullet, pinnable)}</li>`;
         });
         html += '</ul>';
       }
       html += '</div>';
     });
 
-    notesContainer.innerHTML = html;
+    return html;
+  }
+
+  function buildNoteItemAttr(id) {
+    return id ? ` data-note-item="${escapeHtml(id)}"` : '';
+  }
+
+  function buildNotePinHtml(item, pinnable) {
+    if (!pinnable || !item || typeof item !== 'object' || !item.id) return '';
+    const pinned = Boolean(item.pinned);
+    const title = pinned ? 'Unpin' : 'Pin: AI updates keep it exactly as written';
+    return ` <button class="note-pin-btn${pinned ? ' pinned' : ''}" type="button" data-note-id="${escapeHtml(item.id)}" aria-pressed="${pinned}" title="${title}" aria-label="${title}">&#128204;</button>`;
+  }
+
+  function buildBulletTimestampHtml(bullet, seekable) {
+    if (!bullet || typeof bullet !== 'object' || typeof bullet.tStart !== 'number') return '';
+    const label = formatTimestamp(bullet.tStart);
+    const range = typeof bullet.tEnd === 'number' && bullet.tEnd > bullet.tStart
+      ? `${label}\u2013${formatTimestamp(bullet.tEnd)}`
+      : label;
+    if (!seekable) {
+      return ` <span class="bullet-timestamp" title="Source ${range}">${label}</span>`;
+    }
+    return ` <button class="bullet-timestamp seekable" type="button" data-time="${bullet.tStart}" title="Jump to source (${range})">${label}</button>`;
+  }
+
+  function getBulletText(bullet) {
+    if (typeof bullet === 'string') return bullet.trim();
+    return bullet && typeof bullet.text === 'string' ? bullet.text.trim() : '';
   }
 
   function renderNotesEditor() {
@@ -409,8 +2035,11 @@
   function enterNotesEditMode() {
     if (isEditingNotes) return;
     isEditingNotes = true;
+    editingSessionKey = activeSessionKey;
     pendingNotesUpdateWhileEditing = false;
     notesDraftText = notesToEditableText(currentNotes || {});
+    resetNoteConflicts();
+    editBaseNotes = currentNotes;
     toggleNotesEditButtons();
     renderNotes();
     setNotesEditStatus('Editing Smart Notes. Save to persist your changes.', 'success');
@@ -419,12 +2048,15 @@
   function cancelNotesEdit() {
     if (!isEditingNotes) return;
 
+    const switchedSession = editingSessionKey !== activeSessionKey;
     isEditingNotes = false;
+    editingSessionKey = null;
     notesDraftText = '';
+    resetNoteConflicts();
     toggleNotesEditButtons();
     renderNotes();
 
-    if (pendingNotesUpdateWhileEditing) {
+    if (pendingNotesUpdateWhileEditing || switchedSession) {
       pendingNotesUpdateWhileEditing = false;
       loadNotesState();
       setNotesEditStatus('Edits discarded. Reloaded latest notes.', 'warning');
@@ -454,19 +2086,37 @@
     try {
       const response = await chrome.runtime.sendMessage({
         type: 'SAVE_NOTES_STATE',
-        notes: parsedNotes
+        sessionKey: editingSessionKey,
+        notes: parsedNotes,
+        baseNotes: editBaseNotes,
+        resolutions: noteConflictResolutions
       });
 
       if (!response || !response.success) {
         throw new Error((response && response.error) || 'Save failed');
       }
+      if (Array.isArray(response.conflicts) && response.conflicts.length > 0) {
+        renderNoteConflicts(response.conflicts);
+        const count = response.conflicts.length;
+        setNotesEditStatus(
+          `${count} of your change${count === 1 ? '' : 's'} conflict${count === 1 ? 's' : ''} with AI updates. Choose what to keep, then Save again.`,
+          'warning'
+        );
+        return;
+      }
 
-      currentNotes = response.notes || parsedNotes;
+      const switchedSession = editingSessionKey !== activeSessionKey;
+      currentNotes = switchedSession ? null : (response.notes || parsedNotes);
       isEditingNotes = false;
+      editingSessionKey = null;
       notesDraftText = '';
       pendingNotesUpdateWhileEditing = false;
+      resetNoteConflicts();
       toggleNotesEditButtons();
       renderNotes();
+      if (switchedSession) {
+        loadNotesState();
+      }
       setNotesEditStatus('Smart Notes saved.', 'success');
     } catch (error) {
       setNotesEditStatus(`Failed to save notes: ${error.message}`, 'error');
@@ -475,11 +2125,78 @@
     }
   }
 
+  function resetNoteConflicts() {
+    editBaseNotes = null;
+    noteConflictResolutions = {};
+    notesConflictsEl.hidden = true;
+    notesConflictsEl.innerHTML = '';
+  }
+
+  // Defaults keep both sides' content: the AI text is kept unless the user
+  // picks otherwise, and only a title must fall to one side.
+  function renderNoteConflicts(conflicts) {
+    const labels = {
+      title: {
+        describe: () => 'Title changed by you and by the AI',
+        mine: 'Keep mine',
+        theirs: 'Use AI title',
+        fallback: 'mine'
+      },
+      edited: {
+        describe: (conflict) => `Bullet in "${conflict.heading}" edited by you and revised by the AI`,
+        mine: 'Keep mine',
+        theirs: 'Use AI version',
+        both: 'Keep both',
+        fallback: 'both'
+      },
+      deleted: {
+        describe: (conflict) => `Bullet in "${conflict.heading}" deleted by you but revised by the AI`,
+        mine: 'Delete it',
+        theirs: 'Keep AI version',
+        fallback: 'theirs'
+      },
+      section_deleted: {
+        describe: (conflict) => `Section "${conflict.heading}" deleted by you but the AI added to it`,
+        mine: 'Leave deleted',
+        theirs: 'Restore with AI bullets',
+        fallback: 'theirs'
+      }
+    };
+
+    notesConflictsEl.innerHTML = conflicts.map((conflict, index) => {
+      const label = labels[conflict.kind] || labels.edited;
+      if (!conflict.options.includes(noteConflictResolutions[conflict.id])) {
+        noteConflictResolutions[conflict.id] = label.fallback;
+      }
+      const options = conflict.options.map((option) => `
+        <label>
+          <input type="radio" name="note-conflict-${index}" value="${option}" data-conflict-id="${escapeHtml(conflict.id)}"${noteConflictResolutions[conflict.id] === option ? ' checked' : ''}>
+          ${escapeHtml(label[option] || option)}
+        </label>
+      `).join('');
+      return `
+        <div class="note-conflict">
+          <div class="note-conflict-title">${escapeHtml(label.describe(conflict))}</div>
+          <div class="note-conflict-side"><span>Yours</span>${conflict.mine ? escapeHtml(conflict.mine) : '<em>(deleted)</em>'}</div>
+          <div class="note-conflict-side"><span>AI</span>${escapeHtml(conflict.theirs || '')}</div>
+          <div class="note-conflict-options">${options}</div>
+        </div>
+      `;
+    }).join('');
+    notesConflictsEl.hidden = false;
+    notesConflictsEl.querySelectorAll('input[type="radio"]').forEach((input) => {
+      input.addEventListener('change', () => {
+        noteConflictResolutions[input.dataset.conflictId] = input.value;
+      });
+    });
+  }
+
   function toggleNotesEditButtons() {
     if (!editNotesBtn || !saveNotesBtn || !cancelNotesBtn) return;
     editNotesBtn.hidden = isEditingNotes;
     saveNotesBtn.hidden = !isEditingNotes;
     cancelNotesBtn.hidden = !isEditingNotes;
+    updateJumpToChangeButton();
   }
 
   function setNotesEditStatus(message, variant) {
@@ -529,8 +2246,9 @@
       }
 
       bullets.forEach((bullet) => {
-        if (typeof bullet === 'string' && bullet.trim()) {
-          lines.push(`- ${bullet.trim()}`);
+        const text = getBulletText(bullet);
+        if (text) {
+          lines.push(`- ${text}`);
         }
       });
 
@@ -673,7 +2391,9 @@
 
   async function loadNotesState() {
     try {
-      const response = await chrome.runtime.sendMessage({ type: 'GET_NOTES_STATE' });
+      const sessionKey = activeSessionKey;
+      const response = await chrome.runtime.sendMessage({ type: 'GET_NOTES_STATE', sessionKey });
+      if (sessionKey !== activeSessionKey) return;
       if (response && response.notes) {
         currentNotes = response.notes;
         if (!isEditingNotes) {
@@ -685,9 +2405,17 @@
     }
   }
 
+  async function loadTranscript() {
+    const sessionKey = activeSessionKey;
+    const response = await requestFromActiveTab({ type: 'GET_TRANSCRIPT' });
+    if (sessionKey !== activeSessionKey) return;
+    currentTranscript = response && Array.isArray(response.transcript) ? response.transcript : [];
+    renderTranscript();
+  }
+
   async function loadSettingsFromStorage() {
     try {
-      const local = await chrome.storage.local.get(['aiSettings', 'theme']);
+      const local = await chrome.storage.local.get(['aiSettings', 'theme', 'noteHighlightSeconds']);
       const localAiSettings = buildLocalAiSettingsView(local.aiSettings);
       let resolvedSettings = null;
 
@@ -704,11 +2432,18 @@
       providerSelect.value = latestAiSettings.provider;
       providerApiKeyInput.value = '';
       setProviderKeyInputVisible(false);
+      customBaseUrlInput.value = latestAiSettings.customBaseUrl;
+      customModelInput.value = latestAiSettings.customModel;
+      setFallbackDraft(latestAiSettings.fallbackProviders);
+      setStageModelDraft(latestAiSettings.stageModels);
+      fillUsageSettings();
 
       const nextTheme = normalizeTheme(local.theme);
       themePreference = nextTheme;
       themeSelect.value = nextTheme;
       applyThemePreference(nextTheme);
+      highlightSeconds = normalizeHighlightSeconds(local.noteHighlightSeconds);
+      highlightSecondsSelect.value = String(highlightSeconds);
 
       renderProviderUiState();
       updateAiInlineStatus();
@@ -729,8 +2464,19 @@
       keyConfigured: {
         [PROVIDERS.GEMINI]: Boolean(typeof keys[PROVIDERS.GEMINI] === 'string' && keys[PROVIDERS.GEMINI].trim()),
         [PROVIDERS.OPENAI]: Boolean(typeof keys[PROVIDERS.OPENAI] === 'string' && keys[PROVIDERS.OPENAI].trim()),
-        [PROVIDERS.ANTHROPIC]: Boolean(typeof keys[PROVIDERS.ANTHROPIC] === 'string' && keys[PROVIDERS.ANTHROPIC].trim())
-      }
+        [PROVIDERS.ANTHROPIC]: Boolean(typeof keys[PROVIDERS.ANTHROPIC] === 'string' && keys[PROVIDERS.ANTHROPIC].trim()),
+        [PROVIDERS.CUSTOM]: Boolean(typeof keys[PROVIDERS.CUSTOM] === 'string' && keys[PROVIDERS.CUSTOM].trim())
+      },
+      customBaseUrl: typeof source.customBaseUrl === 'string' ? source.customBaseUrl : '',
+      customModel: source.models && typeof source.models[PROVIDERS.CUSTOM] === 'string'
+        ? source.models[PROVIDERS.CUSTOM]
+        : '',
+      fallbackProviders: Array.isArray(source.fallbackProviders)
+        ? source.fallbackProviders.filter(isValidProvider)
+        : [],
+      stageModels: source.stageModels && typeof source.stageModels === 'object' ? source.stageModels : {},
+      budget: source.budget && typeof source.budget === 'object' ? source.budget : {},
+      prices: source.prices && typeof source.prices === 'object' ? source.prices : {}
     };
   }
 
@@ -750,16 +2496,31 @@
         ? {
           [PROVIDERS.GEMINI]: Boolean(resolvedView.keyConfigured[PROVIDERS.GEMINI]),
           [PROVIDERS.OPENAI]: Boolean(resolvedView.keyConfigured[PROVIDERS.OPENAI]),
-          [PROVIDERS.ANTHROPIC]: Boolean(resolvedView.keyConfigured[PROVIDERS.ANTHROPIC])
+          [PROVIDERS.ANTHROPIC]: Boolean(resolvedView.keyConfigured[PROVIDERS.ANTHROPIC]),
+          [PROVIDERS.CUSTOM]: Boolean(resolvedView.keyConfigured[PROVIDERS.CUSTOM])
         }
-        : base.keyConfigured
+        : base.keyConfigured,
+      customBaseUrl: typeof resolvedView.customBaseUrl === 'string' ? resolvedView.customBaseUrl : base.customBaseUrl,
+      customModel: typeof resolvedView.customModel === 'string' ? resolvedView.customModel : base.customModel,
+      fallbackProviders: Array.isArray(resolvedView.fallbackProviders)
+        ? resolvedView.fallbackProviders.filter(isValidProvider)
+        : base.fallbackProviders,
+      stageModels: resolvedView.stageModels && typeof resolvedView.stageModels === 'object'
+        ? resolvedView.stageModels
+        : base.stageModels,
+      budget: resolvedView.budget && typeof resolvedView.budget === 'object' ? resolvedView.budget : base.budget,
+      prices: resolvedView.prices && typeof resolvedView.prices === 'object' ? resolvedView.prices : base.prices
     };
   }
 
   function renderProviderUiState() {
     const provider = getSelectedProvider();
     const label = getProviderLabel(provider);
-    providerApiKeyInput.placeholder = `Paste ${label} API key`;
+    const isCustom = provider === PROVIDERS.CUSTOM;
+    customProviderFieldsEl.hidden = !isCustom;
+    providerApiKeyInput.placeholder = isCustom
+      ? 'API key (optional for local servers)'
+      : `Paste ${label} API key`;
 
     const hasSavedKey = Boolean(latestAiSettings &&
       latestAiSettings.keyConfigured &&
@@ -767,10 +2528,169 @@
     if (hasSavedKey) {
       providerKeyStatusEl.textContent = `${label} key is saved. Enter a new value to replace it.`;
       providerKeyStatusEl.className = 'provider-key-status success';
+    } else if (isCustom) {
+      providerKeyStatusEl.textContent = 'No key saved. Leave blank if the server does not require one.';
+      providerKeyStatusEl.className = 'provider-key-status';
     } else {
       providerKeyStatusEl.textContent = `No ${label} key saved.`;
       providerKeyStatusEl.className = 'provider-key-status warning';
     }
+    renderFallbackProviderList();
+  }
+
+  function setFallbackDraft(fallbackProviders) {
+    const saved = Array.isArray(fallbackProviders) ? fallbackProviders : [];
+    fallbackOrder = [...saved, ...Object.values(PROVIDERS).filter((provider) => !saved.includes(provider))];
+    fallbackEnabled = new Set(saved);
+    renderFallbackProviderList();
+  }
+
+  // The selected provider always goes first, so it is left out of its own fallback list.
+  function renderFallbackProviderList() {
+    const selected = getSelectedProvider();
+    const candidates = fallbackOrder.filter((provider) => provider !== selected);
+    fallbackProviderListEl.innerHTML = candidates.map((provider, index) => {
+      const configured = isProviderConfigured(provider);
+      return `
+        <li class="fallback-provider-item${configured ? '' : ' unconfigured'}">
+          <label>
+            <input type="checkbox" data-provider="${provider}"${fallbackEnabled.has(provider) ? ' checked' : ''}>
+            ${escapeHtml(getProviderLabel(provider))}${configured ? '' : ' (not set up)'}
+          </label>
+          <button class="btn btn-secondary btn-small" type="button" data-provider="${provider}" data-move="-1"${index === 0 ? ' disabled' : ''} aria-label="Move up">&uarr;</button>
+          <button class="btn btn-secondary btn-small" type="button" data-provider="${provider}" data-move="1"${index === candidates.length - 1 ? ' disabled' : ''} aria-label="Move down">&darr;</button>
+        </li>
+      `;
+    }).join('');
+  }
+
+  function onFallbackProviderListClick(event) {
+    const button = event.target.closest('button[data-move]');
+    if (!button) return;
+    const selected = getSelectedProvider();
+    const candidates = fallbackOrder.filter((provider) => provider !== selected);
+    const from = candidates.indexOf(button.dataset.provider);
+    const to = from + Number(button.dataset.move);
+    if (from < 0 || to < 0 || to >= candidates.length) return;
+    [candidates[from], candidates[to]] = [candidates[to], candidates[from]];
+    fallbackOrder = [selected, ...candidates];
+    renderFallbackProviderList();
+  }
+
+  function onFallbackProviderListChange(event) {
+    const checkbox = event.target.closest('input[data-provider]');
+    if (!checkbox) return;
+    if (checkbox.checked) {
+      fallbackEnabled.add(checkbox.dataset.provider);
+    } else {
+      fallbackEnabled.delete(checkbox.dataset.provider);
+    }
+  }
+
+  function getFallbackProviders() {
+    const selected = getSelectedProvider();
+    return fallbackOrder.filter((provider) => provider !== selected && fallbackEnabled.has(provider));
+  }
+
+  function setStageModelDraft(stageModels) {
+    const saved = stageModels && typeof stageModels === 'object' ? stageModels : {};
+    stageModelDraft = {};
+    Object.keys(STAGE_MODEL_LABELS).forEach((stage) => {
+      const choice = saved[stage] && typeof saved[stage] === 'object' ? saved[stage] : {};
+      const provider = isValidProvider(choice.provider) ? choice.provider : '';
+      stageModelDraft[stage] = {
+        provider,
+        model: provider && typeof choice.model === 'string' ? choice.model : ''
+      };
+    });
+    renderStageModelList();
+  }
+
+  function renderStageModelList() {
+    stageModelListEl.innerHTML = Object.keys(STAGE_MODEL_LABELS).map((stage) => {
+      const choice = stageModelDraft[stage];
+      const providerOptions = Object.values(PROVIDERS).map((provider) => {
+        const suffix = isProviderConfigured(provider) ? '' : ' (not set up)';
+        return `<option value="${provider}"${choice.provider === provider ? ' selected' : ''}>${escapeHtml(getProviderLabel(provider) + suffix)}</option>`;
+      }).join('');
+      return `
+        <div class="stage-model-item">
+          <label for="stage-provider-${stage}">${escapeHtml(STAGE_MODEL_LABELS[stage])}</label>
+          <select id="stage-provider-${stage}" data-stage="${stage}">
+            <option value=""${choice.provider ? '' : ' selected'}>Active provider</option>
+            ${providerOptions}
+          </select>
+          <input type="text" data-stage="${stage}" list="stage-model-options-${stage}" value="${escapeAttribute(choice.model)}"
+            placeholder="${choice.provider ? 'Default model' : ''}" spellcheck="false" aria-label="${escapeHtml(STAGE_MODEL_LABELS[stage])} model"${choice.provider ? '' : ' disabled'}>
+          <datalist id="stage-model-options-${stage}"></datalist>
+        </div>
+      `;
+    }).join('');
+  }
+
+  function onStageModelListChange(event) {
+    const select = event.target.closest('select[data-stage]');
+    if (!select) return;
+    const stage = select.dataset.stage;
+    stageModelDraft[stage] = { provider: select.value, model: '' };
+    const input = stageModelListEl.querySelector(`input[data-stage="${stage}"]`);
+    input.value = '';
+    input.disabled = !select.value;
+    input.placeholder = select.value ? 'Default model' : '';
+    loadStageModelOptions(stage);
+  }
+
+  function onStageModelListInput(event) {
+    const input = event.target.closest('input[data-stage]');
+    if (!input) return;
+    stageModelDraft[input.dataset.stage].model = input.value.trim();
+  }
+
+  function onStageModelListFocus(event) {
+    const input = event.target.closest('input[data-stage]');
+    if (input) loadStageModelOptions(input.dataset.stage);
+  }
+
+  // Fills a stage's suggestions from the provider's own model list. A key
+  // typed for the selected provider but not yet saved is used for listing.
+  async function loadStageModelOptions(stage) {
+    const provider = stageModelDraft[stage] ? stageModelDraft[stage].provider : '';
+    const datalist = document.getElementById(`stage-model-options-${stage}`);
+    if (!datalist) return;
+    if (!provider) {
+      datalist.innerHTML = '';
+      return;
+    }
+
+    if (!providerModelLists[provider]) {
+      const rawKey = provider === getSelectedProvider() ? providerApiKeyInput.value.trim() : '';
+      try {
+        const response = await chrome.runtime.sendMessage({
+          type: 'LIST_PROVIDER_MODELS',
+          provider,
+          keys: rawKey ? { [provider]: rawKey } : {},
+          customBaseUrl: customBaseUrlInput.value.trim()
+        });
+        if (!response || !response.success) {
+          throw new Error((response && response.error) || 'Model list failed');
+        }
+        providerModelLists[provider] = Array.isArray(response.models) ? response.models : [];
+      } catch (error) {
+        setSettingsStatus(`Could not list ${getProviderLabel(provider)} models: ${error.message}`, true);
+        return;
+      }
+    }
+
+    if (stageModelDraft[stage].provider !== provider) return;
+    datalist.innerHTML = providerModelLists[provider]
+      .map((model) => `<option value="${escapeAttribute(model)}"></option>`)
+      .join('');
+  }
+
+  function isProviderConfigured(provider) {
+    if (!latestAiSettings) return false;
+    if (provider === PROVIDERS.CUSTOM) return Boolean(latestAiSettings.customBaseUrl);
+    return Boolean(latestAiSettings.keyConfigured && latestAiSettings.keyConfigured[provider]);
   }
 
   function getSelectedProvider() {
@@ -803,7 +2723,11 @@
         type: 'SAVE_AI_SETTINGS',
         aiNotesEnabled,
         provider,
-        keys
+        keys,
+        customBaseUrl: customBaseUrlInput.value.trim(),
+        models: { [PROVIDERS.CUSTOM]: customModelInput.value.trim() },
+        fallbackProviders: getFallbackProviders(),
+        stageModels: stageModelDraft
       });
 
       if (!response || !response.success) {
@@ -820,6 +2744,11 @@
 
       providerApiKeyInput.value = '';
       setProviderKeyInputVisible(false);
+      customBaseUrlInput.value = latestAiSettings.customBaseUrl;
+      customModelInput.value = latestAiSettings.customModel;
+      setFallbackDraft(latestAiSettings.fallbackProviders);
+      providerModelLists = {};
+      setStageModelDraft(latestAiSettings.stageModels);
       renderProviderUiState();
       updateAiInlineStatus();
 
@@ -875,7 +2804,9 @@
       const response = await chrome.runtime.sendMessage({
         type: 'TEST_AI_PROVIDER',
         provider,
-        keys
+        keys,
+        customBaseUrl: customBaseUrlInput.value.trim(),
+        models: { [PROVIDERS.CUSTOM]: customModelInput.value.trim() }
       });
 
       if (!response || !response.success) {
@@ -892,6 +2823,332 @@
     }
   }
 
+  async function discoverCustomModels() {
+    const rawKey = providerApiKeyInput.value.trim();
+    setSettingsStatus('Fetching models from server...', false);
+    discoverModelsBtn.disabled = true;
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'LIST_PROVIDER_MODELS',
+        provider: PROVIDERS.CUSTOM,
+        keys: rawKey ? { [PROVIDERS.CUSTOM]: rawKey } : {},
+        customBaseUrl: customBaseUrlInput.value.trim()
+      });
+
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Model discovery failed');
+      }
+
+      const models = Array.isArray(response.models) ? response.models : [];
+      customModelOptionsEl.innerHTML = models
+        .map((model) => `<option value="${escapeAttribute(model)}"></option>`)
+        .join('');
+      if (!customModelInput.value.trim() && models.length > 0) {
+        customModelInput.value = models[0];
+      }
+      setSettingsStatus(
+        models.length > 0
+          ? `Found ${models.length} model${models.length === 1 ? '' : 's'}.`
+          : 'Server listed no models. Type the model name manually.',
+        false
+      );
+    } catch (error) {
+      setSettingsStatus(`Model discovery failed: ${error.message}`, true);
+    } finally {
+      discoverModelsBtn.disabled = false;
+    }
+  }
+
+  async function loadPromptProfiles() {
+    const sessionKey = activeSessionKey;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_PROMPT_PROFILES', sessionKey });
+      if (sessionKey !== activeSessionKey || !response || !response.success) return;
+      promptProfiles = Array.isArray(response.profiles) ? response.profiles : [];
+      const options = promptProfiles
+        .map((profile) => `<option value="${escapeHtml(profile.id)}">${escapeHtml(profile.name)}</option>`)
+        .join('');
+      lectureProfileSelect.innerHTML = options;
+      lectureProfileSelect.value = response.selectedId;
+      lectureProfileSelect.disabled = !sessionKey;
+      profileEditSelect.innerHTML = options;
+      if (!promptProfiles.some((profile) => profile.id === editingProfileId)) {
+        editingProfileId = 'default';
+      }
+      profileEditSelect.value = editingProfileId;
+      renderProfileEditor();
+    } catch (error) {
+      console.error('Failed to load prompt profiles:', error);
+    }
+  }
+
+  async function setLecturePromptProfile() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SET_LECTURE_PROMPT_PROFILE',
+        sessionKey: activeSessionKey,
+        profileId: lectureProfileSelect.value
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Could not set profile');
+      }
+      setNotesEditStatus('Prompt profile applies to new chunks of this lecture.', 'success');
+    } catch (error) {
+      setNotesEditStatus(`Failed to set prompt profile: ${error.message}`, 'error');
+      loadPromptProfiles();
+    }
+  }
+
+  // The built-in profile is shown read-only so its rules can be previewed.
+  function renderProfileEditor() {
+    const profile = promptProfiles.find((item) => item.id === editingProfileId) || null;
+    const builtIn = !profile || Boolean(profile.builtIn);
+    profileNameInput.value = profile ? profile.name : '';
+    profileCleanerMode.value = profile ? profile.cleaner.mode : 'extend';
+    profileCleanerText.value = profile ? profile.cleaner.text : '';
+    profileMergerMode.value = profile ? profile.merger.mode : 'extend';
+    profileMergerText.value = profile ? profile.merger.text : '';
+    [profileNameInput, profileCleanerMode, profileCleanerText, profileMergerMode, profileMergerText, saveProfileBtn, deleteProfileBtn]
+      .forEach((el) => {
+        el.disabled = builtIn;
+      });
+  }
+
+  function readProfileDraft() {
+    return {
+      id: editingProfileId === 'default' ? null : editingProfileId,
+      name: profileNameInput.value,
+      cleaner: { mode: profileCleanerMode.value, text: profileCleanerText.value },
+      merger: { mode: profileMergerMode.value, text: profileMergerText.value }
+    };
+  }
+
+  async function newPromptProfile() {
+    const name = window.prompt('Name for the new prompt profile:', '');
+    if (name === null) return;
+    await sendProfileMessage({ type: 'SAVE_PROMPT_PROFILE', profile: { name } }, (response) => {
+      editingProfileId = response.profile.id;
+      setSettingsStatus(`Created profile "${response.profile.name}".`, false);
+    });
+  }
+
+  async function savePromptProfile() {
+    await sendProfileMessage({ type: 'SAVE_PROMPT_PROFILE', profile: readProfileDraft() }, (response) => {
+      setSettingsStatus(`Saved profile "${response.profile.name}".`, false);
+    });
+  }
+
+  async function deletePromptProfile() {
+    const profile = promptProfiles.find((item) => item.id === editingProfileId);
+    if (!profile || profile.builtIn) return;
+    if (!window.confirm(`Delete prompt profile "${profile.name}"? Lectures using it go back to the default.`)) return;
+    await sendProfileMessage({ type: 'DELETE_PROMPT_PROFILE', profileId: profile.id }, () => {
+      editingProfileId = 'default';
+      setSettingsStatus(`Deleted profile "${profile.name}".`, false);
+    });
+  }
+
+  async function sendProfileMessage(message, onSuccess) {
+    try {
+      const response = await chrome.runtime.sendMessage(message);
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Request failed');
+      }
+      onSuccess(response);
+      await loadPromptProfiles();
+    } catch (error) {
+      setSettingsStatus(`Prompt profile error: ${error.message}`, true);
+    }
+  }
+
+  async function previewPromptProfile() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'PREVIEW_PROMPT_PROFILE', profile: readProfileDraft() });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Preview failed');
+      }
+      profileOutputEl.hidden = false;
+      profileOutputEl.innerHTML = `
+        <div class="usage-summary-title">Cleaning stage</div>
+        <pre>${escapeHtml(response.prompts.cleaner)}</pre>
+        <div class="usage-summary-title">Merging stage</div>
+        <pre>${escapeHtml(response.prompts.merger)}</pre>
+      `;
+    } catch (error) {
+      setSettingsStatus(`Preview failed: ${error.message}`, true);
+    }
+  }
+
+  async function testPromptProfile() {
+    setSettingsStatus('Running profile test...', false);
+    testProfileBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'TEST_PROMPT_PROFILE',
+        sessionKey: activeSessionKey,
+        profile: readProfileDraft(),
+        sampleText: profileSampleInput.value
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Test failed');
+      }
+      profileOutputEl.hidden = false;
+      profileOutputEl.innerHTML = `
+        <div class="usage-summary-title">Cleaned text</div>
+        <pre>${escapeHtml(response.cleanedText || '(nothing left after cleaning)')}</pre>
+        <div class="usage-summary-title">Resulting notes</div>
+        ${buildNotesHtml(response.notes, { seekable: false }) || '<p class="empty-state">No notes produced.</p>'}
+      `;
+      setSettingsStatus(`Profile test done${response.model ? ` (${response.model})` : ''}.`, false);
+    } catch (error) {
+      setSettingsStatus(`Profile test failed: ${error.message}`, true);
+    } finally {
+      testProfileBtn.disabled = false;
+    }
+  }
+
+  async function exportPromptProfiles() {
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'EXPORT_PROMPT_PROFILES' });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Export failed');
+      }
+      downloadFile(response.content, `panopto-prompt-profiles-${Date.now()}.json`, 'application/json');
+    } catch (error) {
+      setSettingsStatus(`Export failed: ${error.message}`, true);
+    }
+  }
+
+  async function importPromptProfiles() {
+    const file = importProfilesInput.files && importProfilesInput.files[0];
+    importProfilesInput.value = '';
+    if (!file) return;
+    const content = await file.text();
+    await sendProfileMessage({ type: 'IMPORT_PROMPT_PROFILES', content }, (response) => {
+      setSettingsStatus(`Imported ${response.count} profile${response.count === 1 ? '' : 's'}.`, false);
+    });
+  }
+
+  async function loadUsage() {
+    const sessionKey = activeSessionKey;
+    try {
+      const response = await chrome.runtime.sendMessage({ type: 'GET_USAGE', sessionKey });
+      if (sessionKey !== activeSessionKey || !response || !response.success) return;
+      currentUsage = response.usage;
+      budgetStatus = response.usage.budgetStatus;
+      renderUsage();
+      updateAiInlineStatus();
+    } catch (error) {
+      console.error('Failed to load usage:', error);
+    }
+  }
+
+  function renderUsage() {
+    if (!usageSummaryEl) return;
+    if (!currentUsage) {
+      usageSummaryEl.innerHTML = '<p class="empty-state">No usage recorded yet.</p>';
+      return;
+    }
+    usageSummaryEl.innerHTML = [
+      buildUsageTableHtml('This lecture', currentUsage.lecture),
+      buildUsageTableHtml(`This month (${currentUsage.monthKey})`, currentUsage.month)
+    ].join('');
+  }
+
+  function buildUsageTableHtml(title, usage) {
+    const stages = usage && usage.stages ? usage.stages : {};
+    const rows = Object.keys(stages).map((stage) => buildUsageRowHtml(stage, stages[stage]));
+    const unpricedModels = usage && Array.isArray(usage.unpricedModels) ? usage.unpricedModels : [];
+    const unpricedNote = usage && usage.unpricedCalls > 0
+      ? `<p class="usage-hint">Unpriced: ${usage.unpricedCalls} call${usage.unpricedCalls === 1 ? '' : 's'} to ${escapeHtml(unpricedModels.join(', ') || 'unknown models')} are not included in the cost.</p>`
+      : '';
+    return `
+      <div class="usage-summary-title">${escapeHtml(title)}</div>
+      <table>
+        <tr><th>Stage</th><th>Calls</th><th>In</th><th>Out</th><th>Cost</th></tr>
+        ${rows.join('')}
+        ${buildUsageRowHtml('Total', usage)}
+      </table>
+      ${unpricedNote}
+    `;
+  }
+
+  // Cost cells mark calls whose model had no price, e.g. "$0.0123 + 2 unpriced".
+  function buildUsageRowHtml(label, totals) {
+    const source = totals || {};
+    const unpriced = source.unpricedCalls > 0 ? ` + ${source.unpricedCalls} unpriced` : '';
+    return `<tr><td>${escapeHtml(label)}</td><td>${source.calls || 0}</td><td>${formatTokenCount(source.inputTokens)}</td><td>${formatTokenCount(source.outputTokens)}</td><td>${formatUsd(source.costUsd)}${unpriced}</td></tr>`;
+  }
+
+  function formatTokenCount(count) {
+    const value = Number(count) || 0;
+    return value >= 1000 ? `${(value / 1000).toFixed(1)}k` : String(value);
+  }
+
+  function formatUsd(amount) {
+    const value = Number(amount) || 0;
+    return `$${value.toFixed(value > 0 && value < 1 ? 4 : 2)}`;
+  }
+
+  function fillUsageSettings() {
+    const budget = latestAiSettings.budget || {};
+    budgetLectureInput.value = budget.lectureUsd ? String(budget.lectureUsd) : '';
+    budgetMonthlyInput.value = budget.monthlyUsd ? String(budget.monthlyUsd) : '';
+    const prices = latestAiSettings.prices || {};
+    modelPricesInput.value = Object.keys(prices)
+      .map((model) => `${model} ${prices[model].input} ${prices[model].output}`)
+      .join('\n');
+  }
+
+  function parseModelPrices(text) {
+    const prices = {};
+    String(text || '').split('\n').forEach((line, index) => {
+      const parts = line.trim().split(/[\s,]+/).filter(Boolean);
+      if (parts.length === 0) return;
+      const input = Number(parts[1]);
+      const output = Number(parts[2]);
+      if (parts.length !== 3 || !Number.isFinite(input) || !Number.isFinite(output) || input < 0 || output < 0) {
+        throw new Error(`Price line ${index + 1} should be "model input output".`);
+      }
+      prices[parts[0]] = { input, output };
+    });
+    return prices;
+  }
+
+  async function saveUsageSettings() {
+    let prices;
+    try {
+      prices = parseModelPrices(modelPricesInput.value);
+    } catch (error) {
+      setSettingsStatus(error.message, true);
+      return;
+    }
+
+    saveUsageSettingsBtn.disabled = true;
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: 'SAVE_USAGE_SETTINGS',
+        budget: {
+          lectureUsd: parseFloat(budgetLectureInput.value),
+          monthlyUsd: parseFloat(budgetMonthlyInput.value)
+        },
+        prices
+      });
+      if (!response || !response.success) {
+        throw new Error((response && response.error) || 'Save failed');
+      }
+      latestAiSettings = mergeAiSettings(latestAiSettings || buildLocalAiSettingsView(null), response.settings);
+      fillUsageSettings();
+      loadUsage();
+      setSettingsStatus('Budget and prices saved.', false);
+    } catch (error) {
+      setSettingsStatus(`Failed to save budget: ${error.message}`, true);
+    } finally {
+      saveUsageSettingsBtn.disabled = false;
+    }
+  }
+
   async function onThemeSelectionChange() {
     const nextTheme = normalizeTheme(themeSelect.value);
     themePreference = nextTheme;
@@ -905,6 +3162,25 @@
     }
   }
 
+  async function onHighlightSecondsChange() {
+    highlightSeconds = normalizeHighlightSeconds(highlightSecondsSelect.value);
+    if (highlightSeconds === 0) {
+      fadeNoteHighlights();
+    }
+
+    try {
+      await chrome.storage.local.set({ noteHighlightSeconds: highlightSeconds });
+      setSettingsStatus(highlightSeconds ? `Changes stay highlighted for ${highlightSeconds}s.` : 'Change highlighting turned off.', false);
+    } catch (error) {
+      setSettingsStatus('Failed to save highlight preference.', true);
+    }
+  }
+
+  function normalizeHighlightSeconds(value) {
+    const seconds = Number(value);
+    return HIGHLIGHT_SECONDS_OPTIONS.includes(seconds) ? seconds : DEFAULT_HIGHLIGHT_SECONDS;
+  }
+
   function normalizeTheme(value) {
     if (value === THEME_LIGHT || value === THEME_DARK || value === THEME_SYSTEM) {
       return value;
@@ -930,17 +3206,29 @@
     const aiEnabled = Boolean(latestAiSettings.aiNotesEnabled);
     const provider = isValidProvider(latestAiSettings.provider) ? latestAiSettings.provider : DEFAULT_PROVIDER;
     const providerLabel = getProviderLabel(provider);
-    const hasKey = Boolean(latestAiSettings.keyConfigured && latestAiSettings.keyConfigured[provider]);
+    const fallbacks = (latestAiSettings.fallbackProviders || [])
+      .filter((item) => item !== provider && isProviderConfigured(item));
+    const fallbackText = fallbacks.map(getProviderLabel).join(' \u2192 ');
 
     if (!aiEnabled) {
-      setAiInlineStatus('AI disabled.', 'warning');
+      setAiInlineStatus('AI disabled. Using offline extractive notes.', 'warning');
       return;
     }
-    if (!hasKey) {
-      setAiInlineStatus(`No API key set for ${providerLabel}.`, 'warning');
+    if (!isProviderConfigured(provider)) {
+      const missing = provider === PROVIDERS.CUSTOM ? 'base URL' : 'API key';
+      const next = fallbackText ? `Using fallback: ${fallbackText}.` : 'Using offline extractive notes.';
+      setAiInlineStatus(`No ${missing} set for ${providerLabel}. ${next}`, 'warning');
       return;
     }
-    setAiInlineStatus(`AI enabled (${providerLabel}).`, 'success');
+    if (budgetStatus && budgetStatus.exceeded) {
+      setAiInlineStatus(`${budgetStatus.message} AI paused; using offline extractive notes.`, 'warning');
+      return;
+    }
+    if (budgetStatus && budgetStatus.warning) {
+      setAiInlineStatus(budgetStatus.warning, 'warning');
+      return;
+    }
+    setAiInlineStatus(`AI enabled (${providerLabel}${fallbackText ? `, fallback: ${fallbackText}` : ''}).`, 'success');
   }
 
   function setAiInlineStatus(message, variant) {
@@ -964,7 +3252,7 @@
   }
 
   function isValidProvider(value) {
-    return value === PROVIDERS.GEMINI || value === PROVIDERS.OPENAI || value === PROVIDERS.ANTHROPIC;
+    return Object.values(PROVIDERS).includes(value);
   }
 
   function seekToTime(time) {
@@ -988,29 +3276,28 @@
     });
   }
 
-  async function broadcastToTabs(message) {
+  async function requestFromActiveTab(message) {
     return new Promise((resolve) => {
-      chrome.tabs.query({ currentWindow: true }, (tabs) => {
-        if (!tabs || tabs.length === 0) {
-          resolve();
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        if (!tabs[0]) {
+          resolve(null);
           return;
         }
-        let remaining = tabs.length;
-        tabs.forEach((tab) => {
-          if (!tab.id) {
-            remaining -= 1;
-            if (remaining === 0) resolve();
-            return;
-          }
-          chrome.tabs.sendMessage(tab.id, message, () => {
-            remaining -= 1;
-            if (remaining === 0) resolve();
-          });
+        chrome.tabs.sendMessage(tabs[0].id, message, (response) => {
+          resolve(chrome.runtime.lastError ? null : (response || null));
         });
       });
     });
   }
 
+  function getActiveTab() {
+    return new Promise((resolve) => {
+      chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+        resolve(tabs && tabs[0] ? tabs[0] : null);
+      });
+    });
+  }
+
   function formatTimestamp(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = Math.floor(seconds % 60);
@@ -1023,12 +3310,16 @@
     return div.innerHTML;
   }
 
-  function downloadMarkdown(markdown) {
-    const blob = new Blob([markdown], { type: 'text/markdown' });
+  function escapeAttribute(text) {
+    return escapeHtml(text).replace(/"/g, '&quot;');
+  }
+
+  function downloadFile(content, filename, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `panopto-notes-${Date.now()}.md`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);